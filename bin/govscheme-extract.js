@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/* govscheme-extract - run the extractor outside the browser
+   usage: govscheme-extract [options] <url | file.html | file.pdf>...
+     --lang <code>   force a language pack (default: detect per page)
+     --no-redact     keep phone numbers, emails, ID numbers, names and addresses in the output
+     --redact <kinds> redact only these kinds, comma-separated (email,bank,pan,aadhaar,phone,address,name)
+     --compact       one JSON document per line instead of pretty-printed output
+   One input prints its result object; several print an array (or one line each with --compact).
+   Exits 1 when any input ends in an error result.
+*/
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { JSDOM } from 'jsdom';
+import { configure, extract, extractPDF, redactionOptions } from '../lib/extractor.js';
+
+const USAGE = 'usage: govscheme-extract [--lang <code>] [--no-redact | --redact <kinds>] [--compact] <url | file.html | file.pdf>...';
+
+function parseArgs(argv) {
+  const opts = { lang: null, redact: true, compact: false, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--lang') opts.lang = argv[++i] || null;
+    else if (a === '--no-redact') opts.redact = false;
+    else if (a === '--redact') opts.redact = redactionOptions(argv[++i] || '').kinds;
+    else if (a === '--compact') opts.compact = true;
+    else if (a === '-h' || a === '--help') opts.help = true;
+    else if (a.startsWith('--')) throw new Error(`unknown option ${a}`);
+    else opts.inputs.push(a);
+  }
+  return opts;
+}
+
+// Readability and pdf.js are optional: without them the heuristic pass runs alone / PDFs report an error
+async function setupRuntime() {
+  const { window } = new JSDOM('');
+  const rt = { DOMParser: window.DOMParser };
+  try { rt.Readability = (await import('@mozilla/readability')).Readability; } catch (e) { /* heuristic only */ }
+  try {
+    rt.pdfjsLib = await quietly(async () => {
+      const pdfjs = await import('pdfjs-dist/legacy/build/pdf.js');
+      return pdfjs.default || pdfjs;
+    });
+  } catch (e) { /* PDFs unsupported */ }
+  configure(rt);
+}
+
+// stdout carries only result JSON: pdf.js prints polyfill warnings through console.log while its module loads,
+// before getDocument({ verbosity }) can quiet it, so that one import sends them to stderr
+async function quietly(fn) {
+  const log = console.log;
+  console.log = console.error;
+  try { return await fn(); } finally { console.log = log; }
+}
+
+async function extractInput(input, opts) {
+  const base = { lang: opts.lang, redact: opts.redact };
+  if (/^https?:\/\//i.test(input)) {
+    const res = await fetch(input, { redirect: 'follow', headers: { 'User-Agent': 'GovScheme-Dejargonizer-CLI/1.0' } });
+    if (!res.ok) return { error: 'fetch_failed', message: `HTTP ${res.status} for ${input}`, source_url: input };
+    const type = (res.headers.get('content-type') || '').toLowerCase();
+    if (type.includes('application/pdf')) return extractPDF(new Uint8Array(await res.arrayBuffer()), { ...base, sourceUrl: res.url });
+    return extract(await res.text(), { ...base, sourceUrl: res.url });
+  }
+  const data = await readFile(input);
+  if (path.extname(input).toLowerCase() === '.pdf') {
+    return extractPDF(new Uint8Array(data), { ...base, sourceUrl: input, title: path.basename(input, '.pdf') });
+  }
+  return extract(data.toString('utf8'), { ...base, sourceUrl: input });
+}
+
+async function main() {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); } catch (e) {
+    console.error(e.message + '\n' + USAGE);
+    return 2;
+  }
+  if (opts.help || !opts.inputs.length) {
+    if (opts.help) process.stdout.write(USAGE + '\n');
+    else console.error(USAGE);
+    return opts.help ? 0 : 2;
+  }
+
+  await setupRuntime();
+  const results = [];
+  for (const input of opts.inputs) {
+    let out;
+    try { out = await extractInput(input, opts); } catch (e) { out = { error: 'exception', message: String(e && e.message || e), source_url: input }; }
+    results.push(out);
+    if (opts.compact) process.stdout.write(JSON.stringify(out) + '\n');
+  }
+  if (!opts.compact) {
+    const doc = results.length === 1 ? results[0] : results;
+    process.stdout.write(JSON.stringify(doc, null, 2) + '\n');
+  }
+  return results.some(r => r && r.error) ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; });
@@ -0,0 +1,1674 @@
+/* i18n.js - UI strings + jargon glossary (offline, no translation API)
+   - t(key, vars) looks up the chosen locale, falls back to English
+   - locale is kept in localStorage only
+   - GLOSSARY explains common scheme jargon in plain words per locale
+   load before main.js
+*/
+
+const LOCALES = [['en', 'English'], ['hi', 'हिन्दी'], ['mr', 'मराठी'], ['bn', 'বাংলা'], ['ta', 'தமிழ்'], ['te', 'తెలుగు']];
+const LOCALE_STORAGE_KEY = 'govscheme.locale';
+
+const I18N_STRINGS = {
+  en: {
+    'page.subtitle': 'Paste a government scheme URL and get a clean summary: who can apply, required documents, and how to apply.',
+    'page.urlLabel': 'Scheme URL',
+    'page.urlPlaceholder': 'Paste scheme URL (https://...)',
+    'page.simplify': 'Simplify',
+    'page.upload': 'Or upload a scheme PDF:',
+    'page.language': 'Language',
+    'page.easyMode': 'Easy view: big text, pictures, read aloud',
+    'page.batch': 'Compare several schemes',
+    'page.batchUrls': 'Scheme URLs, one per line:',
+    'page.batchFiles': 'and / or scheme PDFs or saved HTML pages:',
+    'page.compare': 'Compare',
+    'feature.fast.title': 'Fast',
+    'feature.fast.body': 'Target < 5 seconds per summary',
+    'feature.private.title': 'Private',
+    'feature.private.body': 'No long-term storage; short-lived cache',
+    'feature.accessible.title': 'Accessible',
+    'feature.accessible.body': 'Built for students, farmers, social workers',
+    'output.placeholder': 'Summary will appear here…',
+    'sidebar.howto': 'How to use',
+    'sidebar.step1': 'Paste a public scheme URL and click <em>Simplify</em>.',
+    'sidebar.step2': 'If the worker returns PDF too large, download the PDF and upload it with the file picker — it is read in your browser.',
+    'sidebar.step3': 'Report incorrect summaries using the feedback link (not included here).',
+    'status.fetching': 'Fetching and extracting…',
+    'status.readingPdf': 'Reading PDF…',
+    'alert.pasteUrl': 'Paste a URL first.',
+    'alert.pasteFirst': 'Paste HTML or text first.',
+    'note.pdfjs': 'PDF detected — include pdf.js in the page to extract PDFs, or ask user to upload the PDF file.',
+    'note.pdfTooLarge': 'Download the PDF and choose it under “Or upload a scheme PDF” above to read it in your browser.',
+    'result.none': 'No result',
+    'result.error': 'Error:',
+    'result.spaTitle': 'Dynamic site detected',
+    'result.spaTry': 'Try: Copy page HTML or article text and paste below.',
+    'result.untitled': 'Untitled page',
+    'result.confidence': 'Confidence: {n}%',
+    'result.source': 'Source:',
+    'result.method': 'Method:',
+    'result.language': 'Language:',
+    'result.pages': '{n} page(s)',
+    'result.page': 'p. {n}',
+    'result.who': 'Who can apply?',
+    'result.noElig': 'No clear eligibility found. View raw text below.',
+    'result.docs': 'Required documents',
+    'result.noDocs': 'No specific documents detected.',
+    'result.where': 'Where to apply',
+    'result.raw': 'View raw text snippet',
+    'result.glossary': 'Words explained',
+    'result.compare': 'Original vs. plain language',
+    'result.original': 'Original',
+    'result.simplified': 'Plain language',
+    'result.steps': 'How to apply',
+    'result.mode': 'Mode:',
+    'result.submitTo': 'Submit to:',
+    'result.authority': 'Office / authority:',
+    'result.fee': 'Fee:',
+    'result.free': 'Free',
+    'result.stepDone': 'Mark step {n} as done',
+    'mode.online': 'Online',
+    'mode.offline': 'Offline',
+    'mode.both': 'Online or offline',
+    'result.dates': 'Key dates',
+    'date.opening': 'Opens',
+    'date.closing': 'Last date',
+    'date.result': 'Result',
+    'date.renewal': 'Renewal',
+    'date.other': 'Date',
+    'result.datePassed': 'date passed',
+    'result.daysLeft': '{n} days left',
+    'result.ics': 'Add last date to calendar (.ics)',
+    'result.benefits': 'What you get',
+    'benefit.upTo': 'up to {amount}',
+    'benefit.percent': '{n}% subsidy',
+    'benefit.instalments': 'in {n} instalments',
+    'freq.monthly': '/ month',
+    'freq.quarterly': '/ quarter',
+    'freq.yearly': '/ year',
+    'freq.one_time': 'one-time',
+    'item.loan': 'Loan',
+    'item.insurance': 'Insurance cover',
+    'item.equipment': 'Equipment',
+    'item.housing': 'Housing',
+    'item.training': 'Training',
+    'result.docsAsWritten': 'As written on the page',
+    'result.printChecklist': 'Print checklist',
+    'result.saveChecklist': 'Save as text',
+    'alert.popup': 'Allow pop-ups to print the checklist.',
+    'alert.batchTwo': 'Add at least two URLs or files to compare.',
+    'alert.batchMax': 'Compare up to {n} schemes at a time.',
+    'batch.title': 'Comparing {n} schemes',
+    'batch.queued': 'Waiting',
+    'batch.running': 'Extracting…',
+    'batch.done': 'Done',
+    'batch.failed': 'Failed',
+    'batch.shared': 'Needed by more than one scheme — collect once',
+    'batch.sharedBy': 'for {n} of {total} schemes',
+    'batch.confidence': 'Confidence',
+    'batch.applyLink': 'Apply link',
+    'batch.open': 'Open {name}',
+    'batch.back': '← Back to comparison',
+    'export.json': 'Save JSON',
+    'export.print': 'Print summary',
+    'export.copyText': 'Copy text',
+    'export.whatsapp': 'Share on WhatsApp',
+    'export.link': 'Copy share link',
+    'export.copied': 'Copied ✓',
+    'export.copyPrompt': 'Copy this:',
+    'export.badLink': 'This share link could not be opened.',
+    'export.sharedNote': 'Shared summary — opened from a link, not fetched again. Check the official page for changes.',
+    'alert.invalidResult': 'This result failed the format check and was not exported: {errors}',
+    'history.title': 'Saved',
+    'history.empty': 'Schemes you save are kept here, on this device only.',
+    'history.clear': 'Clear all',
+    'history.confirmClear': 'Delete every saved scheme from this device?',
+    'history.delete': 'Delete',
+    'history.save': 'Save',
+    'history.saved': 'Saved',
+    'history.savedCopy': 'Saved copy from {date}.',
+    'history.offlineCopy': 'Could not fetch the page right now — showing the copy saved on {date}.',
+    'changes.check': 'Check for updates',
+    'changes.checking': 'Checking for updates…',
+    'changes.failed': 'Update check failed: {error}',
+    'changes.none': 'Checked {date}: nothing has changed.',
+    'changes.found': 'The summary has changed — see “What changed” below.',
+    'changes.sameSummary': 'The page was edited, but nothing in this summary changed.',
+    'changes.title': 'What changed since the previous copy',
+    'changes.titleField': 'Title',
+    'changes.rules': 'Rules',
+    'changes.added': 'new',
+    'changes.removed': 'removed',
+    'changes.changed': 'changed',
+    'changes.badge': 'Updated',
+    'why.button': 'Why?',
+    'why.title': 'Why this confidence',
+    'why.total': 'Confidence',
+    'why.hint': 'Tap § next to any line to see the passage it was taken from.',
+    'why.none': 'No breakdown was saved with this summary.',
+    'why.source': 'Source',
+    'why.from': 'From “{heading}”',
+    'why.noHeading': 'Untitled passage',
+    'why.wholePage': 'Whole-page scan',
+    'why.score': 'match {n}%',
+    'score.eligibility': 'eligibility match {n}%',
+    'score.documents': 'documents match {n}%',
+    'score.benefits': 'benefits match {n}%',
+    'score.steps': 'steps match {n}%',
+    'why.passages': 'Passages the summary was built from',
+    'why.notFound': 'exact wording not found in the passage',
+    'factor.eligibility_lines': 'Eligibility rules found ({value})',
+    'factor.document_lines': 'Documents found ({value})',
+    'factor.block_scores': 'How well the best section matched ({value})',
+    'factor.cap': 'Capped at the maximum',
+    'factor.page_fallback': 'Found only by scanning the whole page',
+    'factor.nothing_found': 'No rules or documents found',
+    'rule.elig_keyword': 'eligibility word “{match}”',
+    'rule.elig_pattern': 'looks like a rule (“{match}”)',
+    'rule.criteria': 'age / income / category rule (“{match}”)',
+    'rule.doc_keyword': 'document word “{match}”',
+    'rule.doc_catalogue': 'known document (“{match}”)',
+    'rule.benefit_block': 'in a benefits section',
+    'rule.benefit_keyword': 'benefit word “{match}”',
+    'rule.steps_heading': 'under a “how to apply” heading',
+    'rule.step_inline': 'numbered step',
+    'rule.date_label': 'date next to “{match}”',
+    'rule.date_found': 'a date in the text',
+    'redact.note': 'Hidden before showing: {list}',
+    'redact.why': 'Personal details found on the page are replaced with [REDACTED_…] before anything is shown, saved or shared.',
+    'redact.email': 'email addresses {n}',
+    'redact.bank': 'bank account / IFSC {n}',
+    'redact.pan': 'PAN {n}',
+    'redact.aadhaar': 'Aadhaar / ID numbers {n}',
+    'redact.phone': 'phone numbers {n}',
+    'redact.address': 'addresses / PIN codes {n}',
+    'redact.name': 'names {n}',
+    'easy.nav': 'Sections',
+    'easy.keysHint': 'Tip: press ↑ or ↓ to move between sections, Esc to stop reading.',
+    'easy.listen': 'Listen',
+    'easy.pause': 'Pause',
+    'easy.resume': 'Resume',
+    'easy.readAll': 'Read everything aloud',
+    'easy.noVoice': 'This device has no {lang} voice; it will read with another voice.',
+    'doc.selfAttested': 'self-attested copy',
+    'doc.original': 'bring original',
+    'doc.optional': 'optional',
+    'doc.aadhaar': 'Aadhaar card',
+    'doc.income_certificate': 'Income certificate',
+    'doc.caste_certificate': 'Caste certificate',
+    'doc.domicile_certificate': 'Domicile certificate',
+    'doc.bank_passbook': 'Bank passbook',
+    'doc.passport_photo': 'Passport-size photograph',
+    'doc.ration_card': 'Ration card',
+    'doc.land_records': 'Land records',
+    'doc.birth_certificate': 'Birth certificate',
+    'doc.voter_id': 'Voter ID card',
+    'doc.pan_card': 'PAN card',
+    'doc.passport': 'Passport',
+    'doc.driving_licence': 'Driving licence',
+    'doc.marksheet': 'Mark sheets / qualification certificates',
+    'doc.bonafide_certificate': 'Bonafide / study certificate',
+    'doc.fee_receipt': 'Fee receipt',
+    'doc.disability_certificate': 'Disability certificate',
+    'doc.bpl_certificate': 'BPL certificate',
+    'doc.job_card': 'MGNREGA job card',
+    'doc.marriage_certificate': 'Marriage certificate',
+    'doc.affidavit': 'Affidavit / self-declaration',
+    'doc.electricity_bill': 'Electricity / utility bill',
+    'doc.identity_proof': 'Identity proof',
+    'doc.address_proof': 'Address proof',
+    'paste.title': 'Paste page HTML / text',
+    'paste.help': 'This site requires JavaScript to render. Copy the page\'s HTML (View → Save Page As → Webpage, HTML only) or copy the article text and paste here.',
+    'paste.run': 'Run Extractor on pasted text',
+    'paste.cancel': 'Cancel',
+    'check.summary': 'Am I eligible?',
+    'check.private': '(answers stay on this device)',
+    'check.choose': '— choose —',
+    'check.button': 'Check',
+    'check.q.age': 'Your age (years)',
+    'check.q.incomeYear': 'Family income per year (₹)',
+    'check.q.incomeMonth': 'Family income per month (₹)',
+    'check.q.gender': 'Gender',
+    'check.q.category': 'Category',
+    'check.q.domicile': 'State you live in',
+    'check.q.occupation': 'Occupation',
+    'check.q.land': 'Land you own (hectares)',
+    'check.q.education': 'Highest education completed',
+    'check.eligible': 'Eligible',
+    'check.not_eligible': 'Not eligible',
+    'check.unclear': 'Unclear',
+    'check.overall.no': 'You may not be eligible — check the lines marked “Not eligible”.',
+    'check.overall.yes': 'You seem to meet every rule we found. Confirm with the official page before applying.',
+    'check.overall.unclear': 'Some rules could not be checked. Answer the remaining questions or ask at the office.',
+    'opt.outside': 'Outside India', 'opt.other': 'Other', 'opt.none': 'None',
+    'opt.female': 'Female', 'opt.male': 'Male', 'opt.transgender': 'Transgender',
+    'opt.general': 'General', 'opt.minority': 'Minority',
+    'opt.farmer': 'Farmer', 'opt.student': 'Student', 'opt.artisan': 'Artisan', 'opt.weaver': 'Weaver', 'opt.fisher': 'Fisher', 'opt.labourer': 'Labourer', 'opt.street_vendor': 'Street vendor',
+    'opt.class_8': 'Class 8', 'opt.class_10': 'Class 10', 'opt.class_12': 'Class 12', 'opt.diploma': 'Diploma / ITI', 'opt.graduate': 'Graduate', 'opt.postgraduate': 'Post-graduate', 'opt.doctorate': 'PhD',
+    'crit.ageBetween': 'Age {min}–{max} years',
+    'crit.age': 'Age {op} {value} years',
+    'crit.income': 'Income {op} {amount}',
+    'crit.land': 'Land holding {op} {amount}',
+    'crit.india': 'Indian citizen / resident',
+    'crit.state': 'Resident of {state}',
+    'crit.education': 'Education: {op} {level}',
+    'crit.gender': 'Gender: {value}',
+    'crit.category': 'Category: {value}',
+    'crit.occupation': 'Occupation: {value}',
+    'op.<': 'below', 'op.<=': 'at most', 'op.>': 'above', 'op.>=': 'at least', 'op.==': '', 'op.in': 'one of',
+    'unit.perYear': 'per year', 'unit.perMonth': 'per month', 'unit.hectares': 'hectares', 'unit.acres': 'acres'
+  },
+  hi: {
+    'page.subtitle': 'सरकारी योजना का लिंक डालें और साफ़ सारांश पाएँ: कौन आवेदन कर सकता है, कौन से दस्तावेज़ चाहिए और आवेदन कैसे करें।',
+    'page.urlLabel': 'योजना का लिंक',
+    'page.urlPlaceholder': 'योजना का लिंक डालें (https://...)',
+    'page.simplify': 'सरल करें',
+    'page.upload': 'या योजना की PDF अपलोड करें:',
+    'page.language': 'भाषा',
+    'page.easyMode': 'आसान दृश्य: बड़े अक्षर, चित्र, सुनकर समझें',
+    'page.batch': 'कई योजनाओं की तुलना करें',
+    'page.batchUrls': 'योजना URL, हर लाइन में एक:',
+    'page.batchFiles': 'और / या योजना की PDF या सेव किए HTML पेज:',
+    'page.compare': 'तुलना करें',
+    'feature.fast.title': 'तेज़',
+    'feature.fast.body': 'हर सारांश 5 सेकंड से कम में',
+    'feature.private.title': 'निजी',
+    'feature.private.body': 'लंबे समय तक कुछ सहेजा नहीं जाता; केवल थोड़ी देर का कैश',
+    'feature.accessible.title': 'सबके लिए',
+    'feature.accessible.body': 'छात्रों, किसानों और सामाजिक कार्यकर्ताओं के लिए बना',
+    'output.placeholder': 'सारांश यहाँ दिखेगा…',
+    'sidebar.howto': 'कैसे इस्तेमाल करें',
+    'sidebar.step1': 'योजना का सार्वजनिक लिंक डालें और <em>सरल करें</em> दबाएँ।',
+    'sidebar.step2': 'अगर PDF बहुत बड़ी है, तो उसे डाउनलोड करके फ़ाइल चुनकर अपलोड करें — वह आपके ब्राउज़र में ही पढ़ी जाती है।',
+    'sidebar.step3': 'गलत सारांश की शिकायत फ़ीडबैक लिंक से करें (यहाँ शामिल नहीं)।',
+    'status.fetching': 'पेज लाया और पढ़ा जा रहा है…',
+    'status.readingPdf': 'PDF पढ़ी जा रही है…',
+    'alert.pasteUrl': 'पहले लिंक डालें।',
+    'alert.pasteFirst': 'पहले HTML या टेक्स्ट पेस्ट करें।',
+    'note.pdfjs': 'PDF मिली — PDF पढ़ने के लिए पेज में pdf.js जोड़ें, या PDF फ़ाइल अपलोड करें।',
+    'note.pdfTooLarge': 'PDF डाउनलोड करें और ऊपर "या योजना की PDF अपलोड करें" में उसे चुनकर अपने ब्राउज़र में पढ़ें।',
+    'result.none': 'कोई परिणाम नहीं',
+    'result.error': 'त्रुटि:',
+    'result.spaTitle': 'यह साइट JavaScript से बनती है',
+    'result.spaTry': 'पेज का HTML या लेख का टेक्स्ट कॉपी करके नीचे पेस्ट करें।',
+    'result.untitled': 'बिना शीर्षक का पेज',
+    'result.confidence': 'भरोसा: {n}%',
+    'result.source': 'स्रोत:',
+    'result.method': 'तरीका:',
+    'result.language': 'भाषा:',
+    'result.pages': '{n} पेज',
+    'result.page': 'पेज {n}',
+    'result.who': 'कौन आवेदन कर सकता है?',
+    'result.noElig': 'पात्रता साफ़ नहीं मिली। नीचे मूल टेक्स्ट देखें।',
+    'result.docs': 'ज़रूरी दस्तावेज़',
+    'result.noDocs': 'कोई खास दस्तावेज़ नहीं मिला।',
+    'result.where': 'कहाँ आवेदन करें',
+    'result.raw': 'मूल टेक्स्ट देखें',
+    'result.glossary': 'कठिन शब्दों का मतलब',
+    'result.compare': 'मूल बनाम सरल भाषा',
+    'result.original': 'मूल',
+    'result.simplified': 'सरल भाषा',
+    'result.steps': 'आवेदन कैसे करें',
+    'result.mode': 'तरीका:',
+    'result.submitTo': 'कहाँ जमा करें:',
+    'result.authority': 'कार्यालय / अधिकारी:',
+    'result.fee': 'शुल्क:',
+    'result.free': 'निःशुल्क',
+    'result.stepDone': 'चरण {n} पूरा हुआ',
+    'mode.online': 'ऑनलाइन',
+    'mode.offline': 'ऑफ़लाइन',
+    'mode.both': 'ऑनलाइन या ऑफ़लाइन',
+    'result.dates': 'महत्वपूर्ण तिथियाँ',
+    'date.opening': 'शुरू',
+    'date.closing': 'अंतिम तिथि',
+    'date.result': 'परिणाम',
+    'date.renewal': 'नवीनीकरण',
+    'date.other': 'तिथि',
+    'result.datePassed': 'तिथि बीत चुकी',
+    'result.daysLeft': '{n} दिन बाकी',
+    'result.ics': 'अंतिम तिथि कैलेंडर में जोड़ें (.ics)',
+    'result.benefits': 'आपको क्या मिलेगा',
+    'benefit.upTo': '{amount} तक',
+    'benefit.percent': '{n}% सब्सिडी',
+    'benefit.instalments': '{n} किस्तों में',
+    'freq.monthly': '/ माह',
+    'freq.quarterly': '/ तिमाही',
+    'freq.yearly': '/ वर्ष',
+    'freq.one_time': 'एक बार',
+    'item.loan': 'ऋण',
+    'item.insurance': 'बीमा कवर',
+    'item.equipment': 'उपकरण',
+    'item.housing': 'आवास',
+    'item.training': 'प्रशिक्षण',
+    'result.docsAsWritten': 'पेज पर जैसा लिखा है',
+    'result.printChecklist': 'सूची प्रिंट करें',
+    'result.saveChecklist': 'टेक्स्ट के रूप में सहेजें',
+    'alert.popup': 'सूची प्रिंट करने के लिए पॉप-अप की अनुमति दें।',
+    'alert.batchTwo': 'तुलना के लिए कम से कम दो URL या फ़ाइल जोड़ें।',
+    'alert.batchMax': 'एक बार में अधिकतम {n} योजनाओं की तुलना करें।',
+    'batch.title': '{n} योजनाओं की तुलना',
+    'batch.queued': 'प्रतीक्षा में',
+    'batch.running': 'पढ़ा जा रहा है…',
+    'batch.done': 'पूरा',
+    'batch.failed': 'विफल',
+    'batch.shared': 'एक से ज़्यादा योजनाओं में ज़रूरी — एक बार ही जुटाएँ',
+    'batch.sharedBy': '{total} में से {n} योजनाओं के लिए',
+    'batch.confidence': 'भरोसा',
+    'batch.applyLink': 'आवेदन लिंक',
+    'batch.open': '{name} खोलें',
+    'batch.back': '← तुलना पर वापस',
+    'export.json': 'JSON सेव करें',
+    'export.print': 'सारांश प्रिंट करें',
+    'export.copyText': 'टेक्स्ट कॉपी करें',
+    'export.whatsapp': 'WhatsApp पर भेजें',
+    'export.link': 'शेयर लिंक कॉपी करें',
+    'export.copied': 'कॉपी हो गया ✓',
+    'export.copyPrompt': 'इसे कॉपी करें:',
+    'export.badLink': 'यह शेयर लिंक खोला नहीं जा सका।',
+    'export.sharedNote': 'शेयर किया गया सारांश — लिंक से खोला गया, दोबारा नहीं लाया गया। बदलाव के लिए आधिकारिक पेज देखें।',
+    'alert.invalidResult': 'यह परिणाम फ़ॉर्मेट जाँच में विफल रहा और एक्सपोर्ट नहीं हुआ: {errors}',
+    'history.title': 'सहेजी गई',
+    'history.empty': 'आपकी सहेजी गई योजनाएँ यहाँ रहती हैं, केवल इसी डिवाइस पर।',
+    'history.clear': 'सब मिटाएँ',
+    'history.confirmClear': 'इस डिवाइस से सभी सहेजी गई योजनाएँ मिटा दें?',
+    'history.delete': 'मिटाएँ',
+    'history.save': 'सहेजें',
+    'history.saved': 'सहेजा गया',
+    'history.savedCopy': '{date} की सहेजी प्रति।',
+    'history.offlineCopy': 'अभी पेज नहीं लाया जा सका — {date} को सहेजी प्रति दिखाई जा रही है।',
+    'changes.check': 'अपडेट जाँचें',
+    'changes.checking': 'अपडेट जाँचे जा रहे हैं…',
+    'changes.failed': 'अपडेट जाँच विफल: {error}',
+    'changes.none': '{date} को जाँचा: कुछ नहीं बदला।',
+    'changes.found': 'सारांश बदल गया है — नीचे “क्या बदला” देखें।',
+    'changes.sameSummary': 'पेज बदला, पर इस सारांश में कुछ नहीं बदला।',
+    'changes.title': 'पिछली प्रति से क्या बदला',
+    'changes.titleField': 'शीर्षक',
+    'changes.rules': 'नियम',
+    'changes.added': 'नया',
+    'changes.removed': 'हटाया गया',
+    'changes.changed': 'बदला',
+    'changes.badge': 'अपडेट हुआ',
+    'why.button': 'क्यों?',
+    'why.title': 'यह भरोसा क्यों',
+    'why.total': 'भरोसा',
+    'why.hint': 'कोई पंक्ति कहाँ से ली गई, देखने के लिए उसके आगे § दबाएँ।',
+    'why.none': 'इस सारांश के साथ कोई ब्योरा सहेजा नहीं गया।',
+    'why.source': 'स्रोत',
+    'why.from': '“{heading}” से',
+    'why.noHeading': 'बिना शीर्षक का अंश',
+    'why.wholePage': 'पूरे पेज की जाँच',
+    'why.score': 'मेल {n}%',
+    'score.eligibility': 'पात्रता मेल {n}%',
+    'score.documents': 'दस्तावेज़ मेल {n}%',
+    'score.benefits': 'लाभ मेल {n}%',
+    'score.steps': 'प्रक्रिया मेल {n}%',
+    'why.passages': 'जिन अंशों से सारांश बना',
+    'why.notFound': 'अंश में यही शब्द नहीं मिले',
+    'factor.eligibility_lines': 'पात्रता नियम मिले ({value})',
+    'factor.document_lines': 'दस्तावेज़ मिले ({value})',
+    'factor.block_scores': 'सबसे अच्छा भाग कितना मेल खाया ({value})',
+    'factor.cap': 'अधिकतम सीमा पर रोका गया',
+    'factor.page_fallback': 'केवल पूरे पेज की जाँच से मिला',
+    'factor.nothing_found': 'कोई नियम या दस्तावेज़ नहीं मिला',
+    'rule.elig_keyword': 'पात्रता शब्द “{match}”',
+    'rule.elig_pattern': 'नियम जैसा लगता है (“{match}”)',
+    'rule.criteria': 'आयु / आय / वर्ग नियम (“{match}”)',
+    'rule.doc_keyword': 'दस्तावेज़ शब्द “{match}”',
+    'rule.doc_catalogue': 'जाना-पहचाना दस्तावेज़ (“{match}”)',
+    'rule.benefit_block': 'लाभ वाले भाग में',
+    'rule.benefit_keyword': 'लाभ शब्द “{match}”',
+    'rule.steps_heading': '“आवेदन कैसे करें” शीर्षक के नीचे',
+    'rule.step_inline': 'क्रमांकित चरण',
+    'rule.date_label': '“{match}” के पास की तारीख',
+    'rule.date_found': 'पाठ में मिली तारीख',
+    'redact.note': 'दिखाने से पहले छिपाया गया: {list}',
+    'redact.why': 'पेज पर मिली निजी जानकारी को दिखाने, सहेजने या साझा करने से पहले [REDACTED_…] से बदल दिया जाता है।',
+    'redact.email': 'ईमेल पते {n}',
+    'redact.bank': 'बैंक खाता / IFSC {n}',
+    'redact.pan': 'PAN {n}',
+    'redact.aadhaar': 'आधार / पहचान संख्या {n}',
+    'redact.phone': 'फ़ोन नंबर {n}',
+    'redact.address': 'पते / पिन कोड {n}',
+    'redact.name': 'नाम {n}',
+    'easy.nav': 'भाग',
+    'easy.keysHint': 'सुझाव: भागों के बीच जाने के लिए ↑ या ↓ दबाएँ, पढ़ना रोकने के लिए Esc।',
+    'easy.listen': 'सुनें',
+    'easy.pause': 'रोकें',
+    'easy.resume': 'फिर से चलाएँ',
+    'easy.readAll': 'सब कुछ पढ़कर सुनाएँ',
+    'easy.noVoice': 'इस डिवाइस में {lang} आवाज़ नहीं है; किसी दूसरी आवाज़ में पढ़ा जाएगा।',
+    'doc.selfAttested': 'स्व-प्रमाणित प्रति',
+    'doc.original': 'मूल साथ लाएँ',
+    'doc.optional': 'वैकल्पिक',
+    'doc.aadhaar': 'आधार कार्ड',
+    'doc.income_certificate': 'आय प्रमाण पत्र',
+    'doc.caste_certificate': 'जाति प्रमाण पत्र',
+    'doc.domicile_certificate': 'निवास प्रमाण पत्र',
+    'doc.bank_passbook': 'बैंक पासबुक',
+    'doc.passport_photo': 'पासपोर्ट साइज फोटो',
+    'doc.ration_card': 'राशन कार्ड',
+    'doc.land_records': 'भूमि अभिलेख',
+    'doc.birth_certificate': 'जन्म प्रमाण पत्र',
+    'doc.voter_id': 'मतदाता पहचान पत्र',
+    'doc.pan_card': 'पैन कार्ड',
+    'doc.passport': 'पासपोर्ट',
+    'doc.driving_licence': 'ड्राइविंग लाइसेंस',
+    'doc.marksheet': 'अंकसूची / शैक्षिक प्रमाण पत्र',
+    'doc.bonafide_certificate': 'बोनाफाइड / अध्ययन प्रमाण पत्र',
+    'doc.fee_receipt': 'फीस रसीद',
+    'doc.disability_certificate': 'दिव्यांगता प्रमाण पत्र',
+    'doc.bpl_certificate': 'BPL प्रमाण पत्र',
+    'doc.job_card': 'मनरेगा जॉब कार्ड',
+    'doc.marriage_certificate': 'विवाह प्रमाण पत्र',
+    'doc.affidavit': 'शपथ पत्र / स्वघोषणा',
+    'doc.electricity_bill': 'बिजली / उपयोगिता बिल',
+    'doc.identity_proof': 'पहचान प्रमाण',
+    'doc.address_proof': 'पते का प्रमाण',
+    'paste.title': 'पेज का HTML / टेक्स्ट पेस्ट करें',
+    'paste.help': 'यह साइट JavaScript से खुलती है। पेज का HTML (View → Save Page As → Webpage, HTML only) या लेख का टेक्स्ट कॉपी करके यहाँ पेस्ट करें।',
+    'paste.run': 'पेस्ट किए टेक्स्ट से सारांश बनाएँ',
+    'paste.cancel': 'रद्द करें',
+    'check.summary': 'क्या मैं पात्र हूँ?',
+    'check.private': '(जवाब इसी डिवाइस पर रहते हैं)',
+    'check.choose': '— चुनें —',
+    'check.button': 'जाँचें',
+    'check.q.age': 'आपकी उम्र (साल)',
+    'check.q.incomeYear': 'परिवार की सालाना आय (₹)',
+    'check.q.incomeMonth': 'परिवार की मासिक आय (₹)',
+    'check.q.gender': 'लिंग',
+    'check.q.category': 'वर्ग',
+    'check.q.domicile': 'आप किस राज्य में रहते हैं',
+    'check.q.occupation': 'काम / पेशा',
+    'check.q.land': 'आपकी ज़मीन (हेक्टेयर)',
+    'check.q.education': 'सबसे ऊँची पढ़ाई',
+    'check.eligible': 'पात्र',
+    'check.not_eligible': 'पात्र नहीं',
+    'check.unclear': 'साफ़ नहीं',
+    'check.overall.no': 'शायद आप पात्र नहीं हैं — "पात्र नहीं" वाली लाइनें देखें।',
+    'check.overall.yes': 'आप मिले हुए सभी नियमों पर खरे लगते हैं। आवेदन से पहले आधिकारिक पेज पर पुष्टि करें।',
+    'check.overall.unclear': 'कुछ नियम जाँचे नहीं जा सके। बाकी सवालों के जवाब दें या दफ़्तर में पूछें।',
+    'opt.outside': 'भारत से बाहर', 'opt.other': 'अन्य', 'opt.none': 'कोई नहीं',
+    'opt.female': 'महिला', 'opt.male': 'पुरुष', 'opt.transgender': 'ट्रांसजेंडर',
+    'opt.general': 'सामान्य', 'opt.minority': 'अल्पसंख्यक',
+    'opt.farmer': 'किसान', 'opt.student': 'छात्र', 'opt.artisan': 'कारीगर', 'opt.weaver': 'बुनकर', 'opt.fisher': 'मछुआरा', 'opt.labourer': 'मज़दूर', 'opt.street_vendor': 'रेहड़ी-पटरी विक्रेता',
+    'opt.class_8': 'कक्षा 8', 'opt.class_10': 'कक्षा 10', 'opt.class_12': 'कक्षा 12', 'opt.diploma': 'डिप्लोमा / ITI', 'opt.graduate': 'स्नातक', 'opt.postgraduate': 'स्नातकोत्तर', 'opt.doctorate': 'PhD',
+    'crit.ageBetween': 'उम्र {min}–{max} साल',
+    'crit.age': 'उम्र {op} {value} साल',
+    'crit.income': 'आय {op} {amount}',
+    'crit.land': 'ज़मीन {op} {amount}',
+    'crit.india': 'भारत का नागरिक / निवासी',
+    'crit.state': '{state} का निवासी',
+    'crit.education': 'पढ़ाई: {op} {level}',
+    'crit.gender': 'लिंग: {value}',
+    'crit.category': 'वर्ग: {value}',
+    'crit.occupation': 'पेशा: {value}',
+    'op.<': 'से कम', 'op.<=': 'अधिकतम', 'op.>': 'से अधिक', 'op.>=': 'कम से कम', 'op.==': '', 'op.in': 'इनमें से एक',
+    'unit.perYear': 'प्रति वर्ष', 'unit.perMonth': 'प्रति माह', 'unit.hectares': 'हेक्टेयर', 'unit.acres': 'एकड़'
+  },
+  mr: {
+    'page.subtitle': 'सरकारी योजनेची लिंक टाका आणि सोपा सारांश मिळवा: कोण अर्ज करू शकतो, कोणती कागदपत्रे लागतात आणि अर्ज कसा करायचा.',
+    'page.urlLabel': 'योजनेची लिंक',
+    'page.urlPlaceholder': 'योजनेची लिंक टाका (https://...)',
+    'page.simplify': 'सोपे करा',
+    'page.upload': 'किंवा योजनेची PDF अपलोड करा:',
+    'page.language': 'भाषा',
+    'page.easyMode': 'सोपे दृश्य: मोठी अक्षरे, चित्रे, ऐकून समजा',
+    'page.batch': 'अनेक योजनांची तुलना करा',
+    'page.batchUrls': 'योजनेचे URL, प्रत्येक ओळीत एक:',
+    'page.batchFiles': 'आणि / किंवा योजनेच्या PDF किंवा सेव्ह केलेली HTML पाने:',
+    'page.compare': 'तुलना करा',
+    'feature.fast.title': 'जलद',
+    'feature.fast.body': 'प्रत्येक सारांश 5 सेकंदांपेक्षा कमी वेळात',
+    'feature.private.title': 'खाजगी',
+    'feature.private.body': 'दीर्घकाळ काहीही साठवले जात नाही; फक्त थोड्या वेळाचा कॅशे',
+    'feature.accessible.title': 'सर्वांसाठी',
+    'feature.accessible.body': 'विद्यार्थी, शेतकरी आणि सामाजिक कार्यकर्त्यांसाठी',
+    'output.placeholder': 'सारांश इथे दिसेल…',
+    'sidebar.howto': 'कसे वापरावे',
+    'sidebar.step1': 'योजनेची सार्वजनिक लिंक टाका आणि <em>सोपे करा</em> दाबा.',
+    'sidebar.step2': 'PDF खूप मोठी असल्यास ती डाउनलोड करा आणि फाइल निवडून अपलोड करा — ती तुमच्या ब्राउझरमध्येच वाचली जाते.',
+    'sidebar.step3': 'चुकीच्या सारांशाची तक्रार अभिप्राय लिंकवरून करा (येथे समाविष्ट नाही).',
+    'status.fetching': 'पान आणले आणि वाचले जात आहे…',
+    'status.readingPdf': 'PDF वाचली जात आहे…',
+    'alert.pasteUrl': 'आधी लिंक टाका.',
+    'alert.pasteFirst': 'आधी HTML किंवा मजकूर पेस्ट करा.',
+    'note.pdfjs': 'PDF आढळली — PDF वाचण्यासाठी पानात pdf.js जोडा किंवा PDF फाइल अपलोड करा.',
+    'note.pdfTooLarge': 'PDF डाउनलोड करा आणि वरील "किंवा योजनेची PDF अपलोड करा" मध्ये ती निवडून तुमच्या ब्राउझरमध्ये वाचा.',
+    'result.none': 'निकाल नाही',
+    'result.error': 'त्रुटी:',
+    'result.spaTitle': 'ही साइट JavaScript ने तयार होते',
+    'result.spaTry': 'पानाचा HTML किंवा लेखाचा मजकूर कॉपी करून खाली पेस्ट करा.',
+    'result.untitled': 'शीर्षक नसलेले पान',
+    'result.confidence': 'विश्वास: {n}%',
+    'result.source': 'स्रोत:',
+    'result.method': 'पद्धत:',
+    'result.language': 'भाषा:',
+    'result.pages': '{n} पाने',
+    'result.page': 'पान {n}',
+    'result.who': 'कोण अर्ज करू शकतो?',
+    'result.noElig': 'पात्रता स्पष्ट आढळली नाही. खाली मूळ मजकूर पहा.',
+    'result.docs': 'आवश्यक कागदपत्रे',
+    'result.noDocs': 'विशिष्ट कागदपत्रे आढळली नाहीत.',
+    'result.where': 'कुठे अर्ज करावा',
+    'result.raw': 'मूळ मजकूर पहा',
+    'result.glossary': 'कठीण शब्दांचा अर्थ',
+    'result.compare': 'मूळ विरुद्ध सोपी भाषा',
+    'result.original': 'मूळ',
+    'result.simplified': 'सोपी भाषा',
+    'result.steps': 'अर्ज कसा करावा',
+    'result.mode': 'पद्धत:',
+    'result.submitTo': 'कुठे जमा करावे:',
+    'result.authority': 'कार्यालय / अधिकारी:',
+    'result.fee': 'शुल्क:',
+    'result.free': 'मोफत',
+    'result.stepDone': 'पायरी {n} पूर्ण झाली',
+    'mode.online': 'ऑनलाइन',
+    'mode.offline': 'ऑफलाइन',
+    'mode.both': 'ऑनलाइन किंवा ऑफलाइन',
+    'result.dates': 'महत्त्वाच्या तारखा',
+    'date.opening': 'सुरुवात',
+    'date.closing': 'शेवटची तारीख',
+    'date.result': 'निकाल',
+    'date.renewal': 'नूतनीकरण',
+    'date.other': 'तारीख',
+    'result.datePassed': 'तारीख उलटून गेली',
+    'result.daysLeft': '{n} दिवस बाकी',
+    'result.ics': 'शेवटची तारीख कॅलेंडरमध्ये जोडा (.ics)',
+    'result.benefits': 'तुम्हाला काय मिळेल',
+    'benefit.upTo': '{amount} पर्यंत',
+    'benefit.percent': '{n}% अनुदान',
+    'benefit.instalments': '{n} हप्त्यांमध्ये',
+    'freq.monthly': '/ महिना',
+    'freq.quarterly': '/ तिमाही',
+    'freq.yearly': '/ वर्ष',
+    'freq.one_time': 'एकदाच',
+    'item.loan': 'कर्ज',
+    'item.insurance': 'विमा संरक्षण',
+    'item.equipment': 'साहित्य',
+    'item.housing': 'घर',
+    'item.training': 'प्रशिक्षण',
+    'result.docsAsWritten': 'पानावर जसे लिहिले आहे',
+    'result.printChecklist': 'यादी प्रिंट करा',
+    'result.saveChecklist': 'मजकूर म्हणून जतन करा',
+    'alert.popup': 'यादी प्रिंट करण्यासाठी पॉप-अपला परवानगी द्या.',
+    'alert.batchTwo': 'तुलनेसाठी किमान दोन URL किंवा फाइल जोडा.',
+    'alert.batchMax': 'एका वेळी जास्तीत जास्त {n} योजनांची तुलना करा.',
+    'batch.title': '{n} योजनांची तुलना',
+    'batch.queued': 'प्रतीक्षेत',
+    'batch.running': 'वाचले जात आहे…',
+    'batch.done': 'पूर्ण',
+    'batch.failed': 'अयशस्वी',
+    'batch.shared': 'एकापेक्षा जास्त योजनांसाठी लागणारी — एकदाच गोळा करा',
+    'batch.sharedBy': '{total} पैकी {n} योजनांसाठी',
+    'batch.confidence': 'विश्वास',
+    'batch.applyLink': 'अर्ज लिंक',
+    'batch.open': '{name} उघडा',
+    'batch.back': '← तुलनेकडे परत',
+    'export.json': 'JSON सेव्ह करा',
+    'export.print': 'सारांश प्रिंट करा',
+    'export.copyText': 'मजकूर कॉपी करा',
+    'export.whatsapp': 'WhatsApp वर पाठवा',
+    'export.link': 'शेअर लिंक कॉपी करा',
+    'export.copied': 'कॉपी झाले ✓',
+    'export.copyPrompt': 'हे कॉपी करा:',
+    'export.badLink': 'ही शेअर लिंक उघडता आली नाही.',
+    'export.sharedNote': 'शेअर केलेला सारांश — लिंकवरून उघडला, पुन्हा आणला नाही. बदलांसाठी अधिकृत पान पहा.',
+    'alert.invalidResult': 'हा निकाल फॉरमॅट तपासणीत अयशस्वी झाला आणि एक्सपोर्ट झाला नाही: {errors}',
+    'history.title': 'जतन केलेल्या',
+    'history.empty': 'तुम्ही जतन केलेल्या योजना येथे राहतात, फक्त याच डिव्हाइसवर.',
+    'history.clear': 'सर्व पुसा',
+    'history.confirmClear': 'या डिव्हाइसवरून सर्व जतन केलेल्या योजना पुसायच्या?',
+    'history.delete': 'पुसा',
+    'history.save': 'जतन करा',
+    'history.saved': 'जतन केले',
+    'history.savedCopy': '{date} ची जतन केलेली प्रत.',
+    'history.offlineCopy': 'आत्ता पान आणता आले नाही — {date} रोजी जतन केलेली प्रत दाखवत आहोत.',
+    'changes.check': 'अपडेट तपासा',
+    'changes.checking': 'अपडेट तपासले जात आहेत…',
+    'changes.failed': 'अपडेट तपासणी अयशस्वी: {error}',
+    'changes.none': '{date} रोजी तपासले: काहीही बदलले नाही.',
+    'changes.found': 'सारांश बदलला आहे — खाली “काय बदलले” पहा.',
+    'changes.sameSummary': 'पान बदलले, पण या सारांशात काहीही बदलले नाही.',
+    'changes.title': 'मागील प्रतीपासून काय बदलले',
+    'changes.titleField': 'शीर्षक',
+    'changes.rules': 'नियम',
+    'changes.added': 'नवीन',
+    'changes.removed': 'काढले',
+    'changes.changed': 'बदलले',
+    'changes.badge': 'अपडेट झाले',
+    'why.button': 'का?',
+    'why.title': 'हा विश्वास का',
+    'why.total': 'विश्वास',
+    'why.hint': 'एखादी ओळ कुठून घेतली ते पाहण्यासाठी तिच्यापुढील § दाबा.',
+    'why.none': 'या सारांशासोबत तपशील जतन केलेला नाही.',
+    'why.source': 'स्रोत',
+    'why.from': '“{heading}” मधून',
+    'why.noHeading': 'शीर्षक नसलेला उतारा',
+    'why.wholePage': 'संपूर्ण पानाची तपासणी',
+    'why.score': 'जुळणी {n}%',
+    'score.eligibility': 'पात्रता जुळणी {n}%',
+    'score.documents': 'कागदपत्रे जुळणी {n}%',
+    'score.benefits': 'लाभ जुळणी {n}%',
+    'score.steps': 'प्रक्रिया जुळणी {n}%',
+    'why.passages': 'ज्या उताऱ्यांतून सारांश तयार झाला',
+    'why.notFound': 'उताऱ्यात नेमके हेच शब्द सापडले नाहीत',
+    'factor.eligibility_lines': 'पात्रता नियम सापडले ({value})',
+    'factor.document_lines': 'कागदपत्रे सापडली ({value})',
+    'factor.block_scores': 'सर्वोत्तम भाग किती जुळला ({value})',
+    'factor.cap': 'कमाल मर्यादेवर थांबवले',
+    'factor.page_fallback': 'फक्त संपूर्ण पान तपासून सापडले',
+    'factor.nothing_found': 'नियम किंवा कागदपत्रे सापडली नाहीत',
+    'rule.elig_keyword': 'पात्रता शब्द “{match}”',
+    'rule.elig_pattern': 'नियमासारखे दिसते (“{match}”)',
+    'rule.criteria': 'वय / उत्पन्न / प्रवर्ग नियम (“{match}”)',
+    'rule.doc_keyword': 'कागदपत्र शब्द “{match}”',
+    'rule.doc_catalogue': 'ओळखीचे कागदपत्र (“{match}”)',
+    'rule.benefit_block': 'लाभ विभागात',
+    'rule.benefit_keyword': 'लाभ शब्द “{match}”',
+    'rule.steps_heading': '“अर्ज कसा करावा” शीर्षकाखाली',
+    'rule.step_inline': 'क्रमांकित पायरी',
+    'rule.date_label': '“{match}” शेजारील तारीख',
+    'rule.date_found': 'मजकुरातील तारीख',
+    'redact.note': 'दाखवण्यापूर्वी लपवले: {list}',
+    'redact.why': 'पानावर सापडलेली वैयक्तिक माहिती दाखवण्यापूर्वी, जतन किंवा शेअर करण्यापूर्वी [REDACTED_…] ने बदलली जाते.',
+    'redact.email': 'ईमेल पत्ते {n}',
+    'redact.bank': 'बँक खाते / IFSC {n}',
+    'redact.pan': 'PAN {n}',
+    'redact.aadhaar': 'आधार / ओळख क्रमांक {n}',
+    'redact.phone': 'फोन नंबर {n}',
+    'redact.address': 'पत्ते / पिन कोड {n}',
+    'redact.name': 'नावे {n}',
+    'easy.nav': 'विभाग',
+    'easy.keysHint': 'सूचना: विभागांमध्ये जाण्यासाठी ↑ किंवा ↓ दाबा, वाचन थांबवण्यासाठी Esc.',
+    'easy.listen': 'ऐका',
+    'easy.pause': 'थांबवा',
+    'easy.resume': 'पुन्हा सुरू करा',
+    'easy.readAll': 'सर्व काही वाचून दाखवा',
+    'easy.noVoice': 'या उपकरणात {lang} आवाज नाही; दुसऱ्या आवाजात वाचले जाईल.',
+    'doc.selfAttested': 'स्वसाक्षांकित प्रत',
+    'doc.original': 'मूळ सोबत आणा',
+    'doc.optional': 'ऐच्छिक',
+    'doc.aadhaar': 'आधार कार्ड',
+    'doc.income_certificate': 'उत्पन्नाचा दाखला',
+    'doc.caste_certificate': 'जातीचा दाखला',
+    'doc.domicile_certificate': 'रहिवासी दाखला',
+    'doc.bank_passbook': 'बँक पासबुक',
+    'doc.passport_photo': 'पासपोर्ट आकाराचा फोटो',
+    'doc.ration_card': 'रेशन कार्ड',
+    'doc.land_records': 'जमिनीचे अभिलेख (सातबारा)',
+    'doc.birth_certificate': 'जन्म दाखला',
+    'doc.voter_id': 'मतदार ओळखपत्र',
+    'doc.pan_card': 'पॅन कार्ड',
+    'doc.passport': 'पासपोर्ट',
+    'doc.driving_licence': 'वाहन चालक परवाना',
+    'doc.marksheet': 'गुणपत्रिका / शैक्षणिक प्रमाणपत्रे',
+    'doc.bonafide_certificate': 'बोनाफाईड प्रमाणपत्र',
+    'doc.fee_receipt': 'शुल्क पावती',
+    'doc.disability_certificate': 'दिव्यांग प्रमाणपत्र',
+    'doc.bpl_certificate': 'BPL प्रमाणपत्र',
+    'doc.job_card': 'मनरेगा जॉब कार्ड',
+    'doc.marriage_certificate': 'विवाह प्रमाणपत्र',
+    'doc.affidavit': 'प्रतिज्ञापत्र / स्वघोषणा',
+    'doc.electricity_bill': 'वीज / उपयोगिता बिल',
+    'doc.identity_proof': 'ओळखीचा पुरावा',
+    'doc.address_proof': 'पत्त्याचा पुरावा',
+    'paste.title': 'पानाचा HTML / मजकूर पेस्ट करा',
+    'paste.help': 'ही साइट JavaScript ने उघडते. पानाचा HTML (View → Save Page As → Webpage, HTML only) किंवा लेखाचा मजकूर कॉपी करून इथे पेस्ट करा.',
+    'paste.run': 'पेस्ट केलेल्या मजकुराचा सारांश करा',
+    'paste.cancel': 'रद्द करा',
+    'check.summary': 'मी पात्र आहे का?',
+    'check.private': '(उत्तरे याच डिव्हाइसवर राहतात)',
+    'check.choose': '— निवडा —',
+    'check.button': 'तपासा',
+    'check.q.age': 'तुमचे वय (वर्षे)',
+    'check.q.incomeYear': 'कुटुंबाचे वार्षिक उत्पन्न (₹)',
+    'check.q.incomeMonth': 'कुटुंबाचे मासिक उत्पन्न (₹)',
+    'check.q.gender': 'लिंग',
+    'check.q.category': 'प्रवर्ग',
+    'check.q.domicile': 'तुम्ही कोणत्या राज्यात राहता',
+    'check.q.occupation': 'व्यवसाय',
+    'check.q.land': 'तुमची जमीन (हेक्टर)',
+    'check.q.education': 'सर्वोच्च शिक्षण',
+    'check.eligible': 'पात्र',
+    'check.not_eligible': 'पात्र नाही',
+    'check.unclear': 'अस्पष्ट',
+    'check.overall.no': 'तुम्ही कदाचित पात्र नाही — "पात्र नाही" अशा ओळी पहा.',
+    'check.overall.yes': 'सापडलेले सर्व नियम तुम्ही पूर्ण करता असे दिसते. अर्ज करण्यापूर्वी अधिकृत पानावर खात्री करा.',
+    'check.overall.unclear': 'काही नियम तपासता आले नाहीत. उरलेल्या प्रश्नांची उत्तरे द्या किंवा कार्यालयात विचारा.',
+    'opt.outside': 'भारताबाहेर', 'opt.other': 'इतर', 'opt.none': 'काहीही नाही',
+    'opt.female': 'स्त्री', 'opt.male': 'पुरुष', 'opt.transgender': 'तृतीयपंथी',
+    'opt.general': 'खुला', 'opt.minority': 'अल्पसंख्याक',
+    'opt.farmer': 'शेतकरी', 'opt.student': 'विद्यार्थी', 'opt.artisan': 'कारागीर', 'opt.weaver': 'विणकर', 'opt.fisher': 'मच्छीमार', 'opt.labourer': 'मजूर', 'opt.street_vendor': 'फेरीवाला',
+    'opt.class_8': 'इयत्ता 8', 'opt.class_10': 'इयत्ता 10', 'opt.class_12': 'इयत्ता 12', 'opt.diploma': 'पदविका / ITI', 'opt.graduate': 'पदवीधर', 'opt.postgraduate': 'पदव्युत्तर', 'opt.doctorate': 'PhD',
+    'crit.ageBetween': 'वय {min}–{max} वर्षे',
+    'crit.age': 'वय {op} {value} वर्षे',
+    'crit.income': 'उत्पन्न {op} {amount}',
+    'crit.land': 'जमीन {op} {amount}',
+    'crit.india': 'भारताचा नागरिक / रहिवासी',
+    'crit.state': '{state} चा रहिवासी',
+    'crit.education': 'शिक्षण: {op} {level}',
+    'crit.gender': 'लिंग: {value}',
+    'crit.category': 'प्रवर्ग: {value}',
+    'crit.occupation': 'व्यवसाय: {value}',
+    'op.<': 'पेक्षा कमी', 'op.<=': 'जास्तीत जास्त', 'op.>': 'पेक्षा जास्त', 'op.>=': 'किमान', 'op.==': '', 'op.in': 'यांपैकी एक',
+    'unit.perYear': 'दरवर्षी', 'unit.perMonth': 'दरमहा', 'unit.hectares': 'हेक्टर', 'unit.acres': 'एकर'
+  },
+  bn: {
+    'page.subtitle': 'সরকারি প্রকল্পের লিঙ্ক দিন এবং সহজ সারাংশ পান: কারা আবেদন করতে পারবেন, কী কী নথি লাগবে এবং কীভাবে আবেদন করবেন।',
+    'page.urlLabel': 'প্রকল্পের লিঙ্ক',
+    'page.urlPlaceholder': 'প্রকল্পের লিঙ্ক দিন (https://...)',
+    'page.simplify': 'সহজ করুন',
+    'page.upload': 'অথবা প্রকল্পের PDF আপলোড করুন:',
+    'page.language': 'ভাষা',
+    'page.easyMode': 'সহজ দৃশ্য: বড় লেখা, ছবি, শুনে বুঝুন',
+    'page.batch': 'একাধিক প্রকল্প তুলনা করুন',
+    'page.batchUrls': 'প্রকল্পের URL, প্রতি লাইনে একটি:',
+    'page.batchFiles': 'এবং / অথবা প্রকল্পের PDF বা সেভ করা HTML পাতা:',
+    'page.compare': 'তুলনা করুন',
+    'feature.fast.title': 'দ্রুত',
+    'feature.fast.body': 'প্রতিটি সারাংশ ৫ সেকেন্ডের কম সময়ে',
+    'feature.private.title': 'গোপনীয়',
+    'feature.private.body': 'দীর্ঘ সময় কিছু রাখা হয় না; শুধু অল্প সময়ের ক্যাশ',
+    'feature.accessible.title': 'সবার জন্য',
+    'feature.accessible.body': 'ছাত্রছাত্রী, কৃষক ও সমাজকর্মীদের জন্য তৈরি',
+    'output.placeholder': 'সারাংশ এখানে দেখা যাবে…',
+    'sidebar.howto': 'কীভাবে ব্যবহার করবেন',
+    'sidebar.step1': 'প্রকল্পের সর্বজনীন লিঙ্ক দিন এবং <em>সহজ করুন</em> চাপুন।',
+    'sidebar.step2': 'PDF খুব বড় হলে সেটি ডাউনলোড করে ফাইল বেছে আপলোড করুন — এটি আপনার ব্রাউজারেই পড়া হয়।',
+    'sidebar.step3': 'ভুল সারাংশ হলে ফিডব্যাক লিঙ্কে জানান (এখানে নেই)।',
+    'status.fetching': 'পাতা আনা ও পড়া হচ্ছে…',
+    'status.readingPdf': 'PDF পড়া হচ্ছে…',
+    'alert.pasteUrl': 'আগে লিঙ্ক দিন।',
+    'alert.pasteFirst': 'আগে HTML বা লেখা পেস্ট করুন।',
+    'note.pdfjs': 'PDF পাওয়া গেছে — PDF পড়তে পাতায় pdf.js যোগ করুন, অথবা PDF ফাইল আপলোড করুন।',
+    'note.pdfTooLarge': 'PDF ডাউনলোড করুন এবং উপরের "অথবা প্রকল্পের PDF আপলোড করুন" অংশে সেটি বেছে নিয়ে আপনার ব্রাউজারে পড়ুন।',
+    'result.none': 'কোনো ফল নেই',
+    'result.error': 'ত্রুটি:',
+    'result.spaTitle': 'এই সাইট JavaScript দিয়ে তৈরি হয়',
+    'result.spaTry': 'পাতার HTML বা লেখা কপি করে নিচে পেস্ট করুন।',
+    'result.untitled': 'শিরোনামহীন পাতা',
+    'result.confidence': 'নির্ভরযোগ্যতা: {n}%',
+    'result.source': 'উৎস:',
+    'result.method': 'পদ্ধতি:',
+    'result.language': 'ভাষা:',
+    'result.pages': '{n} পাতা',
+    'result.page': 'পাতা {n}',
+    'result.who': 'কারা আবেদন করতে পারবেন?',
+    'result.noElig': 'যোগ্যতা স্পষ্ট পাওয়া যায়নি। নিচে মূল লেখা দেখুন।',
+    'result.docs': 'প্রয়োজনীয় নথি',
+    'result.noDocs': 'নির্দিষ্ট কোনো নথি পাওয়া যায়নি।',
+    'result.where': 'কোথায় আবেদন করবেন',
+    'result.raw': 'মূল লেখা দেখুন',
+    'result.glossary': 'কঠিন শব্দের মানে',
+    'result.compare': 'মূল বনাম সহজ ভাষা',
+    'result.original': 'মূল',
+    'result.simplified': 'সহজ ভাষা',
+    'result.steps': 'কীভাবে আবেদন করবেন',
+    'result.mode': 'পদ্ধতি:',
+    'result.submitTo': 'কোথায় জমা দেবেন:',
+    'result.authority': 'অফিস / কর্তৃপক্ষ:',
+    'result.fee': 'ফি:',
+    'result.free': 'বিনামূল্যে',
+    'result.stepDone': 'ধাপ {n} সম্পন্ন',
+    'mode.online': 'অনলাইন',
+    'mode.offline': 'অফলাইন',
+    'mode.both': 'অনলাইন বা অফলাইন',
+    'result.dates': 'গুরুত্বপূর্ণ তারিখ',
+    'date.opening': 'শুরু',
+    'date.closing': 'শেষ তারিখ',
+    'date.result': 'ফলাফল',
+    'date.renewal': 'নবীকরণ',
+    'date.other': 'তারিখ',
+    'result.datePassed': 'তারিখ পেরিয়ে গেছে',
+    'result.daysLeft': 'আর {n} দিন বাকি',
+    'result.ics': 'শেষ তারিখ ক্যালেন্ডারে যোগ করুন (.ics)',
+    'result.benefits': 'আপনি কী পাবেন',
+    'benefit.upTo': '{amount} পর্যন্ত',
+    'benefit.percent': '{n}% ভর্তুকি',
+    'benefit.instalments': '{n} কিস্তিতে',
+    'freq.monthly': '/ মাস',
+    'freq.quarterly': '/ ত্রৈমাসিক',
+    'freq.yearly': '/ বছর',
+    'freq.one_time': 'এককালীন',
+    'item.loan': 'ঋণ',
+    'item.insurance': 'বিমা সুরক্ষা',
+    'item.equipment': 'সরঞ্জাম',
+    'item.housing': 'আবাসন',
+    'item.training': 'প্রশিক্ষণ',
+    'result.docsAsWritten': 'পৃষ্ঠায় যেমন লেখা আছে',
+    'result.printChecklist': 'তালিকা প্রিন্ট করুন',
+    'result.saveChecklist': 'টেক্সট হিসেবে সংরক্ষণ করুন',
+    'alert.popup': 'তালিকা প্রিন্ট করতে পপ-আপ চালু করুন।',
+    'alert.batchTwo': 'তুলনার জন্য অন্তত দুটি URL বা ফাইল যোগ করুন।',
+    'alert.batchMax': 'একবারে সর্বোচ্চ {n}টি প্রকল্প তুলনা করুন।',
+    'batch.title': '{n}টি প্রকল্পের তুলনা',
+    'batch.queued': 'অপেক্ষায়',
+    'batch.running': 'পড়া হচ্ছে…',
+    'batch.done': 'সম্পূর্ণ',
+    'batch.failed': 'ব্যর্থ',
+    'batch.shared': 'একাধিক প্রকল্পে লাগবে — একবারই জোগাড় করুন',
+    'batch.sharedBy': '{total}টির মধ্যে {n}টি প্রকল্পের জন্য',
+    'batch.confidence': 'আস্থা',
+    'batch.applyLink': 'আবেদনের লিঙ্ক',
+    'batch.open': '{name} খুলুন',
+    'batch.back': '← তুলনায় ফিরে যান',
+    'export.json': 'JSON সেভ করুন',
+    'export.print': 'সারাংশ প্রিন্ট করুন',
+    'export.copyText': 'লেখা কপি করুন',
+    'export.whatsapp': 'WhatsApp-এ পাঠান',
+    'export.link': 'শেয়ার লিঙ্ক কপি করুন',
+    'export.copied': 'কপি হয়েছে ✓',
+    'export.copyPrompt': 'এটি কপি করুন:',
+    'export.badLink': 'এই শেয়ার লিঙ্কটি খোলা গেল না।',
+    'export.sharedNote': 'শেয়ার করা সারাংশ — লিঙ্ক থেকে খোলা, আবার আনা হয়নি। পরিবর্তনের জন্য সরকারি পাতা দেখুন।',
+    'alert.invalidResult': 'এই ফলাফল ফরম্যাট যাচাইয়ে ব্যর্থ হয়েছে, তাই এক্সপোর্ট হয়নি: {errors}',
+    'history.title': 'সংরক্ষিত',
+    'history.empty': 'আপনার সংরক্ষিত প্রকল্পগুলি এখানে থাকে, শুধু এই ডিভাইসে।',
+    'history.clear': 'সব মুছুন',
+    'history.confirmClear': 'এই ডিভাইস থেকে সব সংরক্ষিত প্রকল্প মুছে ফেলবেন?',
+    'history.delete': 'মুছুন',
+    'history.save': 'রাখুন',
+    'history.saved': 'রাখা হয়েছে',
+    'history.savedCopy': '{date}-এর সংরক্ষিত কপি।',
+    'history.offlineCopy': 'এখন পাতাটি আনা গেল না — {date}-এ সংরক্ষিত কপি দেখানো হচ্ছে।',
+    'changes.check': 'আপডেট দেখুন',
+    'changes.checking': 'আপডেট দেখা হচ্ছে…',
+    'changes.failed': 'আপডেট যাচাই ব্যর্থ: {error}',
+    'changes.none': '{date}-এ দেখা হয়েছে: কিছু বদলায়নি।',
+    'changes.found': 'সারাংশ বদলেছে — নিচে “কী বদলেছে” দেখুন।',
+    'changes.sameSummary': 'পাতাটি বদলেছে, কিন্তু এই সারাংশে কিছু বদলায়নি।',
+    'changes.title': 'আগের কপি থেকে কী বদলেছে',
+    'changes.titleField': 'শিরোনাম',
+    'changes.rules': 'নিয়ম',
+    'changes.added': 'নতুন',
+    'changes.removed': 'বাদ',
+    'changes.changed': 'বদলেছে',
+    'changes.badge': 'আপডেট হয়েছে',
+    'why.button': 'কেন?',
+    'why.title': 'এই ভরসা কেন',
+    'why.total': 'ভরসা',
+    'why.hint': 'কোনো লাইন কোথা থেকে নেওয়া, দেখতে তার পাশে § চাপুন।',
+    'why.none': 'এই সারাংশের সঙ্গে কোনো বিশ্লেষণ সংরক্ষিত হয়নি।',
+    'why.source': 'উৎস',
+    'why.from': '“{heading}” থেকে',
+    'why.noHeading': 'শিরোনামহীন অংশ',
+    'why.wholePage': 'পুরো পাতা খোঁজা',
+    'why.score': 'মিল {n}%',
+    'score.eligibility': 'যোগ্যতা মিল {n}%',
+    'score.documents': 'নথি মিল {n}%',
+    'score.benefits': 'সুবিধা মিল {n}%',
+    'score.steps': 'ধাপ মিল {n}%',
+    'why.passages': 'যে অংশগুলি থেকে সারাংশ তৈরি',
+    'why.notFound': 'অংশে হুবহু এই কথা পাওয়া যায়নি',
+    'factor.eligibility_lines': 'যোগ্যতার নিয়ম পাওয়া গেছে ({value})',
+    'factor.document_lines': 'নথি পাওয়া গেছে ({value})',
+    'factor.block_scores': 'সেরা অংশটি কতটা মিলেছে ({value})',
+    'factor.cap': 'সর্বোচ্চ সীমায় আটকানো',
+    'factor.page_fallback': 'শুধু পুরো পাতা খুঁজে পাওয়া গেছে',
+    'factor.nothing_found': 'কোনো নিয়ম বা নথি পাওয়া যায়নি',
+    'rule.elig_keyword': 'যোগ্যতার শব্দ “{match}”',
+    'rule.elig_pattern': 'নিয়মের মতো দেখায় (“{match}”)',
+    'rule.criteria': 'বয়স / আয় / শ্রেণির নিয়ম (“{match}”)',
+    'rule.doc_keyword': 'নথির শব্দ “{match}”',
+    'rule.doc_catalogue': 'পরিচিত নথি (“{match}”)',
+    'rule.benefit_block': 'সুবিধার অংশে',
+    'rule.benefit_keyword': 'সুবিধার শব্দ “{match}”',
+    'rule.steps_heading': '“কীভাবে আবেদন করবেন” শিরোনামের নিচে',
+    'rule.step_inline': 'ক্রমিক ধাপ',
+    'rule.date_label': '“{match}”-এর পাশের তারিখ',
+    'rule.date_found': 'লেখায় পাওয়া তারিখ',
+    'redact.note': 'দেখানোর আগে লুকানো হয়েছে: {list}',
+    'redact.why': 'পাতায় পাওয়া ব্যক্তিগত তথ্য দেখানো, সংরক্ষণ বা শেয়ার করার আগে [REDACTED_…] দিয়ে বদলে দেওয়া হয়।',
+    'redact.email': 'ইমেল ঠিকানা {n}',
+    'redact.bank': 'ব্যাংক অ্যাকাউন্ট / IFSC {n}',
+    'redact.pan': 'PAN {n}',
+    'redact.aadhaar': 'আধার / পরিচয় নম্বর {n}',
+    'redact.phone': 'ফোন নম্বর {n}',
+    'redact.address': 'ঠিকানা / পিন কোড {n}',
+    'redact.name': 'নাম {n}',
+    'easy.nav': 'অংশ',
+    'easy.keysHint': 'টিপ: অংশগুলির মধ্যে যেতে ↑ বা ↓ চাপুন, পড়া থামাতে Esc।',
+    'easy.listen': 'শুনুন',
+    'easy.pause': 'থামান',
+    'easy.resume': 'আবার চালান',
+    'easy.readAll': 'সবকিছু পড়ে শোনান',
+    'easy.noVoice': 'এই ডিভাইসে {lang} কণ্ঠ নেই; অন্য কণ্ঠে পড়া হবে।',
+    'doc.selfAttested': 'স্ব-প্রত্যয়িত কপি',
+    'doc.original': 'আসল সঙ্গে আনুন',
+    'doc.optional': 'ঐচ্ছিক',
+    'doc.aadhaar': 'আধার কার্ড',
+    'doc.income_certificate': 'আয়ের শংসাপত্র',
+    'doc.caste_certificate': 'জাতি শংসাপত্র',
+    'doc.domicile_certificate': 'অধিবাস শংসাপত্র',
+    'doc.bank_passbook': 'ব্যাংক পাসবই',
+    'doc.passport_photo': 'পাসপোর্ট সাইজ ছবি',
+    'doc.ration_card': 'রেশন কার্ড',
+    'doc.land_records': 'জমির নথি',
+    'doc.birth_certificate': 'জন্ম শংসাপত্র',
+    'doc.voter_id': 'ভোটার কার্ড',
+    'doc.pan_card': 'প্যান কার্ড',
+    'doc.passport': 'পাসপোর্ট',
+    'doc.driving_licence': 'ড্রাইভিং লাইসেন্স',
+    'doc.marksheet': 'মার্কশিট / শিক্ষাগত শংসাপত্র',
+    'doc.bonafide_certificate': 'বোনাফাইড শংসাপত্র',
+    'doc.fee_receipt': 'ফি-র রসিদ',
+    'doc.disability_certificate': 'প্রতিবন্ধী শংসাপত্র',
+    'doc.bpl_certificate': 'BPL শংসাপত্র',
+    'doc.job_card': 'MGNREGA জব কার্ড',
+    'doc.marriage_certificate': 'বিবাহ শংসাপত্র',
+    'doc.affidavit': 'হলফনামা / স্ব-ঘোষণা',
+    'doc.electricity_bill': 'বিদ্যুৎ / ইউটিলিটি বিল',
+    'doc.identity_proof': 'পরিচয়ের প্রমাণ',
+    'doc.address_proof': 'ঠিকানার প্রমাণ',
+    'paste.title': 'পাতার HTML / লেখা পেস্ট করুন',
+    'paste.help': 'এই সাইট JavaScript দিয়ে খোলে। পাতার HTML (View → Save Page As → Webpage, HTML only) বা লেখা কপি করে এখানে পেস্ট করুন।',
+    'paste.run': 'পেস্ট করা লেখার সারাংশ করুন',
+    'paste.cancel': 'বাতিল',
+    'check.summary': 'আমি কি যোগ্য?',
+    'check.private': '(উত্তর এই ডিভাইসেই থাকে)',
+    'check.choose': '— বেছে নিন —',
+    'check.button': 'যাচাই করুন',
+    'check.q.age': 'আপনার বয়স (বছর)',
+    'check.q.incomeYear': 'পরিবারের বার্ষিক আয় (₹)',
+    'check.q.incomeMonth': 'পরিবারের মাসিক আয় (₹)',
+    'check.q.gender': 'লিঙ্গ',
+    'check.q.category': 'শ্রেণি',
+    'check.q.domicile': 'আপনি কোন রাজ্যে থাকেন',
+    'check.q.occupation': 'পেশা',
+    'check.q.land': 'আপনার জমি (হেক্টর)',
+    'check.q.education': 'সর্বোচ্চ শিক্ষা',
+    'check.eligible': 'যোগ্য',
+    'check.not_eligible': 'যোগ্য নন',
+    'check.unclear': 'অস্পষ্ট',
+    'check.overall.no': 'আপনি সম্ভবত যোগ্য নন — "যোগ্য নন" লেখা লাইনগুলো দেখুন।',
+    'check.overall.yes': 'পাওয়া সব নিয়ম আপনি মানছেন বলে মনে হচ্ছে। আবেদনের আগে সরকারি পাতায় নিশ্চিত হোন।',
+    'check.overall.unclear': 'কিছু নিয়ম যাচাই করা যায়নি। বাকি প্রশ্নের উত্তর দিন বা অফিসে জিজ্ঞেস করুন।',
+    'opt.outside': 'ভারতের বাইরে', 'opt.other': 'অন্য', 'opt.none': 'কিছুই না',
+    'opt.female': 'মহিলা', 'opt.male': 'পুরুষ', 'opt.transgender': 'রূপান্তরকামী',
+    'opt.general': 'সাধারণ', 'opt.minority': 'সংখ্যালঘু',
+    'opt.farmer': 'কৃষক', 'opt.student': 'ছাত্র/ছাত্রী', 'opt.artisan': 'কারিগর', 'opt.weaver': 'তাঁতি', 'opt.fisher': 'মৎস্যজীবী', 'opt.labourer': 'শ্রমিক', 'opt.street_vendor': 'হকার',
+    'opt.class_8': 'অষ্টম শ্রেণি', 'opt.class_10': 'দশম শ্রেণি', 'opt.class_12': 'দ্বাদশ শ্রেণি', 'opt.diploma': 'ডিপ্লোমা / ITI', 'opt.graduate': 'স্নাতক', 'opt.postgraduate': 'স্নাতকোত্তর', 'opt.doctorate': 'PhD',
+    'crit.ageBetween': 'বয়স {min}–{max} বছর',
+    'crit.age': 'বয়স {op} {value} বছর',
+    'crit.income': 'আয় {op} {amount}',
+    'crit.land': 'জমি {op} {amount}',
+    'crit.india': 'ভারতের নাগরিক / বাসিন্দা',
+    'crit.state': '{state}-এর বাসিন্দা',
+    'crit.education': 'শিক্ষা: {op} {level}',
+    'crit.gender': 'লিঙ্গ: {value}',
+    'crit.category': 'শ্রেণি: {value}',
+    'crit.occupation': 'পেশা: {value}',
+    'op.<': 'এর কম', 'op.<=': 'সর্বোচ্চ', 'op.>': 'এর বেশি', 'op.>=': 'অন্তত', 'op.==': '', 'op.in': 'এর যেকোনো একটি',
+    'unit.perYear': 'প্রতি বছর', 'unit.perMonth': 'প্রতি মাসে', 'unit.hectares': 'হেক্টর', 'unit.acres': 'একর'
+  },
+  ta: {
+    'page.subtitle': 'அரசுத் திட்டத்தின் இணைப்பை ஒட்டி எளிய சுருக்கம் பெறுங்கள்: யார் விண்ணப்பிக்கலாம், தேவையான ஆவணங்கள், எப்படி விண்ணப்பிப்பது.',
+    'page.urlLabel': 'திட்ட இணைப்பு',
+    'page.urlPlaceholder': 'திட்ட இணைப்பை ஒட்டவும் (https://...)',
+    'page.simplify': 'எளிதாக்கு',
+    'page.upload': 'அல்லது திட்ட PDF-ஐ பதிவேற்றவும்:',
+    'page.language': 'மொழி',
+    'page.easyMode': 'எளிய காட்சி: பெரிய எழுத்து, படங்கள், கேட்டுப் புரிந்துகொள்ள',
+    'page.batch': 'பல திட்டங்களை ஒப்பிடுக',
+    'page.batchUrls': 'திட்ட URL-கள், ஒரு வரிக்கு ஒன்று:',
+    'page.batchFiles': 'மற்றும் / அல்லது திட்ட PDF-கள் அல்லது சேமித்த HTML பக்கங்கள்:',
+    'page.compare': 'ஒப்பிடு',
+    'feature.fast.title': 'விரைவு',
+    'feature.fast.body': 'ஒவ்வொரு சுருக்கமும் 5 விநாடிக்குள்',
+    'feature.private.title': 'தனிப்பட்டது',
+    'feature.private.body': 'நீண்டகால சேமிப்பு இல்லை; சிறிது நேர கேஷ் மட்டும்',
+    'feature.accessible.title': 'அனைவருக்கும்',
+    'feature.accessible.body': 'மாணவர்கள், விவசாயிகள், சமூகப் பணியாளர்களுக்காக',
+    'output.placeholder': 'சுருக்கம் இங்கே தோன்றும்…',
+    'sidebar.howto': 'பயன்படுத்தும் முறை',
+    'sidebar.step1': 'திட்டத்தின் பொது இணைப்பை ஒட்டி <em>எளிதாக்கு</em> அழுத்தவும்.',
+    'sidebar.step2': 'PDF மிகப் பெரியதாக இருந்தால் அதைப் பதிவிறக்கி கோப்பைத் தேர்ந்தெடுத்து பதிவேற்றவும் — அது உங்கள் உலாவியிலேயே படிக்கப்படும்.',
+    'sidebar.step3': 'தவறான சுருக்கத்தை கருத்து இணைப்பின் மூலம் தெரிவிக்கவும் (இங்கு இல்லை).',
+    'status.fetching': 'பக்கம் எடுக்கப்பட்டு படிக்கப்படுகிறது…',
+    'status.readingPdf': 'PDF படிக்கப்படுகிறது…',
+    'alert.pasteUrl': 'முதலில் இணைப்பை ஒட்டவும்.',
+    'alert.pasteFirst': 'முதலில் HTML அல்லது உரையை ஒட்டவும்.',
+    'note.pdfjs': 'PDF கண்டறியப்பட்டது — PDF படிக்க பக்கத்தில் pdf.js சேர்க்கவும், அல்லது PDF கோப்பைப் பதிவேற்றவும்.',
+    'note.pdfTooLarge': 'PDF-ஐப் பதிவிறக்கி மேலே உள்ள "அல்லது திட்ட PDF-ஐ பதிவேற்றவும்" பகுதியில் அதைத் தேர்ந்தெடுத்து உங்கள் உலாவியில் படிக்கவும்.',
+    'result.none': 'முடிவு இல்லை',
+    'result.error': 'பிழை:',
+    'result.spaTitle': 'இந்தத் தளம் JavaScript மூலம் உருவாகிறது',
+    'result.spaTry': 'பக்கத்தின் HTML அல்லது உரையை நகலெடுத்து கீழே ஒட்டவும்.',
+    'result.untitled': 'தலைப்பில்லாத பக்கம்',
+    'result.confidence': 'நம்பகத்தன்மை: {n}%',
+    'result.source': 'மூலம்:',
+    'result.method': 'முறை:',
+    'result.language': 'மொழி:',
+    'result.pages': '{n} பக்கங்கள்',
+    'result.page': 'பக். {n}',
+    'result.who': 'யார் விண்ணப்பிக்கலாம்?',
+    'result.noElig': 'தகுதி தெளிவாகக் கிடைக்கவில்லை. கீழே மூல உரையைப் பார்க்கவும்.',
+    'result.docs': 'தேவையான ஆவணங்கள்',
+    'result.noDocs': 'குறிப்பிட்ட ஆவணங்கள் எதுவும் கிடைக்கவில்லை.',
+    'result.where': 'எங்கே விண்ணப்பிப்பது',
+    'result.raw': 'மூல உரையைப் பார்க்கவும்',
+    'result.glossary': 'கடினமான சொற்களின் பொருள்',
+    'result.compare': 'மூலம் மற்றும் எளிய மொழி',
+    'result.original': 'மூலம்',
+    'result.simplified': 'எளிய மொழி',
+    'result.steps': 'விண்ணப்பிக்கும் முறை',
+    'result.mode': 'முறை:',
+    'result.submitTo': 'எங்கு சமர்ப்பிக்க:',
+    'result.authority': 'அலுவலகம் / அதிகாரி:',
+    'result.fee': 'கட்டணம்:',
+    'result.free': 'இலவசம்',
+    'result.stepDone': 'படி {n} முடிந்தது',
+    'mode.online': 'ஆன்லைன்',
+    'mode.offline': 'ஆஃப்லைன்',
+    'mode.both': 'ஆன்லைன் அல்லது ஆஃப்லைன்',
+    'result.dates': 'முக்கிய தேதிகள்',
+    'date.opening': 'தொடக்கம்',
+    'date.closing': 'கடைசி தேதி',
+    'date.result': 'முடிவு',
+    'date.renewal': 'புதுப்பித்தல்',
+    'date.other': 'தேதி',
+    'result.datePassed': 'தேதி கடந்துவிட்டது',
+    'result.daysLeft': 'இன்னும் {n} நாட்கள்',
+    'result.ics': 'கடைசி தேதியை நாட்காட்டியில் சேர் (.ics)',
+    'result.benefits': 'உங்களுக்கு என்ன கிடைக்கும்',
+    'benefit.upTo': '{amount} வரை',
+    'benefit.percent': '{n}% மானியம்',
+    'benefit.instalments': '{n} தவணைகளில்',
+    'freq.monthly': '/ மாதம்',
+    'freq.quarterly': '/ காலாண்டு',
+    'freq.yearly': '/ ஆண்டு',
+    'freq.one_time': 'ஒரு முறை',
+    'item.loan': 'கடன்',
+    'item.insurance': 'காப்பீடு',
+    'item.equipment': 'உபகரணங்கள்',
+    'item.housing': 'வீடு',
+    'item.training': 'பயிற்சி',
+    'result.docsAsWritten': 'பக்கத்தில் எழுதியபடி',
+    'result.printChecklist': 'பட்டியலை அச்சிடு',
+    'result.saveChecklist': 'உரையாகச் சேமி',
+    'alert.popup': 'பட்டியலை அச்சிட பாப்-அப்பை அனுமதிக்கவும்.',
+    'alert.batchTwo': 'ஒப்பிட குறைந்தது இரண்டு URL அல்லது கோப்புகளைச் சேர்க்கவும்.',
+    'alert.batchMax': 'ஒரே நேரத்தில் அதிகபட்சம் {n} திட்டங்களை ஒப்பிடவும்.',
+    'batch.title': '{n} திட்டங்களின் ஒப்பீடு',
+    'batch.queued': 'காத்திருக்கிறது',
+    'batch.running': 'படிக்கப்படுகிறது…',
+    'batch.done': 'முடிந்தது',
+    'batch.failed': 'தோல்வி',
+    'batch.shared': 'ஒன்றுக்கு மேற்பட்ட திட்டங்களுக்குத் தேவை — ஒருமுறை சேகரிக்கவும்',
+    'batch.sharedBy': '{total} இல் {n} திட்டங்களுக்கு',
+    'batch.confidence': 'நம்பகத்தன்மை',
+    'batch.applyLink': 'விண்ணப்ப இணைப்பு',
+    'batch.open': '{name} திற',
+    'batch.back': '← ஒப்பீட்டுக்குத் திரும்பு',
+    'export.json': 'JSON சேமி',
+    'export.print': 'சுருக்கத்தை அச்சிடு',
+    'export.copyText': 'உரையை நகலெடு',
+    'export.whatsapp': 'WhatsApp-இல் பகிர்',
+    'export.link': 'பகிர்வு இணைப்பை நகலெடு',
+    'export.copied': 'நகலெடுக்கப்பட்டது ✓',
+    'export.copyPrompt': 'இதை நகலெடுக்கவும்:',
+    'export.badLink': 'இந்தப் பகிர்வு இணைப்பைத் திறக்க முடியவில்லை.',
+    'export.sharedNote': 'பகிரப்பட்ட சுருக்கம் — இணைப்பிலிருந்து திறக்கப்பட்டது, மீண்டும் எடுக்கப்படவில்லை. மாற்றங்களுக்கு அதிகாரப்பூர்வ பக்கத்தைப் பார்க்கவும்.',
+    'alert.invalidResult': 'இந்த முடிவு வடிவச் சரிபார்ப்பில் தோல்வியடைந்ததால் ஏற்றுமதி செய்யப்படவில்லை: {errors}',
+    'history.title': 'சேமித்தவை',
+    'history.empty': 'நீங்கள் சேமித்த திட்டங்கள் இங்கே, இந்தச் சாதனத்தில் மட்டும் இருக்கும்.',
+    'history.clear': 'அனைத்தையும் அழி',
+    'history.confirmClear': 'இந்தச் சாதனத்திலிருந்து சேமித்த அனைத்துத் திட்டங்களையும் அழிக்கவா?',
+    'history.delete': 'அழி',
+    'history.save': 'சேமி',
+    'history.saved': 'சேமிக்கப்பட்டது',
+    'history.savedCopy': '{date} அன்று சேமித்த நகல்.',
+    'history.offlineCopy': 'இப்போது பக்கத்தை எடுக்க முடியவில்லை — {date} அன்று சேமித்த நகல் காட்டப்படுகிறது.',
+    'changes.check': 'புதுப்பிப்புகளைச் சரிபார்',
+    'changes.checking': 'புதுப்பிப்புகள் சரிபார்க்கப்படுகின்றன…',
+    'changes.failed': 'புதுப்பிப்புச் சரிபார்ப்பு தோல்வி: {error}',
+    'changes.none': '{date} அன்று சரிபார்த்தது: எதுவும் மாறவில்லை.',
+    'changes.found': 'சுருக்கம் மாறியுள்ளது — கீழே “என்ன மாறியது” பார்க்கவும்.',
+    'changes.sameSummary': 'பக்கம் திருத்தப்பட்டது, ஆனால் இந்தச் சுருக்கத்தில் எதுவும் மாறவில்லை.',
+    'changes.title': 'முந்தைய நகலிலிருந்து என்ன மாறியது',
+    'changes.titleField': 'தலைப்பு',
+    'changes.rules': 'விதிகள்',
+    'changes.added': 'புதியது',
+    'changes.removed': 'நீக்கப்பட்டது',
+    'changes.changed': 'மாறியது',
+    'changes.badge': 'புதுப்பிக்கப்பட்டது',
+    'why.button': 'ஏன்?',
+    'why.title': 'இந்த நம்பகத்தன்மை ஏன்',
+    'why.total': 'நம்பகத்தன்மை',
+    'why.hint': 'ஒரு வரி எங்கிருந்து எடுக்கப்பட்டது என்று பார்க்க அதன் அருகே உள்ள § ஐ அழுத்தவும்.',
+    'why.none': 'இந்தச் சுருக்கத்துடன் விவரம் சேமிக்கப்படவில்லை.',
+    'why.source': 'மூலம்',
+    'why.from': '“{heading}” இலிருந்து',
+    'why.noHeading': 'தலைப்பில்லாத பகுதி',
+    'why.wholePage': 'முழுப் பக்கத் தேடல்',
+    'why.score': 'பொருத்தம் {n}%',
+    'score.eligibility': 'தகுதி பொருத்தம் {n}%',
+    'score.documents': 'ஆவணங்கள் பொருத்தம் {n}%',
+    'score.benefits': 'பலன்கள் பொருத்தம் {n}%',
+    'score.steps': 'படிகள் பொருத்தம் {n}%',
+    'why.passages': 'சுருக்கம் உருவான பகுதிகள்',
+    'why.notFound': 'பகுதியில் இதே சொற்கள் கிடைக்கவில்லை',
+    'factor.eligibility_lines': 'தகுதி விதிகள் கிடைத்தன ({value})',
+    'factor.document_lines': 'ஆவணங்கள் கிடைத்தன ({value})',
+    'factor.block_scores': 'சிறந்த பகுதி எவ்வளவு பொருந்தியது ({value})',
+    'factor.cap': 'அதிகபட்ச வரம்பில் நிறுத்தப்பட்டது',
+    'factor.page_fallback': 'முழுப் பக்கத்தைத் தேடியே கிடைத்தது',
+    'factor.nothing_found': 'விதிகளோ ஆவணங்களோ கிடைக்கவில்லை',
+    'rule.elig_keyword': 'தகுதிச் சொல் “{match}”',
+    'rule.elig_pattern': 'விதி போல் தெரிகிறது (“{match}”)',
+    'rule.criteria': 'வயது / வருமானம் / பிரிவு விதி (“{match}”)',
+    'rule.doc_keyword': 'ஆவணச் சொல் “{match}”',
+    'rule.doc_catalogue': 'அறியப்பட்ட ஆவணம் (“{match}”)',
+    'rule.benefit_block': 'பலன்கள் பகுதியில்',
+    'rule.benefit_keyword': 'பலன் சொல் “{match}”',
+    'rule.steps_heading': '“விண்ணப்பிப்பது எப்படி” தலைப்பின் கீழ்',
+    'rule.step_inline': 'எண்ணிட்ட படி',
+    'rule.date_label': '“{match}” அருகிலுள்ள தேதி',
+    'rule.date_found': 'உரையில் உள்ள தேதி',
+    'redact.note': 'காட்டும் முன் மறைக்கப்பட்டவை: {list}',
+    'redact.why': 'பக்கத்தில் உள்ள தனிப்பட்ட விவரங்கள் காட்டுவதற்கும், சேமிப்பதற்கும், பகிர்வதற்கும் முன் [REDACTED_…] என மாற்றப்படும்.',
+    'redact.email': 'மின்னஞ்சல் முகவரிகள் {n}',
+    'redact.bank': 'வங்கிக் கணக்கு / IFSC {n}',
+    'redact.pan': 'PAN {n}',
+    'redact.aadhaar': 'ஆதார் / அடையாள எண்கள் {n}',
+    'redact.phone': 'தொலைபேசி எண்கள் {n}',
+    'redact.address': 'முகவரிகள் / அஞ்சல் குறியீடுகள் {n}',
+    'redact.name': 'பெயர்கள் {n}',
+    'easy.nav': 'பகுதிகள்',
+    'easy.keysHint': 'குறிப்பு: பகுதிகளுக்கு இடையே செல்ல ↑ அல்லது ↓ அழுத்தவும், வாசிப்பை நிறுத்த Esc.',
+    'easy.listen': 'கேளுங்கள்',
+    'easy.pause': 'இடைநிறுத்து',
+    'easy.resume': 'தொடரவும்',
+    'easy.readAll': 'அனைத்தையும் வாசித்துக் காட்டு',
+    'easy.noVoice': 'இந்தச் சாதனத்தில் {lang} குரல் இல்லை; வேறு குரலில் வாசிக்கப்படும்.',
+    'doc.selfAttested': 'சுய சான்றொப்ப நகல்',
+    'doc.original': 'அசலைக் கொண்டு வரவும்',
+    'doc.optional': 'விருப்பத்தேர்வு',
+    'doc.aadhaar': 'ஆதார் அட்டை',
+    'doc.income_certificate': 'வருமான சான்றிதழ்',
+    'doc.caste_certificate': 'சாதிச் சான்றிதழ்',
+    'doc.domicile_certificate': 'இருப்பிடச் சான்றிதழ்',
+    'doc.bank_passbook': 'வங்கி கணக்கு புத்தகம்',
+    'doc.passport_photo': 'பாஸ்போர்ட் அளவு புகைப்படம்',
+    'doc.ration_card': 'குடும்ப அட்டை',
+    'doc.land_records': 'நில ஆவணங்கள் (பட்டா)',
+    'doc.birth_certificate': 'பிறப்புச் சான்றிதழ்',
+    'doc.voter_id': 'வாக்காளர் அடையாள அட்டை',
+    'doc.pan_card': 'பான் அட்டை',
+    'doc.passport': 'கடவுச்சீட்டு',
+    'doc.driving_licence': 'ஓட்டுநர் உரிமம்',
+    'doc.marksheet': 'மதிப்பெண் சான்றிதழ்கள்',
+    'doc.bonafide_certificate': 'படிப்புச் சான்றிதழ்',
+    'doc.fee_receipt': 'கட்டண ரசீது',
+    'doc.disability_certificate': 'மாற்றுத்திறனாளி சான்றிதழ்',
+    'doc.bpl_certificate': 'BPL சான்றிதழ்',
+    'doc.job_card': 'MGNREGA வேலை அட்டை',
+    'doc.marriage_certificate': 'திருமணச் சான்றிதழ்',
+    'doc.affidavit': 'உறுதிமொழிப் பத்திரம் / சுய அறிவிப்பு',
+    'doc.electricity_bill': 'மின் / பயன்பாட்டு கட்டண ரசீது',
+    'doc.identity_proof': 'அடையாளச் சான்று',
+    'doc.address_proof': 'முகவரிச் சான்று',
+    'paste.title': 'பக்கத்தின் HTML / உரையை ஒட்டவும்',
+    'paste.help': 'இந்தத் தளம் JavaScript மூலம் திறக்கிறது. பக்கத்தின் HTML (View → Save Page As → Webpage, HTML only) அல்லது உரையை நகலெடுத்து இங்கே ஒட்டவும்.',
+    'paste.run': 'ஒட்டிய உரையைச் சுருக்கு',
+    'paste.cancel': 'ரத்து',
+    'check.summary': 'நான் தகுதியானவரா?',
+    'check.private': '(பதில்கள் இந்தச் சாதனத்திலேயே இருக்கும்)',
+    'check.choose': '— தேர்ந்தெடுக்கவும் —',
+    'check.button': 'சரிபார்',
+    'check.q.age': 'உங்கள் வயது (ஆண்டுகள்)',
+    'check.q.incomeYear': 'குடும்ப ஆண்டு வருமானம் (₹)',
+    'check.q.incomeMonth': 'குடும்ப மாத வருமானம் (₹)',
+    'check.q.gender': 'பாலினம்',
+    'check.q.category': 'பிரிவு',
+    'check.q.domicile': 'நீங்கள் வசிக்கும் மாநிலம்',
+    'check.q.occupation': 'தொழில்',
+    'check.q.land': 'உங்கள் நிலம் (ஹெக்டேர்)',
+    'check.q.education': 'முடித்த உயர்ந்த கல்வி',
+    'check.eligible': 'தகுதி உண்டு',
+    'check.not_eligible': 'தகுதி இல்லை',
+    'check.unclear': 'தெளிவில்லை',
+    'check.overall.no': 'நீங்கள் தகுதியற்றவராக இருக்கலாம் — "தகுதி இல்லை" என்ற வரிகளைப் பார்க்கவும்.',
+    'check.overall.yes': 'கண்டறிந்த எல்லா விதிகளையும் நீங்கள் பூர்த்தி செய்வதாகத் தெரிகிறது. விண்ணப்பிக்கும் முன் அதிகாரப்பூர்வ பக்கத்தில் உறுதிசெய்யவும்.',
+    'check.overall.unclear': 'சில விதிகளைச் சரிபார்க்க முடியவில்லை. மீதமுள்ள கேள்விகளுக்குப் பதிலளிக்கவும் அல்லது அலுவலகத்தில் கேட்கவும்.',
+    'opt.outside': 'இந்தியாவுக்கு வெளியே', 'opt.other': 'மற்றவை', 'opt.none': 'எதுவுமில்லை',
+    'opt.female': 'பெண்', 'opt.male': 'ஆண்', 'opt.transgender': 'திருநங்கை',
+    'opt.general': 'பொது', 'opt.minority': 'சிறுபான்மையினர்',
+    'opt.farmer': 'விவசாயி', 'opt.student': 'மாணவர்', 'opt.artisan': 'கைவினைஞர்', 'opt.weaver': 'நெசவாளர்', 'opt.fisher': 'மீனவர்', 'opt.labourer': 'தொழிலாளி', 'opt.street_vendor': 'தெருவோர வியாபாரி',
+    'opt.class_8': '8ஆம் வகுப்பு', 'opt.class_10': '10ஆம் வகுப்பு', 'opt.class_12': '12ஆம் வகுப்பு', 'opt.diploma': 'டிப்ளோமா / ITI', 'opt.graduate': 'பட்டதாரி', 'opt.postgraduate': 'முதுநிலை பட்டதாரி', 'opt.doctorate': 'PhD',
+    'crit.ageBetween': 'வயது {min}–{max} ஆண்டுகள்',
+    'crit.age': 'வயது {op} {value} ஆண்டுகள்',
+    'crit.income': 'வருமானம் {op} {amount}',
+    'crit.land': 'நிலம் {op} {amount}',
+    'crit.india': 'இந்தியக் குடிமகன் / வசிப்பவர்',
+    'crit.state': '{state} வசிப்பவர்',
+    'crit.education': 'கல்வி: {op} {level}',
+    'crit.gender': 'பாலினம்: {value}',
+    'crit.category': 'பிரிவு: {value}',
+    'crit.occupation': 'தொழில்: {value}',
+    'op.<': 'க்குக் குறைவாக', 'op.<=': 'அதிகபட்சம்', 'op.>': 'க்கு மேல்', 'op.>=': 'குறைந்தது', 'op.==': '', 'op.in': 'இவற்றில் ஒன்று',
+    'unit.perYear': 'ஆண்டுக்கு', 'unit.perMonth': 'மாதத்திற்கு', 'unit.hectares': 'ஹெக்டேர்', 'unit.acres': 'ஏக்கர்'
+  },
+  te: {
+    'page.subtitle': 'ప్రభుత్వ పథకం లింక్ అతికించి సులభమైన సారాంశం పొందండి: ఎవరు దరఖాస్తు చేయవచ్చు, కావలసిన పత్రాలు, ఎలా దరఖాస్తు చేయాలి.',
+    'page.urlLabel': 'పథకం లింక్',
+    'page.urlPlaceholder': 'పథకం లింక్ అతికించండి (https://...)',
+    'page.simplify': 'సులభం చేయి',
+    'page.upload': 'లేదా పథకం PDF అప్‌లోడ్ చేయండి:',
+    'page.language': 'భాష',
+    'page.easyMode': 'సులభ వీక్షణ: పెద్ద అక్షరాలు, చిత్రాలు, విని అర్థం చేసుకోండి',
+    'page.batch': 'పలు పథకాలను పోల్చండి',
+    'page.batchUrls': 'పథకం URLలు, ఒక్కో లైన్‌లో ఒకటి:',
+    'page.batchFiles': 'మరియు / లేదా పథకం PDFలు లేదా సేవ్ చేసిన HTML పేజీలు:',
+    'page.compare': 'పోల్చండి',
+    'feature.fast.title': 'వేగం',
+    'feature.fast.body': 'ప్రతి సారాంశం 5 సెకన్లలోపు',
+    'feature.private.title': 'గోప్యత',
+    'feature.private.body': 'దీర్ఘకాలిక నిల్వ లేదు; కొద్దిసేపటి కాష్ మాత్రమే',
+    'feature.accessible.title': 'అందరికీ',
+    'feature.accessible.body': 'విద్యార్థులు, రైతులు, సామాజిక కార్యకర్తల కోసం',
+    'output.placeholder': 'సారాంశం ఇక్కడ కనిపిస్తుంది…',
+    'sidebar.howto': 'ఎలా ఉపయోగించాలి',
+    'sidebar.step1': 'పథకం పబ్లిక్ లింక్ అతికించి <em>సులభం చేయి</em> నొక్కండి.',
+    'sidebar.step2': 'PDF చాలా పెద్దదైతే దాన్ని డౌన్‌లోడ్ చేసి ఫైల్ ఎంచుకుని అప్‌లోడ్ చేయండి — అది మీ బ్రౌజర్‌లోనే చదవబడుతుంది.',
+    'sidebar.step3': 'తప్పు సారాంశాన్ని ఫీడ్‌బ్యాక్ లింక్ ద్వారా తెలియజేయండి (ఇక్కడ లేదు).',
+    'status.fetching': 'పేజీ తెచ్చి చదువుతోంది…',
+    'status.readingPdf': 'PDF చదువుతోంది…',
+    'alert.pasteUrl': 'ముందుగా లింక్ అతికించండి.',
+    'alert.pasteFirst': 'ముందుగా HTML లేదా వచనం అతికించండి.',
+    'note.pdfjs': 'PDF కనుగొనబడింది — PDF చదవడానికి పేజీలో pdf.js చేర్చండి, లేదా PDF ఫైల్ అప్‌లోడ్ చేయండి.',
+    'note.pdfTooLarge': 'PDF డౌన్‌లోడ్ చేసి పైన ఉన్న "లేదా పథకం PDF అప్‌లోడ్ చేయండి" వద్ద దాన్ని ఎంచుకుని మీ బ్రౌజర్‌లో చదవండి.',
+    'result.none': 'ఫలితం లేదు',
+    'result.error': 'లోపం:',
+    'result.spaTitle': 'ఈ సైట్ JavaScript తో తయారవుతుంది',
+    'result.spaTry': 'పేజీ HTML లేదా వచనాన్ని కాపీ చేసి కింద అతికించండి.',
+    'result.untitled': 'శీర్షిక లేని పేజీ',
+    'result.confidence': 'నమ్మకం: {n}%',
+    'result.source': 'మూలం:',
+    'result.method': 'పద్ధతి:',
+    'result.language': 'భాష:',
+    'result.pages': '{n} పేజీలు',
+    'result.page': 'పే. {n}',
+    'result.who': 'ఎవరు దరఖాస్తు చేయవచ్చు?',
+    'result.noElig': 'అర్హత స్పష్టంగా కనబడలేదు. కింద మూల వచనం చూడండి.',
+    'result.docs': 'కావలసిన పత్రాలు',
+    'result.noDocs': 'ప్రత్యేక పత్రాలు ఏవీ కనబడలేదు.',
+    'result.where': 'ఎక్కడ దరఖాస్తు చేయాలి',
+    'result.raw': 'మూల వచనం చూడండి',
+    'result.glossary': 'కష్టమైన పదాల అర్థం',
+    'result.compare': 'మూలం మరియు సులభ భాష',
+    'result.original': 'మూలం',
+    'result.simplified': 'సులభ భాష',
+    'result.steps': 'ఎలా దరఖాస్తు చేయాలి',
+    'result.mode': 'విధానం:',
+    'result.submitTo': 'ఎక్కడ సమర్పించాలి:',
+    'result.authority': 'కార్యాలయం / అధికారి:',
+    'result.fee': 'రుసుము:',
+    'result.free': 'ఉచితం',
+    'result.stepDone': 'దశ {n} పూర్తయింది',
+    'mode.online': 'ఆన్‌లైన్',
+    'mode.offline': 'ఆఫ్‌లైన్',
+    'mode.both': 'ఆన్‌లైన్ లేదా ఆఫ్‌లైన్',
+    'result.dates': 'ముఖ్యమైన తేదీలు',
+    'date.opening': 'ప్రారంభం',
+    'date.closing': 'చివరి తేదీ',
+    'date.result': 'ఫలితం',
+    'date.renewal': 'పునరుద్ధరణ',
+    'date.other': 'తేదీ',
+    'result.datePassed': 'తేదీ దాటిపోయింది',
+    'result.daysLeft': 'ఇంకా {n} రోజులు',
+    'result.ics': 'చివరి తేదీని క్యాలెండర్‌లో చేర్చండి (.ics)',
+    'result.benefits': 'మీకు ఏమి లభిస్తుంది',
+    'benefit.upTo': '{amount} వరకు',
+    'benefit.percent': '{n}% సబ్సిడీ',
+    'benefit.instalments': '{n} వాయిదాల్లో',
+    'freq.monthly': '/ నెల',
+    'freq.quarterly': '/ త్రైమాసికం',
+    'freq.yearly': '/ సంవత్సరం',
+    'freq.one_time': 'ఒక్కసారి',
+    'item.loan': 'రుణం',
+    'item.insurance': 'బీమా రక్షణ',
+    'item.equipment': 'పరికరాలు',
+    'item.housing': 'గృహం',
+    'item.training': 'శిక్షణ',
+    'result.docsAsWritten': 'పేజీలో రాసినట్లు',
+    'result.printChecklist': 'జాబితా ప్రింట్ చేయండి',
+    'result.saveChecklist': 'టెక్స్ట్‌గా సేవ్ చేయండి',
+    'alert.popup': 'జాబితా ప్రింట్ చేయడానికి పాప్-అప్‌లను అనుమతించండి.',
+    'alert.batchTwo': 'పోల్చడానికి కనీసం రెండు URLలు లేదా ఫైళ్లను జోడించండి.',
+    'alert.batchMax': 'ఒకేసారి గరిష్ఠంగా {n} పథకాలను పోల్చండి.',
+    'batch.title': '{n} పథకాల పోలిక',
+    'batch.queued': 'వేచి ఉంది',
+    'batch.running': 'చదువుతోంది…',
+    'batch.done': 'పూర్తయింది',
+    'batch.failed': 'విఫలమైంది',
+    'batch.shared': 'ఒకటి కంటే ఎక్కువ పథకాలకు అవసరం — ఒకసారే సేకరించండి',
+    'batch.sharedBy': '{total}లో {n} పథకాలకు',
+    'batch.confidence': 'విశ్వసనీయత',
+    'batch.applyLink': 'దరఖాస్తు లింక్',
+    'batch.open': '{name} తెరవండి',
+    'batch.back': '← పోలికకు తిరిగి',
+    'export.json': 'JSON సేవ్ చేయండి',
+    'export.print': 'సారాంశం ప్రింట్ చేయండి',
+    'export.copyText': 'పాఠ్యం కాపీ చేయండి',
+    'export.whatsapp': 'WhatsAppలో పంపండి',
+    'export.link': 'షేర్ లింక్ కాపీ చేయండి',
+    'export.copied': 'కాపీ అయింది ✓',
+    'export.copyPrompt': 'దీన్ని కాపీ చేయండి:',
+    'export.badLink': 'ఈ షేర్ లింక్ తెరవలేకపోయాం.',
+    'export.sharedNote': 'షేర్ చేసిన సారాంశం — లింక్ నుండి తెరిచారు, మళ్లీ తేలేదు. మార్పుల కోసం అధికారిక పేజీ చూడండి.',
+    'alert.invalidResult': 'ఈ ఫలితం ఫార్మాట్ తనిఖీలో విఫలమైంది, ఎగుమతి కాలేదు: {errors}',
+    'history.title': 'సేవ్ చేసినవి',
+    'history.empty': 'మీరు సేవ్ చేసిన పథకాలు ఇక్కడ, ఈ పరికరంలో మాత్రమే ఉంటాయి.',
+    'history.clear': 'అన్నీ తొలగించండి',
+    'history.confirmClear': 'ఈ పరికరం నుండి సేవ్ చేసిన పథకాలన్నీ తొలగించాలా?',
+    'history.delete': 'తొలగించండి',
+    'history.save': 'సేవ్ చేయండి',
+    'history.saved': 'సేవ్ అయింది',
+    'history.savedCopy': '{date} నాటి సేవ్ చేసిన ప్రతి.',
+    'history.offlineCopy': 'ఇప్పుడు పేజీ తేలేకపోయాం — {date}న సేవ్ చేసిన ప్రతి చూపిస్తున్నాం.',
+    'changes.check': 'అప్‌డేట్‌లు తనిఖీ చేయండి',
+    'changes.checking': 'అప్‌డేట్‌లు తనిఖీ చేస్తోంది…',
+    'changes.failed': 'అప్‌డేట్ తనిఖీ విఫలమైంది: {error}',
+    'changes.none': '{date}న తనిఖీ చేశాం: ఏమీ మారలేదు.',
+    'changes.found': 'సారాంశం మారింది — కింద “ఏమి మారింది” చూడండి.',
+    'changes.sameSummary': 'పేజీ మారింది, కానీ ఈ సారాంశంలో ఏమీ మారలేదు.',
+    'changes.title': 'మునుపటి ప్రతి నుండి ఏమి మారింది',
+    'changes.titleField': 'శీర్షిక',
+    'changes.rules': 'నియమాలు',
+    'changes.added': 'కొత్తది',
+    'changes.removed': 'తీసివేశారు',
+    'changes.changed': 'మారింది',
+    'changes.badge': 'అప్‌డేట్ అయింది',
+    'why.button': 'ఎందుకు?',
+    'why.title': 'ఈ నమ్మకం ఎందుకు',
+    'why.total': 'నమ్మకం',
+    'why.hint': 'ఏ వాక్యం ఎక్కడి నుండి తీసుకున్నారో చూడటానికి దాని పక్కన ఉన్న § నొక్కండి.',
+    'why.none': 'ఈ సారాంశంతో వివరాలు సేవ్ కాలేదు.',
+    'why.source': 'మూలం',
+    'why.from': '“{heading}” నుండి',
+    'why.noHeading': 'శీర్షిక లేని భాగం',
+    'why.wholePage': 'మొత్తం పేజీ పరిశీలన',
+    'why.score': 'సరిపోలిక {n}%',
+    'score.eligibility': 'అర్హత సరిపోలిక {n}%',
+    'score.documents': 'పత్రాలు సరిపోలిక {n}%',
+    'score.benefits': 'ప్రయోజనాలు సరిపోలిక {n}%',
+    'score.steps': 'దశలు సరిపోలిక {n}%',
+    'why.passages': 'సారాంశం తయారైన భాగాలు',
+    'why.notFound': 'భాగంలో ఇవే పదాలు దొరకలేదు',
+    'factor.eligibility_lines': 'అర్హత నియమాలు దొరికాయి ({value})',
+    'factor.document_lines': 'పత్రాలు దొరికాయి ({value})',
+    'factor.block_scores': 'ఉత్తమ భాగం ఎంత సరిపోయింది ({value})',
+    'factor.cap': 'గరిష్ఠ పరిమితి వద్ద ఆపబడింది',
+    'factor.page_fallback': 'మొత్తం పేజీ వెతికితేనే దొరికింది',
+    'factor.nothing_found': 'నియమాలు లేదా పత్రాలు దొరకలేదు',
+    'rule.elig_keyword': 'అర్హత పదం “{match}”',
+    'rule.elig_pattern': 'నియమంలా ఉంది (“{match}”)',
+    'rule.criteria': 'వయసు / ఆదాయం / వర్గం నియమం (“{match}”)',
+    'rule.doc_keyword': 'పత్రం పదం “{match}”',
+    'rule.doc_catalogue': 'తెలిసిన పత్రం (“{match}”)',
+    'rule.benefit_block': 'ప్రయోజనాల భాగంలో',
+    'rule.benefit_keyword': 'ప్రయోజనం పదం “{match}”',
+    'rule.steps_heading': '“ఎలా దరఖాస్తు చేయాలి” శీర్షిక కింద',
+    'rule.step_inline': 'సంఖ్యా దశ',
+    'rule.date_label': '“{match}” పక్కన ఉన్న తేదీ',
+    'rule.date_found': 'వచనంలో ఉన్న తేదీ',
+    'redact.note': 'చూపించే ముందు దాచినవి: {list}',
+    'redact.why': 'పేజీలో దొరికిన వ్యక్తిగత వివరాలను చూపించే, సేవ్ చేసే లేదా పంచుకునే ముందు [REDACTED_…] తో మార్చుతాం.',
+    'redact.email': 'ఈమెయిల్ చిరునామాలు {n}',
+    'redact.bank': 'బ్యాంక్ ఖాతా / IFSC {n}',
+    'redact.pan': 'PAN {n}',
+    'redact.aadhaar': 'ఆధార్ / గుర్తింపు సంఖ్యలు {n}',
+    'redact.phone': 'ఫోన్ నంబర్లు {n}',
+    'redact.address': 'చిరునామాలు / పిన్ కోడ్‌లు {n}',
+    'redact.name': 'పేర్లు {n}',
+    'easy.nav': 'భాగాలు',
+    'easy.keysHint': 'సూచన: భాగాల మధ్య వెళ్లడానికి ↑ లేదా ↓ నొక్కండి, చదవడం ఆపడానికి Esc.',
+    'easy.listen': 'వినండి',
+    'easy.pause': 'ఆపు',
+    'easy.resume': 'మళ్లీ కొనసాగించు',
+    'easy.readAll': 'అన్నీ చదివి వినిపించు',
+    'easy.noVoice': 'ఈ పరికరంలో {lang} గొంతు లేదు; వేరే గొంతుతో చదువుతుంది.',
+    'doc.selfAttested': 'స్వీయ ధృవీకరణ కాపీ',
+    'doc.original': 'అసలు తీసుకురండి',
+    'doc.optional': 'ఐచ్ఛికం',
+    'doc.aadhaar': 'ఆధార్ కార్డు',
+    'doc.income_certificate': 'ఆదాయ ధృవీకరణ పత్రం',
+    'doc.caste_certificate': 'కుల ధృవీకరణ పత్రం',
+    'doc.domicile_certificate': 'నివాస ధృవీకరణ పత్రం',
+    'doc.bank_passbook': 'బ్యాంక్ పాస్‌బుక్',
+    'doc.passport_photo': 'పాస్‌పోర్ట్ సైజు ఫోటో',
+    'doc.ration_card': 'రేషన్ కార్డు',
+    'doc.land_records': 'భూమి రికార్డులు (పట్టా)',
+    'doc.birth_certificate': 'జనన ధృవీకరణ పత్రం',
+    'doc.voter_id': 'ఓటర్ ఐడి కార్డు',
+    'doc.pan_card': 'పాన్ కార్డు',
+    'doc.passport': 'పాస్‌పోర్ట్',
+    'doc.driving_licence': 'డ్రైవింగ్ లైసెన్స్',
+    'doc.marksheet': 'మార్కుల జాబితాలు / విద్యా ధృవపత్రాలు',
+    'doc.bonafide_certificate': 'బోనఫైడ్ / స్టడీ సర్టిఫికేట్',
+    'doc.fee_receipt': 'ఫీజు రసీదు',
+    'doc.disability_certificate': 'వికలాంగ ధృవీకరణ పత్రం',
+    'doc.bpl_certificate': 'BPL ధృవీకరణ పత్రం',
+    'doc.job_card': 'ఉపాధి హామీ జాబ్ కార్డు',
+    'doc.marriage_certificate': 'వివాహ ధృవీకరణ పత్రం',
+    'doc.affidavit': 'అఫిడవిట్ / స్వీయ ప్రకటన',
+    'doc.electricity_bill': 'విద్యుత్ / యుటిలిటీ బిల్లు',
+    'doc.identity_proof': 'గుర్తింపు రుజువు',
+    'doc.address_proof': 'చిరునామా రుజువు',
+    'paste.title': 'పేజీ HTML / వచనం అతికించండి',
+    'paste.help': 'ఈ సైట్ JavaScript తో తెరుచుకుంటుంది. పేజీ HTML (View → Save Page As → Webpage, HTML only) లేదా వచనాన్ని కాపీ చేసి ఇక్కడ అతికించండి.',
+    'paste.run': 'అతికించిన వచనానికి సారాంశం చేయి',
+    'paste.cancel': 'రద్దు',
+    'check.summary': 'నేను అర్హుడినా?',
+    'check.private': '(సమాధానాలు ఈ పరికరంలోనే ఉంటాయి)',
+    'check.choose': '— ఎంచుకోండి —',
+    'check.button': 'తనిఖీ చేయి',
+    'check.q.age': 'మీ వయసు (సంవత్సరాలు)',
+    'check.q.incomeYear': 'కుటుంబ వార్షిక ఆదాయం (₹)',
+    'check.q.incomeMonth': 'కుటుంబ నెలవారీ ఆదాయం (₹)',
+    'check.q.gender': 'లింగం',
+    'check.q.category': 'వర్గం',
+    'check.q.domicile': 'మీరు నివసించే రాష్ట్రం',
+    'check.q.occupation': 'వృత్తి',
+    'check.q.land': 'మీ భూమి (హెక్టార్లు)',
+    'check.q.education': 'పూర్తి చేసిన ఉన్నత విద్య',
+    'check.eligible': 'అర్హులు',
+    'check.not_eligible': 'అర్హులు కారు',
+    'check.unclear': 'అస్పష్టం',
+    'check.overall.no': 'మీరు అర్హులు కాకపోవచ్చు — "అర్హులు కారు" అని ఉన్న పంక్తులు చూడండి.',
+    'check.overall.yes': 'కనుగొన్న అన్ని నియమాలకు మీరు సరిపోతున్నట్లు ఉంది. దరఖాస్తు చేసే ముందు అధికారిక పేజీలో నిర్ధారించుకోండి.',
+    'check.overall.unclear': 'కొన్ని నియమాలను తనిఖీ చేయలేకపోయాం. మిగిలిన ప్రశ్నలకు సమాధానం ఇవ్వండి లేదా కార్యాలయంలో అడగండి.',
+    'opt.outside': 'భారతదేశం వెలుపల', 'opt.other': 'ఇతర', 'opt.none': 'ఏదీ లేదు',
+    'opt.female': 'స్త్రీ', 'opt.male': 'పురుషుడు', 'opt.transgender': 'ట్రాన్స్‌జెండర్',
+    'opt.general': 'జనరల్', 'opt.minority': 'మైనారిటీ',
+    'opt.farmer': 'రైతు', 'opt.student': 'విద్యార్థి', 'opt.artisan': 'చేతివృత్తిదారు', 'opt.weaver': 'నేత కార్మికుడు', 'opt.fisher': 'మత్స్యకారుడు', 'opt.labourer': 'కూలీ', 'opt.street_vendor': 'వీధి వ్యాపారి',
+    'opt.class_8': '8వ తరగతి', 'opt.class_10': '10వ తరగతి', 'opt.class_12': 'ఇంటర్ / 12వ తరగతి', 'opt.diploma': 'డిప్లొమా / ITI', 'opt.graduate': 'డిగ్రీ', 'opt.postgraduate': 'పోస్ట్ గ్రాడ్యుయేట్', 'opt.doctorate': 'PhD',
+    'crit.ageBetween': 'వయసు {min}–{max} సంవత్సరాలు',
+    'crit.age': 'వయసు {op} {value} సంవత్సరాలు',
+    'crit.income': 'ఆదాయం {op} {amount}',
+    'crit.land': 'భూమి {op} {amount}',
+    'crit.india': 'భారత పౌరుడు / నివాసి',
+    'crit.state': '{state} నివాసి',
+    'crit.education': 'విద్య: {op} {level}',
+    'crit.gender': 'లింగం: {value}',
+    'crit.category': 'వర్గం: {value}',
+    'crit.occupation': 'వృత్తి: {value}',
+    'op.<': 'కంటే తక్కువ', 'op.<=': 'గరిష్ఠంగా', 'op.>': 'కంటే ఎక్కువ', 'op.>=': 'కనీసం', 'op.==': '', 'op.in': 'వీటిలో ఒకటి',
+    'unit.perYear': 'సంవత్సరానికి', 'unit.perMonth': 'నెలకు', 'unit.hectares': 'హెక్టార్లు', 'unit.acres': 'ఎకరాలు'
+  }
+};
+
+/* ----- Jargon glossary: plain-language meaning per locale ----- */
+const GLOSSARY = [
+  {
+    term: 'BPL', match: /\bBPL\b|below poverty line/i,
+    plain: {
+      en: 'Below Poverty Line — families the government lists as very poor; usually shown by a BPL ration card.',
+      hi: 'गरीबी रेखा से नीचे — जिन परिवारों को सरकार बहुत गरीब मानती है; आमतौर पर BPL राशन कार्ड से पता चलता है।',
+      mr: 'दारिद्र्यरेषेखालील — सरकारने अतिशय गरीब म्हणून नोंदवलेली कुटुंबे; सहसा BPL रेशन कार्डने दिसते.',
+      bn: 'দারিদ্র্যসীমার নিচে — সরকার যে পরিবারগুলোকে খুব গরিব হিসেবে তালিকাভুক্ত করে; সাধারণত BPL রেশন কার্ড দিয়ে বোঝা যায়।',
+      ta: 'வறுமைக் கோட்டுக்குக் கீழ் — அரசு மிக ஏழையாகப் பட்டியலிட்ட குடும்பங்கள்; பொதுவாக BPL குடும்ப அட்டை மூலம் தெரியும்.',
+      te: 'దారిద్ర్య రేఖకు దిగువ — ప్రభుత్వం చాలా పేదవారిగా గుర్తించిన కుటుంబాలు; సాధారణంగా BPL రేషన్ కార్డు ద్వారా తెలుస్తుంది.'
+    }
+  },
+  {
+    term: 'APL', match: /\bAPL\b|above poverty line/i,
+    plain: {
+      en: 'Above Poverty Line — families not on the government\'s poor list.',
+      hi: 'गरीबी रेखा से ऊपर — जो परिवार सरकार की गरीब सूची में नहीं हैं।',
+      mr: 'दारिद्र्यरेषेवरील — सरकारच्या गरीब यादीत नसलेली कुटुंबे.',
+      bn: 'দারিদ্র্যসীমার উপরে — যে পরিবারগুলো সরকারের গরিব তালিকায় নেই।',
+      ta: 'வறுமைக் கோட்டுக்கு மேல் — அரசின் ஏழைப் பட்டியலில் இல்லாத குடும்பங்கள்.',
+      te: 'దారిద్ర్య రేఖకు పైన — ప్రభుత్వ పేదల జాబితాలో లేని కుటుంబాలు.'
+    }
+  },
+  {
+    term: 'EWS', match: /\bEWS\b|economically weaker section/i,
+    plain: {
+      en: 'Economically Weaker Section — general-category families with low income (usually under ₹8 lakh a year) who get reserved seats or benefits.',
+      hi: 'आर्थिक रूप से कमज़ोर वर्ग — कम आय (आमतौर पर ₹8 लाख सालाना से कम) वाले सामान्य वर्ग के परिवार, जिन्हें आरक्षण या लाभ मिलता है।',
+      mr: 'आर्थिकदृष्ट्या दुर्बल घटक — कमी उत्पन्न (सहसा वर्षाला ₹8 लाखांपेक्षा कमी) असलेली खुल्या प्रवर्गातील कुटुंबे, ज्यांना आरक्षण किंवा लाभ मिळतो.',
+      bn: 'অর্থনৈতিকভাবে দুর্বল শ্রেণি — কম আয়ের (সাধারণত বছরে ₹৮ লাখের কম) সাধারণ শ্রেণির পরিবার, যারা সংরক্ষণ বা সুবিধা পায়।',
+      ta: 'பொருளாதாரத்தில் நலிந்த பிரிவு — குறைந்த வருமானம் (பொதுவாக ஆண்டுக்கு ₹8 லட்சத்திற்குக் கீழ்) உள்ள பொதுப் பிரிவுக் குடும்பங்கள்; இட ஒதுக்கீடு அல்லது நன்மை பெறுவர்.',
+      te: 'ఆర్థికంగా బలహీన వర్గం — తక్కువ ఆదాయం (సాధారణంగా సంవత్సరానికి ₹8 లక్షల లోపు) ఉన్న జనరల్ వర్గ కుటుంబాలు; రిజర్వేషన్ లేదా ప్రయోజనాలు పొందుతారు.'
+    }
+  },
+  {
+    term: 'DBT', match: /\bDBT\b|direct benefit transfer/i,
+    plain: {
+      en: 'Direct Benefit Transfer — the money is sent straight to your bank account, so the account must be linked to Aadhaar.',
+      hi: 'सीधा लाभ हस्तांतरण — पैसा सीधे आपके बैंक खाते में आता है, इसलिए खाता आधार से जुड़ा होना चाहिए।',
+      mr: 'थेट लाभ हस्तांतरण — पैसे थेट तुमच्या बँक खात्यात जमा होतात, त्यामुळे खाते आधारशी जोडलेले असावे.',
+      bn: 'সরাসরি সুবিধা হস্তান্তর — টাকা সরাসরি আপনার ব্যাংক অ্যাকাউন্টে যায়, তাই অ্যাকাউন্ট আধারের সঙ্গে যুক্ত থাকতে হবে।',
+      ta: 'நேரடி பயன் பரிமாற்றம் — பணம் நேரடியாக உங்கள் வங்கிக் கணக்கில் வரும், அதனால் கணக்கு ஆதாருடன் இணைக்கப்பட வேண்டும்.',
+      te: 'నేరుగా ప్రయోజన బదిలీ — డబ్బు నేరుగా మీ బ్యాంక్ ఖాతాలో జమ అవుతుంది, కాబట్టి ఖాతా ఆధార్‌తో లింక్ అయి ఉండాలి.'
+    }
+  },
+  {
+    term: 'Domicile', match: /\bdomicile\b/i,
+    plain: {
+      en: 'Domicile — the state you permanently live in; a domicile certificate from the tehsil/revenue office proves it.',
+      hi: 'मूल निवास — वह राज्य जहाँ आप स्थायी रूप से रहते हैं; तहसील से मिलने वाला निवास प्रमाण पत्र इसका सबूत है।',
+      mr: 'अधिवास — तुम्ही कायमचे राहता ते राज्य; तहसील कार्यालयाचा रहिवासी दाखला याचा पुरावा असतो.',
+      bn: 'স্থায়ী বাসস্থান — যে রাজ্যে আপনি স্থায়ীভাবে থাকেন; তহসিল/রাজস্ব দপ্তরের বাসস্থান শংসাপত্র এর প্রমাণ।',
+      ta: 'நிரந்தர வசிப்பிடம் — நீங்கள் நிரந்தரமாக வசிக்கும் மாநிலம்; தாலுகா அலுவலகம் தரும் இருப்பிடச் சான்றிதழ் இதற்கான ஆதாரம்.',
+      te: 'స్థానికత — మీరు శాశ్వతంగా నివసించే రాష్ట్రం; తహసీల్ కార్యాలయం ఇచ్చే నివాస ధృవీకరణ పత్రం దీనికి రుజువు.'
+    }
+  },
+  {
+    term: 'SC / ST / OBC', match: /\b(SC|ST|OBC)s?\b|scheduled (caste|tribe)|other backward class/,
+    plain: {
+      en: 'SC = Scheduled Castes, ST = Scheduled Tribes, OBC = Other Backward Classes — reserved categories; you need a caste certificate.',
+      hi: 'SC = अनुसूचित जाति, ST = अनुसूचित जनजाति, OBC = अन्य पिछड़ा वर्ग — आरक्षित वर्ग; इसके लिए जाति प्रमाण पत्र चाहिए।',
+      mr: 'SC = अनुसूचित जाती, ST = अनुसूचित जमाती, OBC = इतर मागास वर्ग — राखीव प्रवर्ग; यासाठी जातीचा दाखला लागतो.',
+      bn: 'SC = তফসিলি জাতি, ST = তফসিলি উপজাতি, OBC = অন্যান্য অনগ্রসর শ্রেণি — সংরক্ষিত শ্রেণি; এর জন্য জাতি শংসাপত্র লাগে।',
+      ta: 'SC = பட்டியல் சாதியினர், ST = பழங்குடியினர், OBC = இதர பிற்படுத்தப்பட்ட வகுப்பினர் — இட ஒதுக்கீட்டுப் பிரிவுகள்; சாதிச் சான்றிதழ் தேவை.',
+      te: 'SC = షెడ్యూల్డ్ కులాలు, ST = షెడ్యూల్డ్ తెగలు, OBC = ఇతర వెనుకబడిన తరగతులు — రిజర్వ్డ్ వర్గాలు; కుల ధృవీకరణ పత్రం కావాలి.'
+    }
+  },
+  {
+    term: 'Creamy layer', match: /creamy layer/i,
+    plain: {
+      en: 'Creamy layer — better-off OBC families (income above the set limit) who cannot use OBC reservation.',
+      hi: 'क्रीमी लेयर — तय सीमा से ज़्यादा आय वाले OBC परिवार, जिन्हें OBC आरक्षण नहीं मिलता।',
+      mr: 'क्रीमी लेयर — ठरलेल्या मर्यादेपेक्षा जास्त उत्पन्न असलेली OBC कुटुंबे, ज्यांना OBC आरक्षण मिळत नाही.',
+      bn: 'ক্রিমি লেয়ার — নির্ধারিত সীমার বেশি আয়ের OBC পরিবার, যারা OBC সংরক্ষণ পায় না।',
+      ta: 'கிரீமி லேயர் — நிர்ணயித்த வரம்புக்கு மேல் வருமானம் உள்ள OBC குடும்பங்கள்; இவர்களுக்கு OBC இட ஒதுக்கீடு இல்லை.',
+      te: 'క్రీమీ లేయర్ — నిర్ణయించిన పరిమితికి మించి ఆదాయం ఉన్న OBC కుటుంబాలు; వీరికి OBC రిజర్వేషన్ వర్తించదు.'
+    }
+  },
+  {
+    term: 'Self-attested', match: /self[- ]attested|self[- ]attestation/i,
+    plain: {
+      en: 'Self-attested — sign the photocopy yourself to say it is a true copy.',
+      hi: 'स्व-प्रमाणित — फ़ोटोकॉपी पर खुद हस्ताक्षर करें कि यह सही प्रति है।',
+      mr: 'स्वसाक्षांकित — झेरॉक्सवर तुम्ही स्वतः सही करा की ही खरी प्रत आहे.',
+      bn: 'স্ব-প্রত্যয়িত — ফটোকপিতে নিজে সই করুন যে এটি আসল কপি।',
+      ta: 'சுய சான்றொப்பம் — நகலில் இது உண்மை நகல் என்று நீங்களே கையொப்பமிடுங்கள்.',
+      te: 'స్వీయ ధృవీకరణ — జిరాక్స్ కాపీపై ఇది నిజమైన కాపీ అని మీరే సంతకం చేయండి.'
+    }
+  },
+  {
+    term: 'e-KYC', match: /\be-?KYC\b/i,
+    plain: {
+      en: 'e-KYC — identity check done online with your Aadhaar number and an OTP or fingerprint.',
+      hi: 'ई-केवाईसी — आधार नंबर और OTP या अंगूठे के निशान से ऑनलाइन पहचान जाँच।',
+      mr: 'ई-केवायसी — आधार क्रमांक आणि OTP किंवा बोटांच्या ठशाने ऑनलाइन ओळख पडताळणी.',
+      bn: 'ই-কেওয়াইসি — আধার নম্বর ও OTP বা আঙুলের ছাপ দিয়ে অনলাইনে পরিচয় যাচাই।',
+      ta: 'இ-கேஒய்சி — ஆதார் எண் மற்றும் OTP அல்லது கைரேகை மூலம் இணையத்தில் அடையாளச் சரிபார்ப்பு.',
+      te: 'ఇ-కేవైసీ — ఆధార్ నంబర్ మరియు OTP లేదా వేలిముద్రతో ఆన్‌లైన్‌లో గుర్తింపు తనిఖీ.'
+    }
+  },
+  {
+    term: 'Gazetted officer', match: /gazetted officer/i,
+    plain: {
+      en: 'Gazetted officer — a senior government officer (e.g. tehsildar, school principal) who can sign and stamp your copies.',
+      hi: 'राजपत्रित अधिकारी — वरिष्ठ सरकारी अधिकारी (जैसे तहसीलदार, प्रधानाचार्य) जो आपकी प्रतियों पर हस्ताक्षर और मुहर लगा सकते हैं।',
+      mr: 'राजपत्रित अधिकारी — वरिष्ठ सरकारी अधिकारी (उदा. तहसीलदार, मुख्याध्यापक) जे तुमच्या प्रतींवर सही-शिक्का करू शकतात.',
+      bn: 'গেজেটেড অফিসার — উচ্চপদস্থ সরকারি আধিকারিক (যেমন তহসিলদার, প্রধান শিক্ষক) যিনি আপনার কপিতে সই ও সিল দিতে পারেন।',
+      ta: 'அரசிதழ் பதிவு பெற்ற அலுவலர் — உங்கள் நகல்களில் கையொப்பமிட்டு முத்திரையிடக்கூடிய மூத்த அரசு அலுவலர் (எ.கா. வட்டாட்சியர், தலைமை ஆசிரியர்).',
+      te: 'గెజిటెడ్ అధికారి — మీ కాపీలపై సంతకం చేసి ముద్ర వేయగల సీనియర్ ప్రభుత్వ అధికారి (ఉదా. తహసీల్దార్, ప్రధానోపాధ్యాయుడు).'
+    }
+  },
+  {
+    term: 'PwD / Divyang', match: /\bPwD\b|divyang|persons? with disabilit(y|ies)|differently[- ]abled/i,
+    plain: {
+      en: 'PwD / Divyang — persons with a disability of 40% or more, shown by a disability certificate or UDID card.',
+      hi: 'दिव्यांग — 40% या उससे अधिक दिव्यांगता वाले व्यक्ति; दिव्यांगता प्रमाण पत्र या UDID कार्ड से साबित होता है।',
+      mr: 'दिव्यांग — 40% किंवा अधिक अपंगत्व असलेल्या व्यक्ती; अपंगत्व प्रमाणपत्र किंवा UDID कार्डने सिद्ध होते.',
+      bn: 'প্রতিবন্ধী — ৪০% বা তার বেশি প্রতিবন্ধকতা থাকা ব্যক্তি; প্রতিবন্ধী শংসাপত্র বা UDID কার্ড দিয়ে প্রমাণ হয়।',
+      ta: 'மாற்றுத்திறனாளி — 40% அல்லது அதற்கு மேல் குறைபாடு உள்ளவர்; மாற்றுத்திறனாளி சான்றிதழ் அல்லது UDID அட்டை ஆதாரம்.',
+      te: 'దివ్యాంగులు — 40% లేదా అంతకంటే ఎక్కువ వైకల్యం ఉన్నవారు; వైకల్య ధృవీకరణ పత్రం లేదా UDID కార్డు రుజువు.'
+    }
+  }
+];
+
+/* ----- locale state ----- */
+let currentLocale = null;
+
+function getLocale() {
+  if (currentLocale) return currentLocale;
+  let saved = null;
+  try { saved = localStorage.getItem(LOCALE_STORAGE_KEY); } catch (e) { saved = null; }
+  const browser = (typeof navigator !== 'undefined' && navigator.language || 'en').toLowerCase().split('-')[0];
+  currentLocale = [saved, browser].find(code => code && I18N_STRINGS[code]) || 'en';
+  return currentLocale;
+}
+
+function setLocale(code) {
+  if (!I18N_STRINGS[code]) return;
+  currentLocale = code;
+  try { localStorage.setItem(LOCALE_STORAGE_KEY, code); } catch (e) { /* private mode */ }
+}
+
+// t('result.confidence', { n: 80 }) -> "Confidence: 80%"
+function t(key, vars = {}) {
+  const table = I18N_STRINGS[getLocale()] || I18N_STRINGS.en;
+  const str = (key in table) ? table[key] : (key in I18N_STRINGS.en ? I18N_STRINGS.en[key] : key);
+  return str.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+// glossary entries whose term appears in any of the given lines
+function findGlossaryTerms(lines) {
+  const text = (lines || []).join('\n');
+  return GLOSSARY.filter(g => g.match.test(text));
+}
+
+function glossaryText(entry) {
+  return entry.plain[getLocale()] || entry.plain.en;
+}
+
+// escaped string with <em> / <strong> (no attributes) let through, for strings that carry emphasis
+function inlineMarkup(str) {
+  const esc = String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  return esc.replace(/&lt;(\/?)(em|strong)&gt;/g, '<$1$2>');
+}
+
+// fill elements marked with data-i18n / data-i18n-html / data-i18n-placeholder
+function applyStaticTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.getAttribute('data-i18n')); });
+  root.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = inlineMarkup(t(el.getAttribute('data-i18n-html'))); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.setAttribute('placeholder', t(el.getAttribute('data-i18n-placeholder'))); });
+  if (root.documentElement) root.documentElement.lang = getLocale();
+}
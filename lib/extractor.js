@@ -0,0 +1,1537 @@
+/* extractor.js - scheme page extractor as an ES module (no UI, no page wiring)
+   - extract(html, { sourceUrl, lang }) / extractPDF(bytes, { sourceUrl, lang }) -> result object
+   - browser: uses the page's DOMParser and the Readability / pdf.js script globals
+   - Node: configure({ DOMParser, Readability, pdfjsLib }) with a DOM shim (see bin/govscheme-extract.js)
+   - the web page (main.js) is one consumer; batch jobs and the CLI are others
+   - redaction rules live in redact.js, HTML clean-up in sanitize.js
+*/
+import { redactPII, redactionOptions, redactionCounts, REDACTION_KINDS } from './redact.js';
+import { sanitizeDocument, sanitizeHtml, stripActiveContent, isSafeUrl } from './sanitize.js';
+
+/* ===========================
+   Runtime: DOM + optional libraries
+   =========================== */
+const RUNTIME = {};
+
+function configure(opts = {}) { Object.assign(RUNTIME, opts); return RUNTIME; }
+function runtime(name) { return RUNTIME[name] || globalThis[name]; }
+
+// innerText where the DOM has it (browsers); otherwise text with line breaks at block elements (jsdom and similar shims)
+const BLOCK_TAGS = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|BR|DD|DIV|DL|DT|FIELDSET|FIGCAPTION|FIGURE|FOOTER|FORM|H[1-6]|HEADER|HR|LI|MAIN|NAV|OL|P|PRE|SECTION|TABLE|TBODY|THEAD|TFOOT|TR|UL)$/;
+function textOf(node) {
+  if (!node) return '';
+  if (typeof node.innerText === 'string') return node.innerText;
+  let out = '';
+  (function walk(n) {
+    if (n.nodeType === 3) { out += n.data; return; }
+    if (n.nodeType !== 1 && n.nodeType !== 9 && n.nodeType !== 11) return;
+    const tag = n.tagName || '';
+    if (/^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE)$/.test(tag)) return;
+    const block = BLOCK_TAGS.test(tag);
+    if (block) out += '\n';
+    else if (tag === 'TD' || tag === 'TH') out += ' ';
+    n.childNodes.forEach(walk);
+    if (block) out += '\n';
+  })(node);
+  return out.replace(/[ \t\r\f\v]*\n\s*/g, '\n').replace(/[ \t]+/g, ' ').trim();
+}
+
+/* ----- Keyword lists ----- */
+const ELIG_KEYWORDS = ['eligible', 'eligibility', 'who can apply', 'who is eligible', 'applicants', 'beneficiary', 'beneficiaries', 'target group'];
+const BENEFIT_KEYWORDS = ['benefit', 'benefits', 'assistance', 'financial assistance', 'grant', 'subsidy', 'incentive', 'stipend', 'entitlement', 'pension', 'reimbursement', 'compensation', 'will receive', 'will get', 'will be given', 'will be provided', 'insurance cover', 'amount of'];
+const DOC_KEYWORDS = ['document', 'documents', 'proof', 'id proof', 'identity proof', 'address proof', 'income certificate', 'certificate', 'photo', 'aadhar', 'passport', 'voter id'];
+
+/* ===========================
+   Language packs (pluggable)
+   English keywords always apply (state portals mix languages); a pack adds
+   its own eligibility/document keywords, eligibility phrases, apply-link text
+   and transliterated class hints. Register more with registerLangPack().
+   =========================== */
+const LANG_PACKS = {
+  en: {
+    name: 'English', script: 'Latn',
+    elig: ELIG_KEYWORDS, docs: DOC_KEYWORDS, hints: [],
+    steps: ['how to apply', 'application procedure', 'application process', 'procedure', 'process', 'steps', 'instructions', 'mode of application'],
+    benefits: BENEFIT_KEYWORDS,
+    eligPattern: /\b(only|must be|should be|eligible if|applicable to|applicants from)\b/,
+    apply: /apply|registration|register|application/,
+    simplify: null // set to SIMPLIFY_RULES_EN once defined
+  },
+  hi: {
+    name: 'Hindi', script: 'Deva',
+    elig: ['पात्रता', 'पात्र', 'योग्यता', 'अर्हता', 'कौन आवेदन कर सकता', 'आवेदक', 'लाभार्थी', 'लाभार्थियों'],
+    docs: ['दस्तावेज़', 'दस्तावेज', 'आवश्यक दस्तावेज़', 'प्रमाण पत्र', 'प्रमाणपत्र', 'पहचान पत्र', 'आधार कार्ड', 'आधार संख्या', 'आधार नंबर', 'फोटो', 'राशन कार्ड', 'निवास प्रमाण', 'आय प्रमाण', 'बैंक पासबुक'],
+    hints: ['patrata', 'yogyata', 'dastavej', 'aavedan', 'avedan'],
+    steps: ['आवेदन प्रक्रिया', 'आवेदन कैसे करें', 'प्रक्रिया', 'चरण'],
+    benefits: ['लाभ', 'सहायता', 'अनुदान', 'सब्सिडी', 'प्रोत्साहन', 'छात्रवृत्ति राशि', 'पेंशन', 'ऋण', 'बीमा'],
+    eligPattern: /केवल|होना चाहिए|होने चाहिए|होनी चाहिए|पात्र होंगे|पात्र हैं/,
+    apply: /आवेदन करें|आवेदन|पंजीकरण|रजिस्ट्रेशन/,
+    markers: ['और', 'है', 'हैं', 'के', 'की', 'में', 'से', 'लिए', 'करें']
+  },
+  mr: {
+    name: 'Marathi', script: 'Deva',
+    elig: ['पात्रता', 'पात्र', 'निकष', 'अर्जदार', 'लाभार्थी', 'कोण अर्ज करू शकतो'],
+    docs: ['कागदपत्रे', 'आवश्यक कागदपत्रे', 'दस्तऐवज', 'प्रमाणपत्र', 'दाखला', 'ओळखपत्र', 'आधार कार्ड', 'आधार क्रमांक', 'फोटो', 'रेशन कार्ड', 'उत्पन्नाचा दाखला', 'रहिवासी दाखला'],
+    hints: ['patrata', 'kagadpatre', 'arj'],
+    steps: ['अर्ज प्रक्रिया', 'अर्ज कसा करावा', 'प्रक्रिया'],
+    benefits: ['लाभ', 'अनुदान', 'सहाय्य', 'अर्थसहाय्य', 'शिष्यवृत्ती', 'कर्ज', 'विमा'],
+    eligPattern: /फक्त|असावा|असावी|असावे|पात्र असतील/,
+    apply: /अर्ज करा|अर्ज|नोंदणी/,
+    markers: ['आणि', 'आहे', 'आहेत', 'च्या', 'साठी', 'करावा', 'असलेल्या']
+  },
+  bn: {
+    name: 'Bengali', script: 'Beng',
+    elig: ['যোগ্যতা', 'যোগ্য', 'আবেদনকারী', 'উপভোক্তা', 'সুবিধাভোগী', 'কারা আবেদন করতে পারবেন'],
+    docs: ['নথি', 'নথিপত্র', 'প্রয়োজনীয় নথি', 'কাগজপত্র', 'শংসাপত্র', 'সার্টিফিকেট', 'প্রমাণপত্র', 'আধার', 'ছবি', 'রেশন কার্ড'],
+    hints: ['jogyota', 'abedan'],
+    steps: ['আবেদন প্রক্রিয়া', 'কীভাবে আবেদন করবেন', 'পদ্ধতি'],
+    benefits: ['সুবিধা', 'অনুদান', 'সহায়তা', 'ভাতা', 'ঋণ', 'বিমা'],
+    eligPattern: /শুধুমাত্র|কেবলমাত্র|হতে হবে/,
+    apply: /আবেদন করুন|আবেদন|নিবন্ধন|রেজিস্ট্রেশন/
+  },
+  ta: {
+    name: 'Tamil', script: 'Taml',
+    elig: ['தகுதி', 'தகுதிகள்', 'விண்ணப்பதாரர்', 'பயனாளி', 'பயனாளிகள்', 'யார் விண்ணப்பிக்கலாம்'],
+    docs: ['ஆவணங்கள்', 'ஆவணம்', 'தேவையான ஆவணங்கள்', 'சான்றிதழ்', 'ஆதார்', 'புகைப்படம்', 'குடும்ப அட்டை', 'வருமான சான்றிதழ்'],
+    hints: ['thaguthi', 'thakuthi'],
+    steps: ['விண்ணப்பிக்கும் முறை', 'நடைமுறை'],
+    benefits: ['பலன்கள்', 'உதவித்தொகை', 'மானியம்', 'கடன்', 'காப்பீடு'],
+    eligPattern: /மட்டும்|இருக்க வேண்டும்/,
+    apply: /விண்ணப்பிக்க|விண்ணப்பம்|பதிவு/
+  },
+  te: {
+    name: 'Telugu', script: 'Telu',
+    elig: ['అర్హత', 'అర్హతలు', 'దరఖాస్తుదారు', 'దరఖాస్తుదారులు', 'లబ్ధిదారులు', 'ఎవరు దరఖాస్తు చేసుకోవచ్చు'],
+    docs: ['పత్రాలు', 'అవసరమైన పత్రాలు', 'ధృవీకరణ పత్రం', 'సర్టిఫికేట్', 'ఆధార్', 'ఫోటో', 'రేషన్ కార్డు', 'ఆదాయ ధృవీకరణ'],
+    hints: ['arhata'],
+    steps: ['దరఖాస్తు విధానం', 'ప్రక్రియ'],
+    benefits: ['ప్రయోజనాలు', 'సహాయం', 'సబ్సిడీ', 'రుణం', 'బీమా'],
+    eligPattern: /మాత్రమే|ఉండాలి/,
+    apply: /దరఖాస్తు|నమోదు|రిజిస్ట్రేషన్/
+  },
+  kn: {
+    name: 'Kannada', script: 'Knda',
+    elig: ['ಅರ್ಹತೆ', 'ಅರ್ಹ', 'ಅರ್ಜಿದಾರರು', 'ಫಲಾನುಭವಿ', 'ಫಲಾನುಭವಿಗಳು', 'ಯಾರು ಅರ್ಜಿ ಸಲ್ಲಿಸಬಹುದು'],
+    docs: ['ದಾಖಲೆಗಳು', 'ಅಗತ್ಯ ದಾಖಲೆಗಳು', 'ಪ್ರಮಾಣಪತ್ರ', 'ಆಧಾರ್', 'ಭಾವಚಿತ್ರ', 'ಫೋಟೋ', 'ಪಡಿತರ ಚೀಟಿ'],
+    hints: ['arhate'],
+    steps: ['ಅರ್ಜಿ ಸಲ್ಲಿಸುವ ವಿಧಾನ', 'ಪ್ರಕ್ರಿಯೆ'],
+    benefits: ['ಪ್ರಯೋಜನಗಳು', 'ಸಹಾಯಧನ', 'ಸಾಲ', 'ವಿಮೆ'],
+    eligPattern: /ಮಾತ್ರ|ಆಗಿರಬೇಕು|ಇರಬೇಕು/,
+    apply: /ಅರ್ಜಿ|ನೋಂದಣಿ/
+  },
+  gu: {
+    name: 'Gujarati', script: 'Gujr',
+    elig: ['પાત્રતા', 'લાયકાત', 'અરજદાર', 'લાભાર્થી', 'કોણ અરજી કરી શકે'],
+    docs: ['દસ્તાવેજ', 'દસ્તાવેજો', 'જરૂરી દસ્તાવેજો', 'પ્રમાણપત્ર', 'આધાર', 'ફોટો', 'રેશન કાર્ડ', 'આવકનો દાખલો'],
+    hints: ['patrata', 'layakat'],
+    steps: ['અરજી પ્રક્રિયા', 'પ્રક્રિયા'],
+    benefits: ['લાભ', 'સહાય', 'સબસિડી', 'લોન', 'વીમો'],
+    eligPattern: /ફક્ત|હોવા જોઈએ|હોવો જોઈએ/,
+    apply: /અરજી કરો|અરજી|નોંધણી/
+  },
+  ml: {
+    name: 'Malayalam', script: 'Mlym',
+    elig: ['യോഗ്യത', 'അപേക്ഷകർ', 'ഗുണഭോക്താക്കൾ', 'ആർക്കൊക്കെ അപേക്ഷിക്കാം'],
+    docs: ['രേഖകൾ', 'ആവശ്യമായ രേഖകൾ', 'സർട്ടിഫിക്കറ്റ്', 'ആധാർ', 'ഫോട്ടോ', 'റേഷൻ കാർഡ്'],
+    hints: ['yogyatha'],
+    steps: ['അപേക്ഷിക്കേണ്ട വിധം', 'നടപടിക്രമം'],
+    benefits: ['ആനുകൂല്യങ്ങൾ', 'സഹായം', 'സബ്സിഡി', 'വായ്പ', 'ഇൻഷുറൻസ്'],
+    eligPattern: /മാത്രം|ആയിരിക്കണം/,
+    apply: /അപേക്ഷിക്കുക|അപേക്ഷ|രജിസ്ട്രേഷൻ/
+  }
+};
+
+const SCRIPT_RANGES = {
+  Deva: /[\u0900-\u097F]/g, Beng: /[\u0980-\u09FF]/g, Gujr: /[\u0A80-\u0AFF]/g, Taml: /[\u0B80-\u0BFF]/g,
+  Telu: /[\u0C00-\u0C7F]/g, Knda: /[\u0C80-\u0CFF]/g, Mlym: /[\u0D00-\u0D7F]/g, Latn: /[A-Za-z]/g
+};
+
+function registerLangPack(code, pack) {
+  LANG_PACKS[code] = { elig: [], docs: [], hints: [], steps: [], benefits: [], ...pack };
+}
+
+// English keywords plus the page language's own
+function langKeywords(lang, field) {
+  const extra = (lang && lang !== 'en' && LANG_PACKS[lang]) ? (LANG_PACKS[lang][field] || []) : [];
+  return LANG_PACKS.en[field].concat(extra);
+}
+
+// dominant script of the text, then marker words to tell apart languages sharing a script
+function detectLanguage(text, declared = null) {
+  const sample = (text || '').slice(0, 8000);
+  const counts = {};
+  Object.keys(SCRIPT_RANGES).forEach(sc => { counts[sc] = (sample.match(SCRIPT_RANGES[sc]) || []).length; });
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  const script = Object.keys(counts).filter(sc => sc !== 'Latn').sort((a, b) => counts[b] - counts[a])[0];
+  if (!total || !script || counts[script] < total * 0.2) return 'en';
+
+  const packs = Object.keys(LANG_PACKS).filter(code => LANG_PACKS[code].script === script);
+  if (!packs.length) return 'en';
+  const decl = (declared || '').toLowerCase().split(/[-_]/)[0];
+  if (packs.includes(decl)) return decl;
+  if (packs.length === 1) return packs[0];
+  const words = sample.split(/[\s,.;:।॥()]+/);
+  const score = code => (LANG_PACKS[code].markers || []).reduce((n, m) => n + words.filter(w => w === m).length, 0);
+  return packs.sort((a, b) => score(b) - score(a))[0];
+}
+
+/* ===========================
+   extractFromHTML: HTML page -> result object
+   =========================== */
+async function extractFromHTML(htmlString, sourceUrl = null, lang = null) {
+  try {
+    const hash = await contentHash(htmlString || '');
+    const DOMParserImpl = runtime('DOMParser');
+    if (!DOMParserImpl) return { error: 'no_dom', message: 'No DOMParser available: call configure({ DOMParser }) with a DOM shim such as jsdom.' };
+    const parser = new DOMParserImpl();
+    // parsed documents never run scripts; cleaning before Readability keeps handlers and script URLs out of every result
+    const doc = sanitizeDocument(parser.parseFromString(htmlString || '', 'text/html'), 'page');
+
+    // Readability
+    let article = null;
+    const ReadabilityImpl = runtime('Readability');
+    if (ReadabilityImpl) {
+      try { article = new ReadabilityImpl(doc.cloneNode(true)).parse(); } catch (e) { article = null; }
+    }
+
+    const bodyText = (article && article.textContent) ? article.textContent.trim() : (doc.body ? textOf(doc.body).trim() : '');
+    const title = (article && article.title) ? article.title : (doc.title || null);
+
+    const language = lang || detectLanguage(bodyText, doc.documentElement && doc.documentElement.getAttribute('lang'));
+
+    const candidates = collectCandidateBlocks(doc, bodyText, language);
+    const summary = summarizeBlocks(candidates, {
+      fallbackLines: bodyText ? splitToLines(bodyText).map(text => ({ text, page: null })) : [],
+      fallbackLinks: Array.from(doc.querySelectorAll('a[href]')).filter(a => looksLikeApplyLink(a, language)).map(a => a.href),
+      sourceUrl,
+      lang: language,
+      title
+    });
+
+    const result = {
+      title: title || null,
+      source_url: sourceUrl || null,
+      ...summary.fields,
+      raw_text_snippet: redactPII((bodyText || '').slice(0, 500)),
+      method: (article ? 'readability+heuristic' : 'heuristic'),
+      lang: language,
+      confidence: summary.confidence,
+      content_hash: hash
+    };
+
+    const valid = validateOutputSchema(result);
+    if (!valid.valid) {
+      return { error: 'invalid_output_schema', details: valid.errors, raw_text: result.raw_text_snippet };
+    }
+    return result;
+  } catch (e) {
+    return { error: 'exception', message: String(e) };
+  }
+}
+
+/* ===========================
+   summarizeBlocks: shared scoring pass for HTML and PDF candidates
+   =========================== */
+function summarizeBlocks(candidates, { fallbackLines = [], fallbackLinks = [], sourceUrl = null, lang = 'en', title = null } = {}) {
+  const scored = candidates.map((c, id) => ({ ...c, id, score: scoreBlock(c.heading, c.content, lang) }))
+    .sort((a, b) => b.score - a.score);
+  // a heading with nothing under it ("Eligibility") scores on its keyword alone and says nothing
+  const top = scored.filter(s => s.score >= 0.35 && dedupeKey(s.content) !== dedupeKey(s.heading));
+  // headings and the document title are labels, not eligibility lines or documents
+  const labels = new Set(candidates.map(c => dedupeKey(c.heading)).concat(dedupeKey(title)).filter(Boolean));
+
+  const eligibility = [], documents = [], criteria = [], apply_links = new Set();
+  // block: the scored candidate the line came from, null for the whole-page fallback
+  const takeLine = ({ text, page }, block = null) => {
+    if (labels.has(dedupeKey(text))) return;
+    const isDoc = isDocumentLine(text, lang) && isDocumentEntry(text, block ? block.heading : '');
+    // a document name is a proof, not a rule ("income certificate" says nothing about the limit), but the
+    // rest of the line still is: "income below Rs 2.5 lakh (income certificate required)"
+    const found = isDoc ? parseCriteria(withoutDocNames(shorten(text))).map(c => ({ ...c, source: shorten(text) })) : parseCriteria(shorten(text));
+    const why = eligibilityRule(text, lang) || (found.length ? { rule: 'criteria', match: found.map(c => c.type).join(', ') } : null);
+    if (why) eligibility.push({ text: shorten(text), page, prov: provenanceOf(block, why) });
+    if (isDoc) documents.push({ text: shorten(text), page, prov: provenanceOf(block, { rule: 'doc_keyword', match: firstKeyword(text, langKeywords(lang, 'docs')) }) });
+    criteria.push(...found);
+  };
+
+  top.forEach(t => {
+    blockLines(t).forEach(l => takeLine(l, t));
+    if (t.node && t.node.querySelectorAll) {
+      t.node.querySelectorAll('a[href]').forEach(a => {
+        if (looksLikeApplyLink(a, lang)) apply_links.add(makeAbsoluteUrl(a.href, sourceUrl));
+      });
+    }
+  });
+
+  // "Documents required" sections rarely mention eligibility; score them on document keywords
+  scored.filter(b => !top.includes(b)).forEach(b => {
+    const docScore = scoreBlock(b.heading, b.content, lang, 'docs');
+    if (docScore < 0.35) return;
+    blockLines(b).forEach(l => {
+      if (!isDocumentEntry(l.text, b.heading)) return;
+      const keyword = isDocumentLine(l.text, lang) ? firstKeyword(l.text, langKeywords(lang, 'docs')) : null;
+      const entry = keyword ? null : DOC_CATALOGUE.find(d => d.match.test(l.text));
+      if (!keyword && !entry) return;
+      const why = keyword ? { rule: 'doc_keyword', match: keyword } : { rule: 'doc_catalogue', match: entry.id };
+      documents.push({ text: shorten(l.text), page: l.page, prov: { ...provenanceOf(b, why), score: roundTo(docScore), score_for: 'documents' } });
+    });
+  });
+
+  // fallback scanning of whole page
+  const usedFallback = !eligibility.length;
+  if (usedFallback) {
+    fallbackLines.forEach(l => takeLine(l));
+    fallbackLinks.forEach(href => apply_links.add(makeAbsoluteUrl(href, sourceUrl)));
+  }
+
+  const elig = uniqueEntries(eligibility).slice(0, 20);
+  const docs = uniqueEntries(documents).slice(0, 20);
+  const fields = {
+    eligibility: elig.map(e => e.text),
+    documents: docs.map(e => e.text),
+    criteria: uniqueCriteria(criteria).slice(0, 30),
+    apply_links: Array.from(apply_links).filter(isSafeUrl).slice(0, 10)
+  };
+  fields.document_checklist = normalizeDocuments(fields.documents);
+  const { steps, procedure } = extractProcedure(candidates, lang);
+  fields.steps = steps;
+  fields.procedure = procedure;
+  fields.benefits = extractBenefits(candidates, lang);
+  fields.dates = extractDates(uniqueStrings(candidates.flatMap(c => blockLines(c).map(l => l.text)).concat(fallbackLines.map(l => l.text))));
+
+  // plain-language versions, parallel to the evidence lines
+  const seen = new Set();
+  fields.simplified = {
+    eligibility: fields.eligibility.map(x => simplifyText(x, lang, seen)),
+    documents: fields.documents.map(x => simplifyText(x, lang, seen))
+  };
+  // page numbers only exist for PDF sources
+  if (elig.concat(docs).some(e => e.page != null)) {
+    fields.pages = { eligibility: elig.map(e => e.page), documents: docs.map(e => e.page) };
+  }
+  fields.provenance = buildProvenance(scored, fields, { eligibility: elig.map(e => e.prov), documents: docs.map(e => e.prov) }, lang);
+
+  const explained = explainConfidence(eligibility, documents, top, usedFallback);
+  fields.confidence_factors = explained.factors;
+  return { fields, top, confidence: roundTo(explained.score, 2) };
+}
+
+// lines of a candidate block with their page number (null for HTML blocks)
+function blockLines(block) {
+  if (block.lines) {
+    return block.lines.flatMap(l => splitToLines(l.text.replace(/^•\s*/, '')).map(text => ({ text, page: l.page })));
+  }
+  return splitToLines(block.content).map(text => ({ text, page: null }));
+}
+
+/* ===========================
+   Provenance: where each extracted item came from
+   provenance: { blocks: [{ heading, score, text }], <field>: [{ block, heading, score, score_for, rule, match }] }
+   a block's score is its eligibility score; an item's score_for names the pass its score comes from
+   <field> arrays run parallel to eligibility, documents, benefits, steps and dates;
+   block indexes provenance.blocks and is null for lines found by the whole-page fallback
+   =========================== */
+const PROVENANCE_FIELDS = ['eligibility', 'documents', 'benefits', 'steps', 'dates'];
+const PROVENANCE_RULES = ['elig_keyword', 'elig_pattern', 'criteria', 'doc_keyword', 'doc_catalogue', 'benefit_block', 'benefit_keyword', 'steps_heading', 'step_inline', 'date_label', 'date_found'];
+const PROVENANCE_MAX_BLOCKS = 12;
+const PROVENANCE_BLOCK_CHARS = 1500;
+
+// block ids here are candidate indexes; buildProvenance renumbers them
+function provenanceOf(block, why) {
+  return { block: block ? block.id : null, heading: block ? (block.heading || null) : null, score: block ? roundTo(block.score) : null, score_for: block ? 'eligibility' : null, rule: why.rule, match: why.match || null };
+}
+
+// benefits, steps and dates are found by their own passes; trace each back to the smallest block holding its text
+function locateBlock(scored, text) {
+  const needle = normSpace(String(text || '').replace(/…$/, '')).toLowerCase();
+  if (!needle) return null;
+  let best = null;
+  scored.forEach(b => {
+    if ((b._norm || (b._norm = normSpace(b.content).toLowerCase())).includes(needle) && (!best || b.content.length < best.content.length)) best = b;
+  });
+  return best;
+}
+
+function buildProvenance(scored, fields, known, lang) {
+  const stepWords = langKeywords(lang, 'steps');
+  const benefitWords = langKeywords(lang, 'benefits');
+  const raw = {
+    eligibility: known.eligibility,
+    documents: known.documents,
+    benefits: fields.benefits.map(b => {
+      const block = locateBlock(scored, b.text);
+      const score = block ? scoreBlock(block.heading, block.content, lang, 'benefits') : 0;
+      const why = score >= 0.35 ? { rule: 'benefit_block', match: block.heading || null } : { rule: 'benefit_keyword', match: firstKeyword(b.text, benefitWords) };
+      return { ...provenanceOf(block, why), score: block ? roundTo(score) : null, score_for: block ? 'benefits' : null };
+    }),
+    steps: fields.steps.map(st => {
+      const block = locateBlock(scored, st.text);
+      const heading = block && matchKeywords(block.heading, stepWords);
+      const why = heading ? { rule: 'steps_heading', match: firstKeyword(block.heading, stepWords) } : { rule: 'step_inline', match: null };
+      return { ...provenanceOf(block, why), score: block ? roundTo(scoreBlock(block.heading, block.content, lang, 'steps')) : null, score_for: block ? 'steps' : null };
+    }),
+    dates: fields.dates.map(d => {
+      const block = locateBlock(scored, d.text);
+      const pattern = DATE_LABEL_PATTERNS.find(([label]) => label === d.label);
+      const m = pattern && d.text.match(pattern[1]);
+      // dates have no scoring pass of their own
+      return { ...provenanceOf(block, d.label ? { rule: 'date_label', match: m ? m[0] : d.label } : { rule: 'date_found', match: null }), score: null, score_for: null };
+    })
+  };
+
+  // keep only the blocks something points at, best scores first
+  const used = [...new Set(PROVENANCE_FIELDS.flatMap(f => raw[f].map(p => p.block)).filter(id => id != null))]
+    .map(id => scored.find(b => b.id === id))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, PROVENANCE_MAX_BLOCKS);
+  const index = new Map(used.map((b, i) => [b.id, i]));
+  const out = { blocks: used.map(b => ({ heading: b.heading || null, score: roundTo(b.score), text: shorten(b.content, PROVENANCE_BLOCK_CHARS) })) };
+  PROVENANCE_FIELDS.forEach(f => {
+    out[f] = raw[f].map(p => ({ ...p, block: index.has(p.block) ? index.get(p.block) : null }));
+  });
+  return out;
+}
+
+/* ===========================
+   parseCriteria: typed eligibility rules from a sentence
+   each rule: { type, operator, value, unit, source }
+   =========================== */
+const CRITERIA_TYPES = ['age', 'income', 'gender', 'category', 'domicile', 'occupation', 'land_holding', 'education'];
+const CRITERIA_OPERATORS = ['<', '<=', '>', '>=', '==', 'between', 'in'];
+
+const INDIAN_STATES = [
+  'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh', 'Goa', 'Gujarat', 'Haryana',
+  'Himachal Pradesh', 'Jharkhand', 'Karnataka', 'Kerala', 'Madhya Pradesh', 'Maharashtra', 'Manipur',
+  'Meghalaya', 'Mizoram', 'Nagaland', 'Odisha', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu', 'Telangana',
+  'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal', 'Andaman and Nicobar Islands', 'Chandigarh',
+  'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Jammu and Kashmir', 'Ladakh', 'Lakshadweep', 'Puducherry'
+];
+
+// [category, abbreviation (case-sensitive, not part of a degree such as "B.Sc"), spelled-out form (any case)]
+const CATEGORY_PATTERNS = [
+  ['SC', /(?<![.\w])SCs?\b/, /\bscheduled castes?\b/i],
+  ['ST', /(?<![.\w])STs?\b/, /\bscheduled tribes?\b/i],
+  ['OBC', /(?<![.\w])OBCs?\b/, /\bother backward class(es)?\b/i],
+  ['EWS', /(?<![.\w])EWS\b/, /\beconomically weaker sections?\b/i],
+  ['minority', null, /\bminorit(y|ies)\b/i],
+  ['general', null, /\bgeneral category\b/i]
+];
+
+const OCCUPATION_PATTERNS = [
+  ['farmer', /\b(farmers?|cultivators?|kisans?|agricultur(al|ists?) (workers?|households?))\b/i],
+  ['student', /\b(students?|pupils?|scholars?)\b/i],
+  ['artisan', /\b(artisans?|craftsm[ae]n|handicraft workers?)\b/i],
+  ['weaver', /\b(weavers?|handloom workers?)\b/i],
+  ['fisher', /\b(fisherm[ae]n|fishers?|fish farmers?)\b/i],
+  ['labourer', /\b(labou?rers?|construction workers?|unorgani[sz]ed workers?)\b/i],
+  ['street_vendor', /\bstreet vendors?\b/i]
+];
+
+// ordered lowest to highest so '>=' comparisons work on the index
+const EDUCATION_LEVELS = [
+  ['class_8', /\b(8th|class (viii|8)|middle school)\b/i],
+  ['class_10', /\b(10th|class (x|10)|matriculat(e|ion)|ssc|secondary school)\b/i],
+  ['class_12', /\b(12th|class (xii|12)|intermediate|higher secondary|hsc)\b/i],
+  ['diploma', /\b(diploma|iti|polytechnic)\b/i],
+  ['graduate', /\b(graduat(e|ion)|bachelor'?s?|degree|undergraduate)\b/i],
+  ['postgraduate', /\b(post[- ]?graduat(e|ion)|master'?s?|pg)\b/i],
+  ['doctorate', /\b(ph\.?d|doctoral|doctorate)\b/i]
+];
+
+const AMOUNT_RE = /(?:₹|rs\.?|inr|rupees)\s*([\d,]+(?:\.\d+)?)\s*(lakhs?|lacs?|crores?|cr\b|k\b|thousand)?|([\d,]+(?:\.\d+)?)\s*(lakhs?|lacs?|crores?)/i;
+const LESS_RE = /\b(not (?:exceed|be more than|more than|above)|does not exceed|up ?to|upto|below|under|less than|within|maximum|max|ceiling|limit of|lower than)\b/i;
+const MORE_RE = /\b(above|over|more than|at least|minimum|min|not less than|exceeding|greater than)\b/i;
+// "women above 60 years" is an age without the word; "over 5 years of experience" or "for over 10 years" is not
+const BARE_AGE_RE = /(?<!\b(?:for|since|past|last|within)\s+)\b(above|below|over|under)\s+(\d{1,2})\s*(?:years|yrs)\b(?!\s+(?:of\s+)?(?:experience|service|residence|stay|standing|membership|practice|study|domicile)\b)/;
+
+function parseCriteria(sentence) {
+  if (!sentence) return [];
+  const s = sentence.toLowerCase();
+  const out = [];
+  const add = (type, operator, value, unit = null) => out.push({ type, operator, value, unit, source: sentence });
+
+  // age: "aged 18 to 25 years", "between 18 and 40 years of age", "not more than 35 years", "above 60 years"
+  if (/\bage[sd]?\b|years? old|years of age|yrs/.test(s)) {
+    const range = s.match(/(\d{1,2})\s*(?:-|–|to|and)\s*(\d{1,2})\s*(?:years|yrs)/);
+    const bound = s.match(/(not (?:more|older) than|below|under|up ?to|upto|maximum(?: age)?(?: of| limit)?|less than|not exceed(?:ing)?|above|over|at least|minimum(?: age)?(?: of)?|not less than|more than)\s*(?:the age of\s*)?(\d{1,2})\s*(?:years|yrs)/);
+    if (range) add('age', 'between', [Number(range[1]), Number(range[2])], 'years');
+    else if (bound) add('age', boundOperator(bound[1]), Number(bound[2]), 'years');
+  } else {
+    const bare = s.match(BARE_AGE_RE);
+    if (bare) add('age', boundOperator(bare[1]), Number(bare[2]), 'years');
+  }
+
+  // income ceilings in ₹ / Rs / lakh / crore notation
+  if (/income/.test(s)) {
+    const amount = parseAmountINR(sentence);
+    if (amount != null) {
+      const unit = /per month|monthly|p\.m\./.test(s) ? 'INR/month' : 'INR/year';
+      const less = s.match(LESS_RE);
+      const op = less ? (/below|under|less than|lower than/.test(less[1]) ? '<' : '<=') : (MORE_RE.test(s) ? '>' : '<=');
+      add('income', op, amount, unit);
+    }
+  }
+
+  // gender
+  const genders = [];
+  if (/\b(women|woman|female|girls?|widows?|mothers?)\b/.test(s)) genders.push('female');
+  if (/\b(men|male|boys?)\b/.test(s)) genders.push('male');
+  if (/\btransgender\b/.test(s)) genders.push('transgender');
+  if (genders.length === 1) add('gender', '==', genders[0]);
+  else if (genders.length > 1) add('gender', 'in', genders);
+
+  // caste category (case-sensitive abbreviations, checked on the original sentence)
+  const cats = CATEGORY_PATTERNS.filter(([, abbr, words]) => (abbr && abbr.test(sentence)) || words.test(sentence)).map(([c]) => c);
+  if (cats.length) add('category', 'in', cats);
+
+  // state / domicile
+  if (/domicile|resident|native|citizen|belong/.test(s)) {
+    const state = INDIAN_STATES.find(st => new RegExp('\\b' + escapeRegex(st.toLowerCase()) + '\\b').test(s));
+    if (state) add('domicile', '==', state);
+    else if (/\b(indian citizens?|citizens? of india|indian nationals?|resident of india)\b/.test(s)) add('domicile', '==', 'India');
+  }
+
+  // occupation
+  const occ = OCCUPATION_PATTERNS.filter(([, re]) => re.test(s)).map(([o]) => o);
+  if (occ.length) add('occupation', 'in', occ);
+
+  // land holding: "up to 2 hectares", "small and marginal farmers"
+  const land = s.match(/(\d+(?:\.\d+)?)\s*(acres?|hectares?|ha)\b/);
+  if (land && /land|holding|cultivable|farm/.test(s)) {
+    const before = s.slice(0, land.index);
+    const op = MORE_RE.test(before) && !LESS_RE.test(before) ? '>=' : '<=';
+    add('land_holding', op, Number(land[1]), /^ac/.test(land[2]) ? 'acres' : 'hectares');
+  } else if (/small and marginal|small & marginal|marginal farmers?/.test(s)) {
+    add('land_holding', '<=', /small/.test(s) ? 2 : 1, 'hectares');
+  }
+
+  // education level
+  let levels = EDUCATION_LEVELS.filter(([, re]) => re.test(s)).map(([l]) => l);
+  if (levels.includes('postgraduate')) levels = levels.filter(l => l !== 'graduate');
+  if (levels.length && /pass|passed|qualif|complet|studying|pursuing|enrolled|educat|class|degree|course/.test(s)) {
+    // "12th pass and studying in college" sets a minimum: a pass / completion wins over "studying",
+    // and so does a stage after the level ("post matriculation", "after class 10")
+    const passed = /\b(pass|passed|qualified|qualifying|completed?|completion)\b/.test(s) || /\b(post[- ]?|after )(matric|secondary|class|10th|12th)/.test(s);
+    const pursuing = !passed && /studying|pursuing|enrolled|admitted|currently in/.test(s);
+    if (levels.length === 1) add('education', pursuing ? '==' : '>=', levels[0]);
+    else if (/pass|complet|qualif/.test(s)) add('education', '>=', levels[0]);
+    else add('education', 'in', levels);
+  }
+
+  return out;
+}
+
+function boundOperator(phrase) {
+  if (/below|under|less than/.test(phrase)) return '<';
+  if (/above|over|more than/.test(phrase) && !/not/.test(phrase)) return '>';
+  if (/at least|minimum|not less than/.test(phrase)) return '>=';
+  return '<=';
+}
+
+// "Rs. 2,50,000" -> 250000, "₹2.5 lakh" -> 250000, "1 crore" -> 10000000
+function parseAmountINR(text) {
+  const m = (text || '').match(AMOUNT_RE);
+  if (!m) return null;
+  const num = parseFloat((m[1] || m[3] || '').replace(/,/g, ''));
+  if (isNaN(num)) return null;
+  const mult = (m[2] || m[4] || '').toLowerCase();
+  if (/^(lakh|lac)/.test(mult)) return Math.round(num * 1e5);
+  if (/^(crore|cr)/.test(mult)) return Math.round(num * 1e7);
+  if (/^(k|thousand)/.test(mult)) return Math.round(num * 1e3);
+  return num;
+}
+
+function uniqueCriteria(arr) {
+  const seen = new Set();
+  return arr.filter(c => {
+    const k = c.type + '|' + c.operator + '|' + JSON.stringify(c.value);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+/* ===========================
+   simplifyText: the de-jargonizer
+   phrase rules rewrite bureaucratic wording, long sentences are split,
+   and acronyms are expanded the first time they appear
+   =========================== */
+const SIMPLIFY_RULES_EN = [
+  [/\b(applicants?|candidates?|persons?|individuals?) hailing from\b/gi, 'people from'],
+  [/\bhailing from\b/gi, 'from'],
+  [/\bwhose (?:family(?:'s)?|household(?:'s)?|parents'?) (?:total |gross )?annual income(?: from all sources)? (?:does not|shall not|should not|must not|do not) exceed\b/gi, 'with family income up to'],
+  [/\bwhose (?:family(?:'s)?|household(?:'s)?) income (?:does not|shall not|should not) exceed\b/gi, 'with family income up to'],
+  [/\b(?:does|do|shall|should|must) not exceed\b/gi, 'is at most'],
+  [/\bnot exceeding\b/gi, 'up to'],
+  [/\bnot less than\b/gi, 'at least'],
+  [/\bin excess of\b/gi, 'more than'],
+  [/\b(?:shall|will) be eligible to (?:apply|avail)(?: the benefits?| benefits?)?(?: (?:of|under) (?:the|this) scheme)?/gi, 'can apply'],
+  [/\bare eligible to avail(?: of)?(?: the)? benefits?(?: (?:of|under) (?:the|this) scheme)?/gi, 'can get the benefit'],
+  [/\bshall be eligible\b/gi, 'can apply'],
+  [/\bavail(?:ing)?(?: of)?\b/gi, 'get'],
+  [/\b(?:is|are) required to\b/gi, 'must'],
+  [/\bshall\b/gi, 'must'],
+  [/\bfurnish(?:ed)?\b/gi, 'give'],
+  [/\bduly (filled|signed|attested|completed)\b/gi, '$1'],
+  [/\bin accordance with\b|\bpursuant to\b|\bas per\b/gi, 'under'],
+  [/\bwith effect from\b/gi, 'from'],
+  [/\bin respect of\b|\bwith regard to\b|\bpertaining to\b|\bwith reference to\b/gi, 'about'],
+  [/\bprior to\b/gi, 'before'],
+  [/\bsubsequent to\b/gi, 'after'],
+  [/\bon or before\b/gi, 'by'],
+  [/\bin the event (?:that|of)\b/gi, 'if'],
+  [/\bfor the purpose of\b/gi, 'for'],
+  [/\bthe (?:said|aforesaid|aforementioned|above[- ]mentioned)\b/gi, 'the'],
+  [/\bhereinafter (?:referred to|called) as\b/gi, 'called'],
+  [/\bnotwithstanding\b/gi, 'despite'],
+  [/\bbona ?fide resident of\b|\bdomiciled in\b/gi, 'permanent resident of'],
+  [/\bbelonging to\b/gi, 'from'],
+  [/\bcommence(?:s|d)?\b/gi, 'start'],
+  [/\bremuneration\b/gi, 'pay'],
+  [/\bwhichever is earlier\b/gi, 'whichever comes first'],
+  [/\bwhichever is later\b/gi, 'whichever comes last'],
+  [/\bprovided that\b/gi, 'but only if'],
+  [/\s{2,}/g, ' ']
+];
+LANG_PACKS.en.simplify = SIMPLIFY_RULES_EN;
+
+const ACRONYMS = {
+  BPL: 'Below Poverty Line', APL: 'Above Poverty Line', EWS: 'Economically Weaker Section',
+  DBT: 'Direct Benefit Transfer', SC: 'Scheduled Caste', ST: 'Scheduled Tribe', OBC: 'Other Backward Classes',
+  PwD: 'Person with Disability', UDID: 'Unique Disability ID', KYC: 'Know Your Customer (identity check)',
+  IFSC: 'bank branch code', PAN: 'Permanent Account Number (income-tax ID)', DOB: 'date of birth',
+  NSP: 'National Scholarship Portal', CSC: 'Common Service Centre', BDO: 'Block Development Officer',
+  SDM: 'Sub-Divisional Magistrate', ULB: 'Urban Local Body', FY: 'financial year', UT: 'Union Territory',
+  ITI: 'Industrial Training Institute', SHG: 'Self-Help Group', MSME: 'small business (Micro, Small & Medium Enterprise)'
+};
+const ACRONYM_RE = new RegExp('\\b(' + Object.keys(ACRONYMS).join('|') + ')s?\\b', 'g');
+
+// seen: Set of acronyms already expanded earlier in the same card
+function simplifyText(text, lang = 'en', seen = new Set()) {
+  if (!text) return text;
+  const pack = LANG_PACKS[lang] || LANG_PACKS.en;
+  let out = text;
+  (pack.simplify || []).forEach(([re, rep]) => { out = out.replace(re, rep); });
+
+  // split overly long sentences at semicolons and "but only if"
+  if (out.split(/\s+/).length > 25) out = out.replace(/;\s*/g, '. ').replace(/,?\s+but only if\b/g, '. Only if');
+
+  // left alone inside brackets ("Scheduled Caste (SC)", "(SC/ST)") and right before its own expansion
+  out = out.replace(ACRONYM_RE, (m, acr, at, str) => {
+    if (seen.has(acr)) return m;
+    const before = str.slice(0, at), after = str.slice(at + m.length);
+    const full = ACRONYMS[acr].toLowerCase();
+    if (before.toLowerCase().trimEnd().endsWith(full + ' (') || after.toLowerCase().replace(/^\s*\(\s*/, '').startsWith(full)) {
+      seen.add(acr);
+      return m;
+    }
+    if ((before.match(/\(/g) || []).length > (before.match(/\)/g) || []).length) return m;
+    seen.add(acr);
+    return `${m} (${ACRONYMS[acr]})`;
+  });
+  out = out.trim();
+  return out.charAt(0).toUpperCase() + out.slice(1);
+}
+
+/* ===========================
+   extractProcedure: "how to apply" steps, mode, office and fees
+   =========================== */
+const STEP_LINE_RE = /^\s*(?:step\s*[-–]?\s*(\d+)|(\d{1,2})\s*[.)]|[•\-–*])\s*[:.\-–)]?\s*(.+)$/i;
+const STEP_INLINE_RE = /\bstep\s*[-–]?\s*(\d{1,2})\s*[:.\-–)]\s*([^]+?)(?=\bstep\s*[-–]?\s*\d{1,2}\s*[:.\-–)]|$)/gi;
+const ONLINE_RE = /\b(online|portal|website|web ?site|log ?in|sign ?up|register on|upload|e-?mail|app\b|otp|click)/i;
+const OFFLINE_RE = /\b(offline|visit (?:the |your |nearest |any )*(?:[\w-]+ )?(?:office|cent(?:re|er)|branch|panchayat|kendra|csc|bank)|in person|hard copy|physical(ly)?|by post|post office|counter|office|submit (?:it |the form )?at|drop box|kiosk)/i;
+const AUTHORITY_RE = /\b(Tehsildar|Block Development Officer|BDO|District Collector|Collectorate|Deputy Commissioner|District (?:Social Welfare|Agriculture|Welfare|Education) Officer|District Magistrate|Sub-Divisional (?:Magistrate|Officer)|SDM|Gram Panchayat|Village Panchayat|Panchayat Office|Municipal (?:Corporation|Council|Office)|Common Service Cent(?:re|er)s?|CSC|Anganwadi(?: Cent(?:re|er))?|Post Office|bank branch|Nodal Officer|Agriculture Officer|Village (?:Accountant|Administrative Officer)|Patwari|Revenue (?:Officer|Office)|e-Mitra|Seva Kendra|Mee ?Seva|Aaple Sarkar|Head ?master|Principal)\b/i;
+// "submit / hand over … to <office or person>": a physical hand-in unless the recipient is online
+const HANDOVER_RE = /\b(?:submit(?:ted)?|hand (?:it |them )?over|deposit|give|send)\b[^.;]*?\b(?:to|at|with)\s+(?:the\s+)?([^.;]+)/i;
+const RECIPIENT_RE = /\b(office|officer|cent(?:re|er)|branch|counter|institute|institution|college|school|university|department|head of (?:the )?institution)\b/i;
+const SUBMIT_RE = /\bsubmit(?:ted)?\b[^.;]*?\b(?:to|at|in|with)\s+(?:the\s+)?((?:[A-Z][\w&.-]*\s*){1,6}(?:office|officer|centre|center|panchayat|kendra|branch|department|portal)?)/;
+
+function extractProcedure(candidates, lang = 'en') {
+  const headingWords = langKeywords(lang, 'steps');
+  const isStepHeading = h => !!h && matchKeywords(h, headingWords);
+
+  let lines = [], source = null;
+  for (const block of candidates) {
+    const hinted = block.node && block.node.getAttribute && /steps|procedure|instructions|howto|how-to/i.test((block.node.className || '') + ' ' + (block.node.id || ''));
+    if (!isStepHeading(block.heading) && !hinted) continue;
+    const found = procedureLines(block);
+    if (found.length >= 2) { lines = found; source = block; break; }
+    if (!lines.length) { lines = found; source = block; }
+  }
+
+  // "Step 1: … Step 2: …" written inline in running text
+  if (lines.length < 2) {
+    const all = candidates.map(c => c.content).join('\n');
+    const inline = [];
+    let m;
+    STEP_INLINE_RE.lastIndex = 0;
+    while ((m = STEP_INLINE_RE.exec(all)) && inline.length < 20) inline.push(m[2].trim());
+    if (inline.length >= 2) { lines = inline; source = null; }
+  }
+
+  const steps = uniqueStrings(lines).slice(0, 15).map((text, i) => ({
+    order: i + 1,
+    text: shorten(text, 240),
+    mode: stepMode(text)
+  }));
+
+  const pageText = candidates.map(c => c.content).join('\n');
+  const text = steps.map(st => st.text).join('\n') || pageText;
+  const modes = new Set(steps.map(st => st.mode).filter(Boolean));
+  if (!modes.size) {
+    const m = stepMode(text);
+    if (m) modes.add(m);
+  }
+  const authority = (text.match(AUTHORITY_RE) || pageText.match(AUTHORITY_RE) || [])[1] || null;
+  const submit = text.match(SUBMIT_RE);
+
+  return {
+    steps,
+    procedure: {
+      mode: modes.size > 1 ? 'both' : (modes.size ? Array.from(modes)[0] : null),
+      submit_to: submit ? submit[1].trim() : authority,
+      authority,
+      // only the procedure itself: elsewhere on the page "fees" are usually what the scheme pays back
+      fee: findFee(steps.map(st => st.text).join('\n') + '\n' + (source ? (source.node ? sectionText(source.node) : source.content) : ''))
+    }
+  };
+}
+
+// step texts from a procedure block: list items first, then numbered / "Step N" lines
+function procedureLines(block) {
+  const node = block.node;
+  if (node && node.querySelectorAll) {
+    let scope = node;
+    if (/^H[1-6]$/i.test(node.tagName || '')) {
+      // heading blocks point at the heading itself; read the list that follows it
+      let n = node.nextElementSibling, cap = 0;
+      while (n && !/^H[1-4]$/i.test(n.tagName) && cap < 10) {
+        if (/^(OL|UL)$/i.test(n.tagName) || n.querySelector('ol,ul')) { scope = n; break; }
+        n = n.nextElementSibling; cap++;
+      }
+    }
+    const items = Array.from(scope.querySelectorAll('ol > li, ul > li')).map(li => textOf(li).trim()).filter(Boolean);
+    if (items.length >= 2) return items;
+  }
+  const raw = (block.lines ? block.lines.map(l => l.text) : block.content.split(/\r?\n/)).map(l => l.trim()).filter(Boolean);
+  const numbered = raw.map(l => l.match(STEP_LINE_RE)).filter(Boolean).map(m => m[3].trim());
+  return numbered.length >= 2 ? numbered : raw.filter(l => l !== block.heading && l.length > 15);
+}
+
+function stepMode(text) {
+  const handover = text.match(HANDOVER_RE);
+  const handedIn = !!handover && !ONLINE_RE.test(handover[1]) && (AUTHORITY_RE.test(handover[1]) || RECIPIENT_RE.test(handover[1]));
+  const on = ONLINE_RE.test(text), off = OFFLINE_RE.test(text) || handedIn;
+  if (on && off) return 'both';
+  return on ? 'online' : (off ? 'offline' : null);
+}
+
+// the noun is required, so "no refund" or "nil balance" on a fee line is not read as free
+const NO_FEE_RE = /\b(no|nil|without any)\s+(application\s+)?(fee|fees|charges?)\b|\bfree of cost\b|\b(fees?|charges?)\s*[:\-–]\s*(nil|none|free)\b/i;
+
+// { amount, text }: amount 0 for "no fee" / "free of cost", null when not stated as a number;
+// a stated "no fee" wins over a line with an amount, and fees the scheme reimburses are not charges
+function findFee(text) {
+  const lines = splitToLines(text || '').filter(l => /\b(fees?|charges?|cost)\b/i.test(l) && !BENEFIT_WORD_RE.test(l));
+  const free = lines.find(l => NO_FEE_RE.test(l));
+  if (free) return { amount: 0, text: shorten(free) };
+  const line = lines.find(l => parseAmountINR(l) != null) || lines[0];
+  return line ? { amount: parseAmountINR(line), text: shorten(line) } : null;
+}
+
+/* ===========================
+   Document catalogue: free-text document lines -> canonical checklist
+   each item: { id, name, mandatory, self_attested, original, source }
+   generic entries (ID / address proof) only count when no specific document is named on the line
+   =========================== */
+const DOC_CATALOGUE = [
+  // आधार alone also means "basis" ("आय के आधार पर"), so it needs कार्ड / संख्या or a line of its own
+  { id: 'aadhaar', name: 'Aadhaar card', match: /\b(aadh?aa?r|adhaar|uidai?)\b|आधार (?:कार्ड|संख्या|क्रमांक|नंबर)|^\s*आधार\s*$|আধার|ஆதார்|ఆధార్|ಆಧಾರ್|આધાર|ആധാർ/i },
+  { id: 'income_certificate', name: 'Income certificate', match: /\bincome (certificate|proof)\b|आय प्रमाण|उत्पन्नाचा दाखला|আয়ের শংসাপত্র|வருமான சான்றிதழ்|ఆదాయ ధృవీకరణ/i },
+  { id: 'caste_certificate', name: 'Caste certificate', match: /\b(caste|community|sc\/st|obc) certificate\b|जाति प्रमाण|जातीचा दाखला|জাতি শংসাপত্র|சாதிச் சான்றிதழ்|కుల ధృవీకరణ/i },
+  { id: 'domicile_certificate', name: 'Domicile certificate', match: /\b(domicile|residence|residential|nativity) certificate\b|निवास प्रमाण|मूल निवास|रहिवासी दाखला|অধিবাস|இருப்பிடச் சான்றிதழ்|నివాస ధృవీకరణ/i },
+  { id: 'bank_passbook', name: 'Bank passbook', match: /\b(bank )?pass ?book\b|\bbank account (details|statement)\b|\bcancell?ed cheque\b|बैंक पासबुक|बँक पासबुक|ব্যাংক পাসবই|வங்கி கணக்கு புத்தகம்|బ్యాంక్ పాస్‌బుక్/i },
+  { id: 'passport_photo', name: 'Passport-size photograph', match: /\bpassport[- ]?size(d)?\b|\bphoto(graph)?s?\b(?!\s*(id|identity))|फोटो|ফটো|ছবি|புகைப்படம்|ఫోటో|ಫೋಟೋ|ફોટો|ഫോട്ടോ/i },
+  { id: 'ration_card', name: 'Ration card', match: /\bration card\b|\b(bpl|apl|aay|pds) card\b|राशन कार्ड|रेशन कार्ड|রেশন কার্ড|குடும்ப அட்டை|రేషన్ కార్డు/i },
+  { id: 'land_records', name: 'Land records', match: /\bland (records?|documents?|ownership|holding certificate)\b|\b(khatauni|khasra|jamabandi|patta|7\/12|record of rights|rtc)\b|भूमि अभिलेख|खतौनी|सातबारा|জমির দলিল|பட்டா|పట్టా/i },
+  { id: 'birth_certificate', name: 'Birth certificate', match: /\b(birth certificate|date of birth proof|proof of (date of )?birth|age proof)\b|जन्म प्रमाण|जन्म दाखला|জন্ম শংসাপত্র|பிறப்புச் சான்றிதழ்|జనన ధృవీకరణ/i },
+  { id: 'voter_id', name: 'Voter ID card', match: /\b(voter('?s)? id|epic card|electoral photo)\b|मतदाता पहचान|मतदार ओळखपत्र|ভোটার|வாக்காளர் அடையாள|ఓటర్/i },
+  // case-sensitive: "PAN" or "pan card / number", never "pan-India"
+  { id: 'pan_card', name: 'PAN card', match: /\bPAN\b|\b[Pp]an[ -]?(?:[Cc]ard|[Nn]umber|[Nn]o\b)|पैन कार्ड|पॅन कार्ड|প্যান কার্ড|பான் அட்டை|పాన్ కార్డు/ },
+  { id: 'passport', name: 'Passport', match: /\bpassport\b(?![- ]?size)/i },
+  { id: 'driving_licence', name: 'Driving licence', match: /\bdriving licen[cs]e\b|ड्राइविंग लाइसेंस/i },
+  { id: 'marksheet', name: 'Mark sheet / certificates of qualification', match: /\b(mark ?sheets?|marks memo|educational (certificates?|qualification)|pass(ing)? certificate|degree certificate|10th|12th|ssc|hsc)\b|अंकसूची|मार्कशीट|गुणपत्रिका|মার্কশিট|மதிப்பெண் சான்றிதழ்|మార్కుల జాబితా/i },
+  { id: 'bonafide_certificate', name: 'Bonafide / study certificate', match: /\b(bona ?fide|study|enrol(l)?ment) certificate\b|\bcollege id\b/i },
+  { id: 'fee_receipt', name: 'Fee receipt', match: /\b(fee|tuition) receipts?\b/i },
+  { id: 'disability_certificate', name: 'Disability certificate', match: /\b(disability|handicap(ped)?|pwd|udid) (certificate|card)\b|\budid\b|विकलांगता प्रमाण|दिव्यांग प्रमाण/i },
+  { id: 'bpl_certificate', name: 'BPL certificate', match: /\bbpl (certificate|proof)\b|गरीबी रेखा प्रमाण/i },
+  { id: 'job_card', name: 'MGNREGA job card', match: /\b(job card|mgnrega card|nrega card)\b|जॉब कार्ड/i },
+  { id: 'marriage_certificate', name: 'Marriage certificate', match: /\bmarriage certificate\b|विवाह प्रमाण/i },
+  { id: 'affidavit', name: 'Affidavit / self-declaration', match: /\b(affidavit|self[- ]declaration|undertaking)\b|शपथ पत्र|स्वघोषणा|प्रतिज्ञापत्र/i },
+  { id: 'electricity_bill', name: 'Electricity / utility bill', match: /\b(electricity|water|gas|telephone|utility) bill\b|बिजली बिल|वीज बिल/i },
+  { id: 'identity_proof', name: 'Identity proof', generic: true, match: /\b(id|identity|identification) proof\b|\bproof of identity\b|\bphoto id\b|पहचान पत्र|ओळखपत्र|পরিচয়পত্র|அடையாள அட்டை|గుర్తింపు/i },
+  { id: 'address_proof', name: 'Address proof', generic: true, match: /\b(address|residence) proof\b|\bproof of (address|residence)\b|पते का प्रमाण|पत्त्याचा पुरावा|ঠিকানার প্রমাণ|முகவரிச் சான்று|చిరునామా రుజువు/i }
+];
+const DOC_OPTIONAL_RE = /\b(optional|if applicable|wherever applicable|if any|if available|where applicable|in case of|only for)\b|यदि लागू|लागू असल्यास/i;
+const DOC_SELF_ATTESTED_RE = /\bself[- ]?(attested|certified)\b|स्व-?प्रमाणित|स्वसाक्षांकित/i;
+const DOC_ORIGINAL_RE = /\boriginals?\b(?! (copy|order))|मूल प्रति|मूळ प्रत/i;
+// lines under a documents heading that are not a document: the heading again, or an instruction
+const DOC_HEADING_LINE_RE = /^(?:list of )?(?:required |necessary |supporting )?documents?(?: required| needed| to be (?:submitted|uploaded|attached))?$/;
+const DOC_INSTRUCTION_RE = /^(?:[•\-–*]\s*|\d{1,2}[.)]\s*)?(?:upload|submit|click|visit|fill|download|apply|log ?in|sign ?in|register|send|scan|print|go to|select)\b/i;
+
+function isDocumentEntry(text, heading = '') {
+  const key = dedupeKey(text);
+  if (!key || key === dedupeKey(heading) || DOC_HEADING_LINE_RE.test(key)) return false;
+  // "Upload the scanned documents and submit" names no document; "Upload income certificate" does
+  return !DOC_INSTRUCTION_RE.test(text) || DOC_CATALOGUE.some(d => !d.generic && d.match.test(text));
+}
+
+function withoutDocNames(text) {
+  return DOC_CATALOGUE.reduce((t, d) => t.replace(new RegExp(d.match.source, d.match.flags + 'g'), ' '), text);
+}
+
+function normalizeDocuments(lines) {
+  const byId = new Map();
+  (lines || []).forEach(line => {
+    const hits = DOC_CATALOGUE.filter(d => d.match.test(line));
+    const specific = hits.filter(d => !d.generic);
+    (specific.length ? specific : hits).forEach(d => {
+      const item = {
+        id: d.id,
+        name: d.name,
+        mandatory: !DOC_OPTIONAL_RE.test(line),
+        self_attested: DOC_SELF_ATTESTED_RE.test(line),
+        original: DOC_ORIGINAL_RE.test(line),
+        source: line
+      };
+      const prev = byId.get(d.id);
+      if (!prev) { byId.set(d.id, item); return; }
+      // the same document named twice: keep the strictest requirement
+      prev.mandatory = prev.mandatory || item.mandatory;
+      prev.self_attested = prev.self_attested || item.self_attested;
+      prev.original = prev.original || item.original;
+    });
+  });
+  return Array.from(byId.values());
+}
+
+/* ===========================
+   extractBenefits: what the beneficiary gets
+   each benefit: { kind, amount, up_to, frequency, percent, instalments, item, text }
+   =========================== */
+const BENEFIT_KINDS = ['cash', 'subsidy', 'in_kind'];
+const BENEFIT_FREQUENCIES = [
+  ['monthly', /\b(per month|a month|monthly|p\.?\s?m\.?|per mensem)\b/i],
+  ['quarterly', /\b(per quarter|quarterly)\b/i],
+  ['yearly', /\b(per annum|per year|a year|annual(?:ly)?|yearly|p\.?\s?a\.?|every year)\b/i],
+  ['one_time', /\b(one[- ]time|lump ?sum|once)\b/i]
+];
+const IN_KIND_ITEMS = [
+  ['loan', /\b(loans?|credit)\b/i],
+  ['insurance', /\b(insurance|life cover|sum assured|accident cover)\b/i],
+  ['equipment', /\b(equipment|machinery|tools?|tool ?kit|tractor|sewing machine|bicycle|laptop|tablet|implements?)\b/i],
+  ['housing', /\b(pucca house|housing|dwelling unit)\b/i],
+  ['training', /\b(free (?:skill )?training|skill training|coaching)\b/i]
+];
+const UP_TO_RE = /\b(up ?to|upto|maximum(?: of)?|max\.?|not exceeding|ceiling of|subject to a (?:maximum|ceiling))\s*(?:₹|rs\.?|inr|rupees)?\s*$/i;
+const PERCENT_RE = /(\d{1,3}(?:\.\d+)?)\s*(?:%|per ?cent)/i;
+const INSTALMENT_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, twelve: 12 };
+const INSTALMENT_RE = /\b(\d{1,2}|two|three|four|five|six|twelve)\s+(?:equal\s+)?instal+ments?\b/i;
+// amounts in these lines are limits on the applicant, not something they receive
+const NOT_BENEFIT_RE = /\b(income|fees?|turnover|salary|earnings?|charges?|penalty|fine)\b/i;
+// ...unless the line says the amount is paid to them ("reimbursement of fees", "subsidy on charges")
+const BENEFIT_WORD_RE = /\b(subsidy|assistance|grant|incentive|support|benefit|reimburse(?:d|ment)?|allowance)\b/i;
+
+function extractBenefits(candidates, lang = 'en') {
+  const keywords = langKeywords(lang, 'benefits');
+  const top = candidates.filter(c => scoreBlock(c.heading, c.content, lang, 'benefits') >= 0.35);
+  let found = top.flatMap(b => blockLines(b).map(l => parseBenefit(l.text, keywords, true)));
+  if (!found.some(Boolean)) found = candidates.flatMap(b => blockLines(b).map(l => parseBenefit(l.text, keywords, false)));
+  return uniqueEntries(found.filter(Boolean)).slice(0, 12);
+}
+
+// a benefit line needs something concrete (₹, %, an in-kind item) and, outside a benefits block, a benefit keyword
+function parseBenefit(line, keywords = BENEFIT_KEYWORDS, inBlock = false) {
+  const text = shorten(line);
+  if (!inBlock && !matchKeywords(text, keywords)) return null;
+  if (NOT_BENEFIT_RE.test(text) && !BENEFIT_WORD_RE.test(text)) return null;
+
+  const amountMatch = text.match(AMOUNT_RE);
+  const amount = amountMatch ? parseAmountINR(amountMatch[0]) : null;
+  const pct = text.match(PERCENT_RE);
+  const percent = pct ? Number(pct[1]) : null;
+  const itemHit = IN_KIND_ITEMS.find(([, re]) => re.test(text));
+  if (amount == null && percent == null && !itemHit) return null;
+
+  const freq = BENEFIT_FREQUENCIES.find(([, re]) => re.test(text));
+  const inst = text.match(INSTALMENT_RE);
+  return {
+    kind: percent != null ? 'subsidy' : (itemHit ? 'in_kind' : 'cash'),
+    amount,
+    up_to: !!(amountMatch && UP_TO_RE.test(text.slice(0, amountMatch.index))),
+    frequency: freq ? freq[0] : null,
+    percent,
+    instalments: inst ? (INSTALMENT_WORDS[inst[1].toLowerCase()] || Number(inst[1])) : null,
+    item: itemHit ? itemHit[0] : null,
+    text
+  };
+}
+
+/* ===========================
+   extractDates: key dates and deadlines
+   each date: { date: 'YYYY-MM-DD', label, text, past }
+   =========================== */
+const DATE_LABELS = ['opening', 'closing', 'result', 'renewal'];
+const DATE_LABEL_PATTERNS = [
+  // by / before / till / from only count next to an application word ("apply by", "accepted from"),
+  // so "born before", "income up to" or "valid from" are not deadlines
+  ['closing', /\b(last date|closing date|deadline|due date|end date|closes?|on or before|not later than|(?:apply|applications?|submit(?:ted)?|submission|register|registration|reach|received|uploaded?)\b[^.;\d]{0,30}?\b(?:till|until|up ?to|before|by))\b|अंतिम तिथि|अंतिम तारीख|शेवटची तारीख/i],
+  ['opening', /\b(opening date|start date|starts?|opens?|commence(?:s|ment)?|begins?|w\.?e\.?f\.?|(?:apply|applications?|submission|registration|portal|accepted|invited)\b[^.;\d]{0,30}?\bfrom)\b|प्रारंभ तिथि|आरंभ|सुरू/i],
+  ['result', /\b(results?|merit list|selection list|declared|announce(?:d|ment))\b|परिणाम|निकाल/i],
+  ['renewal', /\b(renewal|renew(?:ed)?)\b|नवीनीकरण|नूतनीकरण/i]
+];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE_RES = [
+  // 15/08/2025, 15.08.2025, 15-08-25: one separator throughout, and a dotted date needs its 4-digit year,
+  // so section and version numbers ("Rule 4.2.19", "3.1.12") are not dates
+  [/(?<![\d.\/-])(\d{1,2})([\/.\-])(\d{1,2})\2(\d{4}|\d{2})(?![\d.\/-]\d)/g, m => (m[2] === '.' && m[4].length < 4 ? null : [m[1], m[3], m[4]])],
+  // 31st March 2025, 31 Mar, 2025, 31-Mar-2025
+  [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s\\-]*(?:of\\s+)?${MONTH_NAME}[\\s,\\-]*(\\d{4})\\b`, 'gi'), m => [m[1], m[2], m[3]]],
+  // March 31, 2025
+  [new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s*(\\d{4})\\b`, 'gi'), m => [m[2], m[1], m[3]]],
+  // financial year 2024-25 / FY 2024-2025: read as its last day, 31 March
+  [/\b(?:financial year|f\.?\s?y\.?)\s*(\d{4})\s*[-–\/]\s*(\d{2}|\d{4})\b/gi, m => ['31', '3', String(Number(m[1]) + 1)]]
+];
+
+function extractDates(lines, today = todayISO()) {
+  const found = [];
+  lines.forEach(line => {
+    const hits = [];
+    DATE_RES.forEach(([re, parts]) => {
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(line))) {
+        const ymd = parts(m);
+        const iso = ymd && toISODate(...ymd);
+        if (iso && !hits.some(h => m.index < h.end && h.start < m.index + m[0].length)) hits.push({ iso, start: m.index, end: m.index + m[0].length });
+      }
+    });
+    hits.sort((a, b) => a.start - b.start);
+    let prev = null;
+    hits.forEach(h => {
+      const before = line.slice(prev ? prev.end : Math.max(0, h.start - 80), h.start);
+      let label = dateLabel(before);
+      // "from 01/07/2025 to 31/08/2025"
+      if (prev && /^\s*(to|till|until|[-–])\s*$/i.test(before)) label = prev.label === 'renewal' ? 'renewal' : 'closing';
+      if (!label && prev) label = prev.label;
+      h.label = label;
+      found.push({ date: h.iso, label, text: shorten(line), past: h.iso < today });
+      prev = h;
+    });
+  });
+  const seen = new Set();
+  return found.filter(d => {
+    const k = d.date + '|' + d.label;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  }).slice(0, 12);
+}
+
+// label of the keyword nearest to the date in the text before it
+function dateLabel(before) {
+  let best = null, at = -1;
+  DATE_LABEL_PATTERNS.forEach(([label, re]) => {
+    const g = new RegExp(re.source, 'gi');
+    let m;
+    while ((m = g.exec(before))) if (m.index >= at) { at = m.index; best = label; }
+  });
+  return best;
+}
+
+function toISODate(d, mo, y) {
+  const month = /^\d+$/.test(mo) ? Number(mo) : MONTHS.indexOf(mo.slice(0, 3).toLowerCase()) + 1;
+  let year = Number(y);
+  if (year < 100) year += 2000;
+  const day = Number(d);
+  if (year < 1990 || year > 2100 || month < 1 || month > 12 || day < 1) return null;
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function todayISO() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/* ===========================
+   extractFromPDF (pdf.js text layer -> same candidate/scoring logic)
+   =========================== */
+const PDF_MAX_PAGES = 60;
+// glyph bullets, "1." / "(a)" / "iv)" markers; never abbreviations such as "Rs." or "No."
+const PDF_BULLET_RE = /^\s*([•▪●◦■□➢►\-–*]|\(?(?:\d{1,3}|[a-z]|[ivx]{2,4})[.)])\s+/i;
+
+async function extractFromPDF(data, sourceUrl = null, fallbackTitle = null, lang = null) {
+  try {
+    const pdfjsLib = runtime('pdfjsLib');
+    if (!pdfjsLib) {
+      return { error: 'pdf_requires_pdfjs', message: 'pdf.js is not loaded on this page, so the PDF cannot be read.' };
+    }
+    const hash = await contentHash(data); // before pdf.js, which may detach the buffer
+    const pdf = await pdfjsLib.getDocument({ data, verbosity: 0 }).promise; // errors only: warnings would go to console.log
+    const lines = [], links = [];
+    const pageCount = Math.min(pdf.numPages, PDF_MAX_PAGES);
+    for (let p = 1; p <= pageCount; p++) {
+      const page = await pdf.getPage(p);
+      const content = await page.getTextContent();
+      lines.push(...pdfItemsToLines(content.items, p));
+      try {
+        (await page.getAnnotations()).forEach(a => {
+          if (a.subtype === 'Link' && a.url && isApplyText('', a.url)) links.push(a.url);
+        });
+      } catch (e) {
+        // annotations are optional
+      }
+    }
+
+    let title = null;
+    try {
+      const meta = await pdf.getMetadata();
+      title = (meta && meta.info && meta.info.Title) ? String(meta.info.Title).trim() : null;
+    } catch (e) { title = null; }
+
+    const bodyText = lines.map(l => l.text).join('\n');
+    const language = lang || detectLanguage(bodyText);
+    const candidates = pdfLinesToBlocks(lines);
+    if (!title) {
+      // a heading-cased first line is the document title, not the first section heading after it
+      const firstHeading = candidates.find(c => c.heading);
+      title = (lines.length && isTitleLine(lines[0].text)) ? lines[0].text : (firstHeading ? firstHeading.heading : fallbackTitle);
+    }
+    const summary = summarizeBlocks(candidates, { fallbackLines: lines, fallbackLinks: links, sourceUrl, lang: language, title });
+
+    const result = {
+      title: title || null,
+      source_url: sourceUrl || null,
+      ...summary.fields,
+      raw_text_snippet: redactPII(bodyText.slice(0, 500)),
+      method: 'pdfjs+heuristic',
+      lang: language,
+      page_count: pdf.numPages,
+      confidence: summary.confidence,
+      content_hash: hash
+    };
+
+    const valid = validateOutputSchema(result);
+    if (!valid.valid) {
+      return { error: 'invalid_output_schema', details: valid.errors, raw_text: result.raw_text_snippet };
+    }
+    return result;
+  } catch (e) {
+    return { error: 'pdf_exception', message: String(e) };
+  }
+}
+
+// group pdf.js text items into visual lines (top to bottom, left to right)
+function pdfItemsToLines(items, pageNum) {
+  const rows = [];
+  items.forEach(it => {
+    if (!it.str || !it.str.trim()) return;
+    const x = it.transform[4], y = it.transform[5];
+    const size = Math.hypot(it.transform[2], it.transform[3]) || it.height || 0;
+    let row = rows.find(r => Math.abs(r.y - y) <= Math.max(2, size * 0.4));
+    if (!row) { row = { y, size, items: [] }; rows.push(row); }
+    row.size = Math.max(row.size, size);
+    row.items.push({ x, str: it.str, width: it.width || 0 });
+  });
+
+  return rows.sort((a, b) => b.y - a.y).map(r => {
+    r.items.sort((a, b) => a.x - b.x);
+    let text = '', end = null;
+    r.items.forEach(i => {
+      if (end !== null && i.x - end > r.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(i.str)) text += ' ';
+      text += i.str;
+      end = i.x + i.width;
+    });
+    return { text: text.replace(/\s+/g, ' ').trim(), page: pageNum, x: r.items[0].x, size: r.size };
+  }).filter(l => l.text);
+}
+
+// short, no closing punctuation, and most words capitalised ("Post Matric Scholarship - Guidelines")
+function isTitleLine(text) {
+  const words = text.split(/\s+/).filter(w => /[a-z]/i.test(w));
+  if (!words.length || words.length > 14 || /[.,;:]$/.test(text) || PDF_BULLET_RE.test(text)) return false;
+  return words.filter(w => /^[A-Z0-9]/.test(w)).length >= Math.ceil(words.length * 0.6);
+}
+
+// rebuild headings, list items and wrapped paragraphs from line layout
+function pdfLinesToBlocks(lines) {
+  if (!lines.length) return [];
+  const sizes = lines.map(l => l.size).sort((a, b) => a - b);
+  const bodySize = sizes[Math.floor(sizes.length / 2)] || 1;
+
+  const isHeading = l => {
+    const words = l.text.split(/\s+/).length;
+    if (l.text.length > 120 || PDF_BULLET_RE.test(l.text)) return false;
+    if (l.size >= bodySize * 1.15) return true;
+    if (words <= 10 && /:$/.test(l.text)) return true;
+    return words <= 10 && /[A-Z]/.test(l.text) && l.text === l.text.toUpperCase();
+  };
+
+  const blocks = [];
+  let cur = { heading: '', lines: [] };
+  let prev = null;
+  lines.forEach(l => {
+    if (isHeading(l)) {
+      if (cur.lines.length) blocks.push(cur);
+      cur = { heading: l.text.replace(/:$/, ''), lines: [] };
+      prev = null;
+      return;
+    }
+    const bullet = l.text.match(PDF_BULLET_RE);
+    if (bullet) {
+      // keep numbered markers (scoreBlock looks for "1."), normalise glyph bullets
+      const text = /\d/.test(bullet[1]) ? l.text : '• ' + l.text.slice(bullet[0].length);
+      prev = { text, page: l.page, x: l.x, list: true };
+      cur.lines.push(prev);
+      return;
+    }
+    // a wrapped line starts lowercase (or in a script without case) or sits indented under a list item;
+    // a capitalised line after an unpunctuated one ("Income certificate" / "Aadhaar card") is a new item
+    const continues = prev && prev.page === l.page && !/[.:;!?।॥]$/.test(prev.text)
+      && (prev.list ? l.x > prev.x + 2 : /^[\p{Ll}\p{Lo}]/u.test(l.text));
+    if (continues) {
+      prev.text += ' ' + l.text;
+      return;
+    }
+    prev = { text: l.text, page: l.page, x: l.x, list: false };
+    cur.lines.push(prev);
+  });
+  if (cur.lines.length) blocks.push(cur);
+
+  return blocks.map(b => ({
+    heading: b.heading,
+    content: b.lines.map(l => l.text).join('\n'),
+    node: null,
+    page: b.lines[0].page,
+    lines: b.lines.map(l => ({ text: l.text, page: l.page }))
+  }));
+}
+
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+// options: redactionOptions() output or anything it accepts (true, ['pan', 'aadhaar'], 'phone,email');
+// distinct values hidden per kind are added to out.redactions, so a second pass leaves the counts alone
+function redactResult(out, options = true) {
+  if (!out || out.error) return out;
+  const seen = {};
+  const opts = { ...redactionOptions(options), seen };
+  const r = text => redactPII(text, opts);
+  out.title = r(out.title);
+  out.eligibility = out.eligibility.map(r);
+  out.documents = out.documents.map(r);
+  out.criteria = out.criteria.map(c => ({ ...c, source: r(c.source) }));
+  out.document_checklist = out.document_checklist.map(d => ({ ...d, source: r(d.source) }));
+  out.benefits = out.benefits.map(b => ({ ...b, text: r(b.text) }));
+  out.dates = out.dates.map(d => ({ ...d, text: r(d.text) }));
+  out.steps = out.steps.map(st => ({ ...st, text: r(st.text) }));
+  if (out.procedure) {
+    const fee = out.procedure.fee;
+    out.procedure = {
+      ...out.procedure,
+      submit_to: r(out.procedure.submit_to),
+      authority: r(out.procedure.authority),
+      fee: fee ? { ...fee, text: r(fee.text) } : fee
+    };
+  }
+  out.simplified = {
+    eligibility: out.simplified.eligibility.map(r),
+    documents: out.simplified.documents.map(r)
+  };
+  out.raw_text_snippet = r(out.raw_text_snippet);
+  if (out.provenance) {
+    const pv = out.provenance;
+    const item = p => ({ ...p, heading: r(p.heading), match: r(p.match) });
+    out.provenance = { blocks: pv.blocks.map(b => ({ ...b, heading: r(b.heading), text: r(b.text) })) };
+    PROVENANCE_FIELDS.forEach(f => { out.provenance[f] = (pv[f] || []).map(item); });
+  }
+  const found = redactionCounts(seen);
+  const prev = out.redactions || {};
+  out.redactions = Object.fromEntries(REDACTION_KINDS.filter(k => prev[k] || found[k]).map(k => [k, (prev[k] || 0) + (found[k] || 0)]));
+  return out;
+}
+
+/* ===========================
+   Change detection: content hash + field-level diff of two results
+   hash: 'sha256:…' where Web Crypto is available, 'fnv1a:…' otherwise
+   (a hash from the other algorithm simply reads as "changed")
+   =========================== */
+// visible text only, so scripts, attributes and re-indentation don't count as a change
+function hashableText(html) {
+  return stripActiveContent(html)
+    .replace(/<noscript[\s\S]*?<\/noscript>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// input: HTML string or PDF bytes (Uint8Array / ArrayBuffer)
+async function contentHash(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(hashableText(input)) : new Uint8Array(input);
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (subtle) {
+    try {
+      const digest = new Uint8Array(await subtle.digest('SHA-256', bytes));
+      return 'sha256:' + Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+    } catch (e) { /* insecure context: fall through */ }
+  }
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) { h ^= bytes[i]; h = Math.imul(h, 0x01000193) >>> 0; }
+  return 'fnv1a:' + h.toString(16).padStart(8, '0');
+}
+
+// { changed, fields: { <field>: { added: [], removed: [], changed: [{ key, before, after }] } } }
+// only fields with a difference are listed; line fields compare case- and space-insensitively
+function diffResults(before, after) {
+  const fields = {};
+  const norm = s => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const put = (name, d) => { if (d.added.length || d.removed.length || d.changed.length) fields[name] = d; };
+
+  const lines = (a, b) => {
+    const had = new Set(a.map(norm)), has = new Set(b.map(norm));
+    return { added: b.filter(l => !had.has(norm(l))), removed: a.filter(l => !has.has(norm(l))), changed: [] };
+  };
+  // keyed items, grouped by key so two of a kind (two closing dates, two cash benefits) stay apart:
+  // identical items cancel out, the rest pair up in order as changed, leftovers are added / removed
+  const keyed = (a, b, key, same) => {
+    const group = list => list.reduce((m, x) => m.set(key(x), [...(m.get(key(x)) || []), x]), new Map());
+    const before = group(a), afterMap = group(b);
+    const d = { added: [], removed: [], changed: [] };
+    new Set([...before.keys(), ...afterMap.keys()]).forEach(k => {
+      const was = (before.get(k) || []).slice(), now = [];
+      (afterMap.get(k) || []).forEach(x => {
+        const i = was.findIndex(y => same(y) === same(x));
+        if (i >= 0) was.splice(i, 1); else now.push(x);
+      });
+      now.forEach((x, i) => { if (i < was.length) d.changed.push({ key: k, before: was[i], after: x }); else d.added.push(x); });
+      d.removed.push(...was.slice(now.length));
+    });
+    return d;
+  };
+  // numeric criteria key on their bound, so a minimum and a maximum age are two items
+  const bound = op => (op[0] === '>' ? 'min' : op[0] === '<' ? 'max' : op);
+
+  put('eligibility', lines(before.eligibility || [], after.eligibility || []));
+  put('criteria', keyed(before.criteria || [], after.criteria || [],
+    c => c.type + ':' + (c.type === 'age' || c.type === 'income' || c.type === 'land_holding' ? bound(c.operator) : JSON.stringify(c.value)),
+    c => JSON.stringify([c.operator, c.value, c.unit])));
+  const docs = r => (r.document_checklist || []).length ? r.document_checklist : null;
+  if (docs(before) && docs(after)) put('documents', keyed(docs(before), docs(after), d => d.id, d => JSON.stringify([d.mandatory, d.self_attested, d.original])));
+  else put('documents', lines(before.documents || [], after.documents || []));
+  put('benefits', keyed(before.benefits || [], after.benefits || [],
+    b => [b.kind, b.item, b.frequency].join('|'),
+    b => JSON.stringify([b.amount, b.up_to, b.percent, b.instalments])));
+  put('dates', keyed(before.dates || [], after.dates || [], d => d.label || d.date, d => d.date));
+  put('steps', lines((before.steps || []).map(s => s.text), (after.steps || []).map(s => s.text)));
+  put('apply_links', lines(before.apply_links || [], after.apply_links || []));
+  if (norm(before.title) !== norm(after.title)) fields.title = { added: [], removed: [], changed: [{ key: 'title', before: before.title, after: after.title }] };
+
+  return { changed: Object.keys(fields).length > 0, fields };
+}
+
+/* ===========================
+   Candidate collection, scoring and small helpers
+   =========================== */
+
+const CLASS_HINTS = [
+  'eligib', 'eligibility', 'who-can', 'who_can', 'whois', 'applicants', 'benefit', 'beneficiaries',
+  'document', 'documents', 'requirement', 'requirements', 'proof', 'howto', 'how-to', 'apply', 'application',
+  'criteria', 'criteria-list', 'steps', 'procedure', 'instructions', 'notice', 'announcement', 'scheme', 'policy'
+];
+
+function collectCandidateBlocks(doc, bodyText = '', lang = 'en') {
+  const blocks = [];
+  const seen = new Set();
+
+  // helper to push block if node not seen and content length > 0
+  function pushBlock(node, heading = '') {
+    if (!node) return;
+    if (seen.has(node)) return;
+    seen.add(node);
+    const text = textOf(node).trim();
+    if (!text) return;
+    // limit block length to reasonable amount
+    const content = text.length > 10000 ? text.slice(0, 10000) : text;
+    blocks.push({ heading: (heading || '').trim(), content, node });
+  }
+
+  // 1) headings + following siblings
+  const headings = Array.from(doc.querySelectorAll('h1,h2,h3,h4'));
+  headings.forEach(h => {
+    const headingText = textOf(h).trim();
+    // use node = h (so link extraction still works)
+    if (sectionText(h).trim()) pushBlock(h, headingText);
+  });
+
+  // 2) lists and tables
+  Array.from(doc.querySelectorAll('ul,ol,table')).forEach(el => {
+    if (el && textOf(el).trim()) pushBlock(el, findNearestHeading(el) || '');
+  });
+
+  // 3) semantic containers
+  Array.from(doc.querySelectorAll('section,article,main,aside,[role="region"],[role="main"]')).forEach(el => {
+    if (el && textOf(el).trim()) pushBlock(el, findNearestHeading(el) || '');
+  });
+
+  // 4) elements with class/ID/aria hints
+  // search for elements whose className or id or aria-label contains hint keywords
+  const hints = CLASS_HINTS.concat(langKeywords(lang, 'hints'));
+  const all = Array.from(doc.querySelectorAll('div,section,article'));
+  for (let el of all) {
+    if (!el || seen.has(el)) continue;
+    const meta = ((el.className || '') + ' ' + (el.id || '') + ' ' + (el.getAttribute('aria-label') || '') + ' ' + (el.getAttribute('role') || '')).toLowerCase();
+    if (!meta) continue;
+    for (let hint of hints) {
+      if (meta.includes(hint)) {
+        // ignore tiny nodes
+        if (textOf(el).trim().length < 30) break;
+        pushBlock(el, findNearestHeading(el) || '');
+        break;
+      }
+    }
+  }
+
+  // 5) text-density fallback for other divs (catch "div soup" content)
+  // We'll pick divs with decent text length and relatively few child elements
+  for (let el of Array.from(doc.querySelectorAll('div'))) {
+    if (!el || seen.has(el)) continue;
+    const text = textOf(el).trim();
+    if (!text || text.length < 120) continue; // minimum size
+    const childCount = (el.querySelectorAll('*') || []).length;
+    const density = computeTextDensity(text, childCount); // words per child factor
+    // heuristic: if density is high (>= 8) OR text very large (>800) include it
+    if (density >= 8 || text.length > 800) {
+      pushBlock(el, findNearestHeading(el) || '');
+    }
+  }
+
+  // 6) fallback: Readability/body paragraphs (only if no blocks found)
+  if (!blocks.length && bodyText) {
+    const paras = bodyText.split(/\n{1,3}/).map(s => s.trim()).filter(Boolean);
+    for (let i = 0; i < Math.min(8, paras.length); i++) {
+      blocks.push({ heading: '', content: paras[i], node: null });
+    }
+  }
+
+  return blocks;
+}
+
+// text of the siblings after el, up to the next heading (a heading's section, the notes under a list)
+function sectionText(el) {
+  let n = el.nextElementSibling;
+  let buf = '';
+  let cap = 0;
+  while (n && !/^H[1-4]$/i.test(n.tagName) && cap < 30) {
+    buf += '\n' + textOf(n);
+    n = n.nextElementSibling;
+    cap++;
+  }
+  return buf;
+}
+
+// compute text density: roughly words per child element (plus smoothing)
+function computeTextDensity(text, childCount) {
+  const words = (text.split(/\s+/).length) || 1;
+  return words / Math.max(1, (childCount || 0) + 1);
+}
+
+function findNearestHeading(el) {
+  let cur = el;
+  for (let i = 0; i < 6 && cur; i++) {
+    cur = cur.previousElementSibling;
+    if (!cur) break;
+    if (/^H[1-4]$/i.test(cur.tagName)) return textOf(cur).trim();
+  }
+  let parent = el.parentElement;
+  const doc = el.ownerDocument;
+  while (parent && parent !== doc.body && parent !== doc.documentElement) {
+    const h = parent.querySelector('h1,h2,h3');
+    if (h) return textOf(h).trim();
+    parent = parent.parentElement;
+  }
+  return '';
+}
+
+// field picks the keyword list: 'elig' for eligibility blocks, 'benefits' for entitlement blocks
+function scoreBlock(heading = '', content = '', lang = 'en', field = 'elig') {
+  let score = 0;
+  const h = (heading || '').toLowerCase();
+  const c = (content || '').toLowerCase();
+  const keywords = langKeywords(lang, field);
+  if (matchKeywords(h, keywords)) score += 0.40;
+  if (/^\s*(•|-|\u2022|\d+\.)/.test(content) || content.split('\n').length > 3) score += 0.30;
+  const kd = keywordDensity(c, keywords);
+  score += Math.min(0.3, kd * 3);
+  return Math.max(0, Math.min(1, score));
+}
+function matchKeywords(text, keywords) { if (!text) return false; text = text.toLowerCase(); return keywords.some(k => text.includes(k.toLowerCase())); }
+// \b only knows ASCII word characters, so non-Latin keywords are matched as substrings
+function keywordDensity(text, keywords) { if (!text) return 0; const words = Math.max(1, text.split(/\s+/).length); let count = 0; const lc = text.toLowerCase(); keywords.forEach(k => { if (/[^\x00-\x7F]/.test(k)) { if (lc.includes(k)) count++; return; } const patt = new RegExp('\\b' + escapeRegex(k) + '\\b', 'i'); if (patt.test(lc)) count++; }); return count / Math.max(1, words / 50); }
+// { rule, match } for the first test an eligibility line passes, null when none does
+function eligibilityRule(line, lang = 'en') {
+  if (!line) return null;
+  const s = line.toLowerCase();
+  const kw = langKeywords(lang, 'elig').find(k => s.includes(k));
+  if (kw) return { rule: 'elig_keyword', match: kw };
+  const pack = LANG_PACKS[lang];
+  const m = s.match(LANG_PACKS.en.eligPattern) || (pack && pack.eligPattern && s.match(pack.eligPattern));
+  return m ? { rule: 'elig_pattern', match: m[0] } : null;
+}
+function firstKeyword(text, keywords) { const s = (text || '').toLowerCase(); return keywords.find(k => s.includes(k.toLowerCase())) || null; }
+function normSpace(s) { return String(s || '').replace(/\s+/g, ' ').trim(); }
+function isDocumentLine(line, lang = 'en') { if (!line) return false; const s = line.toLowerCase(); return langKeywords(lang, 'docs').some(k => s.includes(k)); }
+function looksLikeApplyLink(aEl, lang = 'en') { return isApplyText(textOf(aEl) || aEl.getAttribute('title') || '', aEl.href || '', lang); }
+function isApplyText(txt, href, lang = 'en') { const pack = LANG_PACKS[lang]; if (pack && lang !== 'en' && pack.apply && pack.apply.test(txt || '')) return true; return LANG_PACKS.en.apply.test((txt || '').toLowerCase()) || LANG_PACKS.en.apply.test((href || '').toLowerCase()); }
+
+// don't break on abbreviations such as "Rs. 2.5 lakh" or "No. 12"; danda (। ॥) ends Indic sentences
+function splitToLines(text) { return text.split(/\r?\n|(?<!\b(?:rs|no|nos|sr|dr|govt|smt|shri|viz|etc|e\.g|i\.e))[.;]\s+|[।॥]\s*/i).map(s => s.trim()).filter(Boolean); }
+function shorten(s, len = 200) { s = s.trim(); if (s.length <= len) return s; return s.slice(0, len).trim() + '…'; }
+// "…per year." and "…Per  year" are one line: case, spacing and trailing punctuation don't count
+function dedupeKey(s) { return String(s || '').toLowerCase().replace(/\s+/g, ' ').trim().replace(/[\s.,;:!?।॥]+$/, ''); }
+function uniqueStrings(arr) { const seen = new Set(); return arr.map(s => s.trim()).filter(s => { const k = dedupeKey(s); if (!k || seen.has(k)) return false; seen.add(k); return true; }); }
+function uniqueEntries(arr) { const seen = new Set(); return arr.filter(e => { const k = dedupeKey(e.text); if (!k || seen.has(k)) return false; seen.add(k); return true; }); }
+function makeAbsoluteUrl(href, base) { try { return new URL(href, base || (typeof location !== 'undefined' ? location.href : undefined)).toString(); } catch (e) { return href; } }
+function roundTo(n, d = 2) { return Math.round(n * Math.pow(10, d)) / Math.pow(10, d); }
+function escapeRegex(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+// confidence score as a sum of parts: [{ factor, value, contribution }]; contributions add up to score
+function explainConfidence(eligList, docList, topBlocks, usedFallback = false) {
+  const avgTop = topBlocks.length ? (topBlocks.reduce((a, b) => a + (b.score || 0), 0) / topBlocks.length) : 0;
+  const factor = (name, value, contribution) => ({ factor: name, value: typeof value === 'number' ? roundTo(value) : value, contribution: roundTo(contribution) });
+  if (eligList.length === 0 && docList.length === 0) {
+    const score = 0.12 + avgTop * 0.1;
+    return { score, factors: [factor('nothing_found', 0, 0.12), factor('block_scores', avgTop, avgTop * 0.1)] };
+  }
+  const elig = 0.15 * Math.min(6, eligList.length), docs = 0.1 * Math.min(4, docList.length);
+  const base = Math.min(0.6, elig + docs);
+  const scale = base / (elig + docs); // both line counts share the 0.6 cap
+  const factors = [
+    factor('eligibility_lines', eligList.length, elig * scale),
+    factor('document_lines', docList.length, docs * scale),
+    factor('block_scores', avgTop, 0.4 * avgTop)
+  ];
+  const raw = base + 0.4 * avgTop;
+  const score = Math.min(0.98, raw);
+  if (raw > score) factors.push(factor('cap', 0.98, score - raw));
+  if (usedFallback) factors.push(factor('page_fallback', true, 0));
+  return { score, factors };
+}
+
+/* Output schema validation */
+function validateOutputSchema(obj) {
+  const errors = [];
+  if (!('title' in obj)) errors.push('missing title');
+  if (!('source_url' in obj)) errors.push('missing source_url');
+  if (!('eligibility' in obj)) errors.push('missing eligibility');
+  if (!Array.isArray(obj.eligibility)) errors.push('eligibility must be array');
+  if (!('documents' in obj)) errors.push('missing documents');
+  if (!Array.isArray(obj.documents)) errors.push('documents must be array');
+  if (!('criteria' in obj)) errors.push('missing criteria');
+  if (!Array.isArray(obj.criteria)) errors.push('criteria must be array');
+  else obj.criteria.forEach((c, i) => {
+    if (!c || !CRITERIA_TYPES.includes(c.type)) errors.push(`criteria[${i}].type must be one of ${CRITERIA_TYPES.join(', ')}`);
+    else if (!CRITERIA_OPERATORS.includes(c.operator)) errors.push(`criteria[${i}].operator must be one of ${CRITERIA_OPERATORS.join(' ')}`);
+    else if (c.value == null) errors.push(`criteria[${i}].value missing`);
+    else if (typeof c.source !== 'string') errors.push(`criteria[${i}].source must be string`);
+  });
+  if (!('apply_links' in obj)) errors.push('missing apply_links');
+  if (!Array.isArray(obj.apply_links)) errors.push('apply_links must be array');
+  else if (obj.apply_links.some(l => typeof l !== 'string' || !isSafeUrl(l))) errors.push('apply_links must be http(s) or relative URLs');
+  if (!('raw_text_snippet' in obj)) errors.push('missing raw_text_snippet');
+  if (!('method' in obj)) errors.push('missing method');
+  if (typeof obj.lang !== 'string') errors.push('lang must be string');
+  if (!('confidence' in obj)) errors.push('missing confidence');
+  if (typeof obj.confidence !== 'number') errors.push('confidence must be number');
+  if (!Array.isArray(obj.document_checklist)) errors.push('document_checklist must be array');
+  else obj.document_checklist.forEach((d, i) => {
+    if (!d || !DOC_CATALOGUE.some(c => c.id === d.id)) errors.push(`document_checklist[${i}].id is not a catalogue id`);
+    else if (['mandatory', 'self_attested', 'original'].some(k => typeof d[k] !== 'boolean')) errors.push(`document_checklist[${i}] flags must be boolean`);
+  });
+  if (!Array.isArray(obj.benefits)) errors.push('benefits must be array');
+  else obj.benefits.forEach((b, i) => {
+    if (!b || !BENEFIT_KINDS.includes(b.kind) || typeof b.text !== 'string') errors.push(`benefits[${i}] needs kind (${BENEFIT_KINDS.join(', ')}) and text`);
+    else if ((b.amount != null && typeof b.amount !== 'number') || (b.percent != null && typeof b.percent !== 'number')) errors.push(`benefits[${i}] amount/percent must be numbers`);
+  });
+  if (!Array.isArray(obj.dates)) errors.push('dates must be array');
+  else obj.dates.forEach((d, i) => {
+    if (!d || !/^\d{4}-\d{2}-\d{2}$/.test(d.date)) errors.push(`dates[${i}].date must be YYYY-MM-DD`);
+    else if (d.label != null && !DATE_LABELS.includes(d.label)) errors.push(`dates[${i}].label must be one of ${DATE_LABELS.join(', ')}`);
+    else if (typeof d.past !== 'boolean') errors.push(`dates[${i}].past must be boolean`);
+  });
+  if (!Array.isArray(obj.steps)) errors.push('steps must be array');
+  else obj.steps.forEach((st, i) => {
+    if (!st || typeof st.order !== 'number' || typeof st.text !== 'string') errors.push(`steps[${i}] needs numeric order and text`);
+    else if (st.mode != null && !['online', 'offline', 'both'].includes(st.mode)) errors.push(`steps[${i}].mode must be online, offline or both`);
+  });
+  if (!obj.procedure || typeof obj.procedure !== 'object') errors.push('procedure must be object');
+  else if (obj.procedure.mode != null && !['online', 'offline', 'both'].includes(obj.procedure.mode)) errors.push('procedure.mode must be online, offline or both');
+  if (!obj.simplified || !Array.isArray(obj.simplified.eligibility) || !Array.isArray(obj.simplified.documents)) errors.push('simplified must hold eligibility and documents arrays');
+  else if (obj.simplified.eligibility.length !== (obj.eligibility || []).length || obj.simplified.documents.length !== (obj.documents || []).length) errors.push('simplified must align with eligibility and documents');
+  if ('content_hash' in obj && typeof obj.content_hash !== 'string') errors.push('content_hash must be string');
+  if ('redactions' in obj && (!obj.redactions || typeof obj.redactions !== 'object' || Object.entries(obj.redactions).some(([k, n]) => !REDACTION_KINDS.includes(k) || !Number.isInteger(n) || n < 0))) errors.push('redactions must map redaction kinds to counts');
+  if ('confidence_factors' in obj) {
+    if (!Array.isArray(obj.confidence_factors) || obj.confidence_factors.some(f => !f || typeof f.factor !== 'string' || typeof f.contribution !== 'number')) errors.push('confidence_factors must be an array of { factor, value, contribution }');
+  }
+  if ('provenance' in obj) {
+    const pv = obj.provenance;
+    if (!pv || !Array.isArray(pv.blocks)) errors.push('provenance.blocks must be array');
+    else PROVENANCE_FIELDS.forEach(f => {
+      if (!Array.isArray(pv[f]) || pv[f].length !== (obj[f] || []).length) errors.push(`provenance.${f} must align with ${f}`);
+      else if (pv[f].some(p => !p || !PROVENANCE_RULES.includes(p.rule) || (p.block != null && !(p.block >= 0 && p.block < pv.blocks.length)))) errors.push(`provenance.${f} needs a known rule and a valid block index`);
+    });
+  }
+  if ('pages' in obj) {
+    if (!obj.pages || !Array.isArray(obj.pages.eligibility) || !Array.isArray(obj.pages.documents)) errors.push('pages must hold eligibility and documents arrays');
+    else if (obj.pages.eligibility.length !== obj.eligibility.length || obj.pages.documents.length !== obj.documents.length) errors.push('pages must align with eligibility and documents');
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+// kept under its old name: now the DOM-based pass from sanitize.js (regex fallback without a DOMParser)
+function sanitizeHtmlString(html, policy = 'page') {
+  return sanitizeHtml(html, { DOMParser: runtime('DOMParser'), policy });
+}
+
+/* ===========================
+   Public API
+   =========================== */
+// result object (validated by validateOutputSchema) or { error, message }; PII redacted unless redact: false
+// redact: true (every kind), false, or a list of REDACTION_KINDS such as ['aadhaar', 'pan']
+async function extract(html, { sourceUrl = null, lang = null, redact = true } = {}) {
+  const out = await extractFromHTML(html, sourceUrl, lang);
+  return redact ? redactResult(out, redact) : out;
+}
+
+// data: Uint8Array / ArrayBuffer of the PDF; needs pdf.js (global pdfjsLib or configure({ pdfjsLib }))
+async function extractPDF(data, { sourceUrl = null, lang = null, title = null, redact = true } = {}) {
+  const out = await extractFromPDF(data, sourceUrl, title, lang);
+  return redact ? redactResult(out, redact) : out;
+}
+
+export {
+  configure, extract, extractPDF,
+  extractFromHTML, extractFromPDF, validateOutputSchema, redactResult, redactPII, sanitizeHtmlString,
+  REDACTION_KINDS, redactionOptions, sanitizeHtml, sanitizeDocument, isSafeUrl,
+  LANG_PACKS, registerLangPack, detectLanguage,
+  parseCriteria, CRITERIA_TYPES, CRITERIA_OPERATORS, INDIAN_STATES, OCCUPATION_PATTERNS, EDUCATION_LEVELS,
+  simplifyText, ACRONYMS, ACRONYM_RE,
+  normalizeDocuments, DOC_CATALOGUE, BENEFIT_KINDS, extractDates, DATE_LABELS,
+  contentHash, diffResults,
+  base64ToBytes, todayISO, uniqueStrings, textOf
+};
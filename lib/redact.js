@@ -0,0 +1,152 @@
+/* redact.js - personal details out of extracted text
+   - redactPII(text, { kinds, seen }) -> text with [REDACTED_*] tokens in place of matches
+     kinds: which REDACTION_KINDS to apply (default: all); seen: { kind: Set } collecting distinct values
+   - redactionOptions(spec) turns true / false / ['pan', …] / 'pan,aadhaar' into { kinds }
+   - rules run in REDACTION_RULES order, so a 12-digit Aadhaar is never half-eaten as a phone number
+   - names are only taken from form-style labels ("Name of applicant: …", "S/o …"), never from running text
+   - bare digit runs, amounts and years are left alone: IDs need their separators or a label, PIN codes an address,
+     and a mobile number written in parts ("98765 43210") a +91 / 0 prefix or a phone label
+*/
+
+const REDACTION_KINDS = ['email', 'bank', 'pan', 'aadhaar', 'phone', 'address', 'name'];
+
+// label words that can follow "Name:" in a blank form and are not a name
+const NOT_A_NAME = new Set(['as', 'per', 'same', 'not', 'full', 'block', 'capital', 'capitals', 'letters', 'date', 'age', 'address', 'father', 'mother', 'gender', 'sex', 'dob', 'the', 'in', 'of', 'mobile', 'aadhaar', 'signature', 'scheme', 'bank', 'village', 'district']);
+
+// keeps leading capitalised words of a label's value as the name; null when there is none (blank form, instructions)
+function nameWords(value) {
+  const words = value.split(/([ \t]+)/);
+  let end = 0;
+  for (let i = 0; i < words.length; i += 2) {
+    const w = words[i];
+    if (!/^[A-Z][A-Za-z.']*$/.test(w) || NOT_A_NAME.has(w.replace(/\.$/, '').toLowerCase())) break;
+    end = i + 1;
+  }
+  return end ? { name: words.slice(0, end).join(''), rest: words.slice(end).join('') } : null;
+}
+
+// owner word required ("Applicant's name:", "Name of the father:"); a bare "Name:" only counts inside a
+// filled-in form line, i.e. when another personal field label follows it; scheme / programme names never count
+const NAME_OWNER = '(?:applicant|candidate|student|beneficiary|father|mother|husband|guardian|spouse|nominee)';
+const NAME_TITLE = '(?:(?:mr|mrs|ms|shri|smt|sri|kumari|dr)\\.?[ \\t]+)?';
+const NAME_VALUE = "([A-Za-z][A-Za-z.' \\t]{0,60})";
+const NAME_LABEL = new RegExp(`\\b((?:${NAME_OWNER}(?:'s|’s|s)?[ \\t]+name|name[ \\t]+of[ \\t]+(?:the[ \\t]+)?${NAME_OWNER})[ \\t]*[:\\-–][ \\t]*${NAME_TITLE})${NAME_VALUE}`, 'gi');
+const FORM_NAME_LABEL = new RegExp(`(?<!(?:scheme|programme|program|yojana|project|course|institute|college|bank|branch)(?:'s|’s)?[ \\t]*)\\b(name[ \\t]*[:\\-–][ \\t]*${NAME_TITLE})${NAME_VALUE}(?=[^\\n]*\\b(?:age|dob|date[ \\t]+of[ \\t]+birth|gender|sex|mobile|phone|address|father'?s?[ \\t]+name)[ \\t]*[:\\-–])`, 'gi');
+const RELATION_LABEL = /\b([SDWC][ \t]?\/[ \t]?[oO]\.?[ \t]+(?:(?:Mr|Shri|Sri|Late)\.?[ \t]+)?)([A-Z][A-Za-z.' \t]{0,60})/g;
+
+const AMOUNT_BEFORE_RE = /(?:rs\.?|₹|inr|rupees?|income|amount|up[ \t]?to|upto|below|above|lakh|crore|fee|salary)[^,\n]*$/i;
+const YEAR_GROUP_RE = /^(19|20)\d\d$/;
+
+function idGroups(m, keep) {
+  const groups = m.split(/[ \t.-]/);
+  if (groups.every(g => YEAR_GROUP_RE.test(g))) return m;
+  keep(m);
+  return '[REDACTED_ID]';
+}
+
+// { kind, pattern, token } or, for rules that keep their label, { kind, pattern, replace(match, label, value, keep, before) }
+// before: the text ahead of the match, for rules that look at context
+const REDACTION_RULES = [
+  { kind: 'email', pattern: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi, token: '[REDACTED_EMAIL]' },
+  { kind: 'bank', pattern: /\b[A-Z]{4}0[A-Z0-9]{6}\b/g, token: '[REDACTED_IFSC]' },
+  {
+    kind: 'bank',
+    pattern: /\b((?:bank[ \t]+)?(?:a\/c|acc(?:oun)?t|account)\.?[ \t]*(?:no|number|num)?\.?[ \t]*[:#.\-–]?[ \t]*)(\d[\d \t-]{7,22}\d)\b/gi,
+    replace: (m, label, digits, keep) => {
+      const n = digits.replace(/\D/g, '').length;
+      return n >= 9 && n <= 18 ? (keep(digits), label + '[REDACTED_ACCOUNT]') : m;
+    }
+  },
+  { kind: 'pan', pattern: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/g, token: '[REDACTED_PAN]' },
+  // a bare digit run is only an ID next to an Aadhaar / UID / VID label (application and scheme numbers look alike)
+  {
+    kind: 'aadhaar',
+    pattern: /\b((?:aadh?aa?r|uid(?:ai)?|vid|virtual[ \t]+id)(?:[ \t]+(?:card|no|number))?\.?[ \t]*[:#\-–]?[ \t]*)(\d{16}|[2-9]\d{11})\b/gi,
+    replace: (m, label, digits, keep) => (keep(digits), label + '[REDACTED_ID]')
+  },
+  // 16-digit Virtual ID, then Aadhaar (never starts with 0 or 1), written in groups of four with the same
+  // separator throughout; three or four year-like groups ("2024 2025 2026") are left alone
+  { kind: 'aadhaar', pattern: /\b\d{4}([ \t.-])\d{4}\1\d{4}\1\d{4}\b/g, replace: (m, sep, _, keep) => idGroups(m, keep) },
+  { kind: 'aadhaar', pattern: /\b[2-9]\d{3}([ \t.-])\d{4}\1\d{4}\b/g, replace: (m, sep, _, keep) => idGroups(m, keep) },
+  // a separator inside the number only with a prefix or label, so "Rs. 10000-15000" stays an amount range
+  { kind: 'phone', pattern: /(?:\+91[ \t-]?|\b0)[6-9]\d{4}[ \t-]?\d{5}\b/g, token: '[REDACTED_PHONE]' },
+  {
+    kind: 'phone',
+    pattern: /\b((?:phone|mobile|mob|cell|contact|whats[ \t]?app|helpline|tel)(?:[ \t]+(?:no|number))?\.?[ \t]*[:#\-–]?[ \t]*)([6-9]\d{4}[ \t-]?\d{5})\b/gi,
+    replace: (m, label, digits, keep) => (keep(digits), label + '[REDACTED_PHONE]')
+  },
+  { kind: 'phone', pattern: /\b[6-9]\d{9}\b/g, replace: (m, a, b, keep, before) => (AMOUNT_BEFORE_RE.test(before) ? m : (keep(m), '[REDACTED_PHONE]')) },
+  { kind: 'phone', pattern: /\b0\d{2,4}[ \t-]\d{6,8}\b/g, token: '[REDACTED_PHONE]' },
+  // a house number or village / tehsil name, then a comma-separated locality and the PIN code right after it;
+  // amounts ("Rs 250000", "income below 250000", "up to 100000") never count as a PIN
+  {
+    kind: 'address',
+    pattern: /\b((?:(?:h\.?[ \t]?no|house[ \t]+no|door[ \t]+no|flat[ \t]+no|plot[ \t]+no|ward[ \t]+no)\.?[ \t]*[:\-]?[ \t]*\d[\w\/-]*|(?:village|vill|tehsil|taluka?|mandal)\.?[ \t]*[:\-]?[ \t]*[A-Za-z]+)[^\n]{0,120}?,[ \t]*[A-Za-z][A-Za-z.]*(?:[ \t]+[A-Za-z][A-Za-z.]*){0,2}[ \t]*[-–,]?[ \t]*)([1-9]\d{2}[ \t]?\d{3})\b/gi,
+    replace: (m, place, pin, keep) => (AMOUNT_BEFORE_RE.test(place) ? m : (keep(m), '[REDACTED_ADDRESS]'))
+  },
+  {
+    kind: 'address',
+    pattern: /\b((?:pin(?:[ \t]?code)?|postal[ \t]+code)[ \t]*[:.\-–]?[ \t]*)([1-9]\d{2}[ \t]?\d{3})\b/gi,
+    replace: (m, label, pin, keep) => (keep(pin), label + '[REDACTED_PIN]')
+  },
+  {
+    kind: 'name',
+    pattern: NAME_LABEL,
+    replace: (m, label, value, keep) => {
+      const n = nameWords(value);
+      return n ? (keep(n.name), label + '[REDACTED_NAME]' + n.rest) : m;
+    }
+  },
+  {
+    kind: 'name',
+    pattern: FORM_NAME_LABEL,
+    replace: (m, label, value, keep) => {
+      const n = nameWords(value);
+      return n ? (keep(n.name), label + '[REDACTED_NAME]' + n.rest) : m;
+    }
+  },
+  {
+    kind: 'name',
+    pattern: RELATION_LABEL,
+    replace: (m, label, value, keep) => {
+      const n = nameWords(value);
+      return n ? (keep(n.name), label + '[REDACTED_NAME]' + n.rest) : m;
+    }
+  }
+];
+
+function redactionOptions(spec = true) {
+  if (spec === false || spec == null) return { kinds: [] };
+  if (spec === true) return { kinds: REDACTION_KINDS.slice() };
+  const list = Array.isArray(spec) ? spec : typeof spec === 'string' ? spec.split(',') : (spec.kinds || REDACTION_KINDS);
+  const kinds = list.map(k => String(k).trim().toLowerCase()).filter(Boolean);
+  const unknown = kinds.filter(k => !REDACTION_KINDS.includes(k));
+  if (unknown.length) throw new Error(`unknown redaction kind ${unknown.join(', ')} (known: ${REDACTION_KINDS.join(', ')})`);
+  return { kinds };
+}
+
+function redactPII(text, { kinds = REDACTION_KINDS, seen = null } = {}) {
+  if (!text || typeof text !== 'string') return text;
+  REDACTION_RULES.forEach(rule => {
+    if (!kinds.includes(rule.kind)) return;
+    const keep = value => {
+      if (!seen) return;
+      (seen[rule.kind] = seen[rule.kind] || new Set()).add(String(value).replace(/[^a-z0-9]/gi, '').toLowerCase());
+    };
+    text = text.replace(rule.pattern, (m, a, b, ...rest) => {
+      // replace() passes the offset and the whole string after the groups
+      const all = [a, b, ...rest], at = all[all.length - 2];
+      if (rule.replace) return rule.replace(m, a, b, keep, all[all.length - 1].slice(0, at));
+      keep(m);
+      return rule.token;
+    });
+  });
+  return text;
+}
+
+// { kind: Set } -> { kind: n }, distinct values only
+function redactionCounts(seen) {
+  return Object.fromEntries(REDACTION_KINDS.filter(k => seen[k] && seen[k].size).map(k => [k, seen[k].size]));
+}
+
+export { REDACTION_KINDS, REDACTION_RULES, redactPII, redactionOptions, redactionCounts };
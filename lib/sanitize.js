@@ -0,0 +1,80 @@
+/* sanitize.js - DOM-based HTML clean-up before anything reads a page
+   - sanitizeDocument(doc, policy) cleans a parsed document in place; sanitizeHtml(html, opts) parses, cleans, serializes
+   - 'page' policy (fetched pages): drop active elements, event handlers and script URLs, keep
+     class / id / role so the block finder still gets its hints
+   - 'strict' policy (pasted HTML): allow-list of text and structure tags and attributes; anything
+     else is unwrapped (kept as text) or, for active/embedded content, removed with its contents
+   - stripActiveContent() is the old regex pass, used for hashing and where no DOMParser exists
+*/
+
+// removed together with everything inside them, under both policies
+const DROP_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED', 'APPLET', 'BASE', 'LINK', 'META', 'TEMPLATE', 'PORTAL']);
+// strict policy: also removed with their contents (forms, media, vector graphics)
+const STRICT_DROP_TAGS = new Set([...DROP_TAGS, 'NOSCRIPT', 'SVG', 'MATH', 'CANVAS', 'IMG', 'PICTURE', 'VIDEO', 'AUDIO', 'SOURCE', 'TRACK', 'MAP', 'AREA', 'FORM', 'INPUT', 'BUTTON', 'SELECT', 'OPTION', 'TEXTAREA', 'DIALOG']);
+const STRICT_TAGS = new Set([
+  'A', 'ABBR', 'ADDRESS', 'ARTICLE', 'ASIDE', 'B', 'BLOCKQUOTE', 'BR', 'CAPTION', 'CITE', 'CODE', 'COL', 'COLGROUP',
+  'DD', 'DEL', 'DETAILS', 'DFN', 'DIV', 'DL', 'DT', 'EM', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+  'HEADER', 'HR', 'I', 'INS', 'KBD', 'LABEL', 'LI', 'MAIN', 'MARK', 'NAV', 'OL', 'P', 'PRE', 'Q', 'S', 'SECTION', 'SMALL',
+  'SPAN', 'STRONG', 'SUB', 'SUMMARY', 'SUP', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TIME', 'TITLE', 'TR', 'U', 'UL'
+]);
+// none of these can run code or load anything; class / id / role / aria-label feed the block finder
+const STRICT_ATTRS = new Set(['href', 'title', 'lang', 'dir', 'class', 'id', 'role', 'aria-label', 'colspan', 'rowspan', 'datetime', 'start', 'type']);
+const URL_ATTRS = new Set(['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background', 'cite', 'data', 'srcset']);
+
+// http(s), mailto, tel and relative links only
+function isSafeUrl(url) {
+  const s = String(url == null ? '' : url).replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(s);
+  return !scheme || /^(https?|mailto|tel)$/i.test(scheme[1]);
+}
+
+function sanitizeDocument(doc, policy = 'page', stats = null) {
+  const strict = policy === 'strict';
+  const drop = strict ? STRICT_DROP_TAGS : DROP_TAGS;
+  const count = key => { if (stats) stats[key] = (stats[key] || 0) + 1; };
+  const clean = parent => {
+    Array.from(parent.childNodes).forEach(n => {
+      if (n.nodeType === 8 || n.nodeType === 7) { n.remove(); return; } // comments, processing instructions
+      if (n.nodeType !== 1) return;
+      const tag = n.tagName.toUpperCase();
+      if (drop.has(tag)) { n.remove(); count('elements'); return; }
+      clean(n);
+      if (strict && !STRICT_TAGS.has(tag)) { n.replaceWith(...n.childNodes); count('unwrapped'); return; }
+      Array.from(n.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        const bad = name.startsWith('on') || name === 'srcdoc' || (strict && !STRICT_ATTRS.has(name)) ||
+          (URL_ATTRS.has(name) && !isSafeUrl(attr.value)) || (name === 'style' && /expression\s*\(|url\s*\(\s*['"]?\s*javascript:/i.test(attr.value));
+        if (bad) { n.removeAttribute(attr.name); count('attributes'); }
+      });
+    });
+  };
+  if (doc.head) clean(doc.head);
+  if (doc.body) clean(doc.body);
+  if (strict && doc.documentElement) {
+    Array.from(doc.documentElement.attributes).forEach(a => { if (a.name !== 'lang' && a.name !== 'dir') doc.documentElement.removeAttribute(a.name); });
+  }
+  return doc;
+}
+
+// string in, string out; the strict output is a minimal page (title + cleaned body) that is only ever parsed, never inserted
+function sanitizeHtml(html, { DOMParser: DOMParserImpl = globalThis.DOMParser, policy = 'page', stats = null } = {}) {
+  if (!html) return '';
+  if (!DOMParserImpl) return stripActiveContent(html);
+  const doc = sanitizeDocument(new DOMParserImpl().parseFromString(html, 'text/html'), policy, stats);
+  if (policy !== 'strict') return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+  const lang = doc.documentElement.getAttribute('lang');
+  const esc = s => s.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  return `<!DOCTYPE html>\n<html${lang ? ` lang="${esc(lang)}"` : ''}><head><title>${esc(doc.title || '')}</title></head><body>${doc.body ? doc.body.innerHTML : ''}</body></html>`;
+}
+
+function stripActiveContent(html) {
+  if (!html) return '';
+  html = html.replace(/<!--[\s\S]*?-->/g, '');
+  html = html.replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, '');
+  html = html.replace(/<style[\s\S]*?>[\s\S]*?<\/style>/gi, '');
+  html = html.replace(/\son\w+\s*=\s*"(?:[^"\\]|\\.)*"/gi, '');
+  html = html.replace(/\son\w+\s*=\s*'(?:[^'\\]|\\.)*'/gi, '');
+  return html;
+}
+
+export { sanitizeDocument, sanitizeHtml, stripActiveContent, isSafeUrl, DROP_TAGS, STRICT_TAGS, STRICT_ATTRS };
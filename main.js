@@ -1,133 +1,201 @@
-/* main.js - drop-in replacement
-   - WORKER_URL set to your worker
-   - SPA detection + paste fallback
-   - extractor + worker integration + renderer
+/* main.js - web page consumer of lib/extractor.js (loaded as a module)
+   - WORKER_URL set to your worker (source in worker/; worker/mock-server.js overrides it locally)
+   - SPA detection + site adapters + paste fallback
+   - worker integration + renderer
+   - batch mode: several schemes compared side by side
+   - exports: JSON, one-page print, plain text / WhatsApp, share link
+   - history + saved schemes (store.js), offline via sw.js, update checks with a field diff
+   - provenance: "why?" confidence breakdown, § links from items to their source passage
+   - untrusted input: pasted HTML goes through the strict sanitizer, result text is only ever set as text
+   - easy view: large type, icons, keyboard moves between sections, read-aloud (speechSynthesis)
 */
+import {
+  extractFromHTML, extractFromPDF, redactResult, base64ToBytes,
+  LANG_PACKS, CRITERIA_TYPES, INDIAN_STATES, OCCUPATION_PATTERNS, EDUCATION_LEVELS,
+  simplifyText, ACRONYMS, ACRONYM_RE, todayISO, uniqueStrings, validateOutputSchema, contentHash, diffResults,
+  sanitizeHtml, isSafeUrl, REDACTION_KINDS
+} from './lib/extractor.js';
+import { historyId, getEntry, listHistory, findByUrl, saveToHistory, setPinned, markChecked, deleteEntry, clearHistory } from './store.js';
 
-const WORKER_URL = 'https://govscheme-proxy.dhanushsai-work.workers.dev'; // <- YOUR WORKER
-
-/* ----- Keyword lists ----- */
-const ELIG_KEYWORDS = ['eligible', 'eligibility', 'who can apply', 'who is eligible', 'applicants', 'beneficiary', 'beneficiaries', 'target group'];
-const DOC_KEYWORDS = ['document', 'documents', 'proof', 'id proof', 'identity proof', 'address proof', 'income certificate', 'photo', 'aadhar', 'passport', 'voter id'];
+const WORKER_URL = window.GOVSCHEME_WORKER_URL || 'https://govscheme-proxy.dhanushsai-work.workers.dev'; // <- YOUR WORKER
 
 /* ===========================
-   extractFromHTML (same as before)
+   Site adapters (pluggable)
+   Per-domain ways past SPA shells: call the JSON API behind the portal or have
+   the worker render the page. An adapter is
+   { id, hosts: [domain suffixes], fallback?: true, extract(url, ctx) -> result | null }.
+   Adapters whose hosts match run before the plain fetch; fallback adapters run
+   once a shell is detected; the paste flow is the last resort.
+   Register more with registerSiteAdapter().
    =========================== */
-async function extractFromHTML(htmlString, sourceUrl = null) {
-  try {
-    htmlString = sanitizeHtmlString(htmlString);
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(htmlString, 'text/html');
-
-    // Readability
-    let article = null;
-    if (typeof Readability !== 'undefined') {
-      try { article = new Readability(doc.cloneNode(true)).parse(); } catch (e) { article = null; }
-    }
+const SITE_ADAPTERS = [];
 
-    const bodyText = (article && article.textContent) ? article.textContent.trim() : (doc.body ? doc.body.innerText.trim() : '');
-    const title = (article && article.title) ? article.title : (doc.title || null);
-
-    const candidates = collectCandidateBlocks(doc, bodyText);
-    const scored = candidates.map(c => ({ ...c, score: scoreBlock(c.heading, c.content) }))
-      .sort((a, b) => b.score - a.score);
-    const top = scored.filter(s => s.score >= 0.35);
-
-    const eligibility = [], documents = [], apply_links = new Set();
-
-    if (top.length) {
-      top.forEach(t => {
-        const lines = splitToLines(t.content);
-        lines.forEach(line => {
-          if (isEligibilityLine(line)) eligibility.push(shorten(line));
-          if (isDocumentLine(line)) documents.push(shorten(line));
-        });
-        if (t.node && t.node.querySelectorAll) {
-          t.node.querySelectorAll('a[href]').forEach(a => {
-            if (looksLikeApplyLink(a)) apply_links.add(makeAbsoluteUrl(a.href, sourceUrl));
-          });
-        }
-      });
-    }
+function registerSiteAdapter(adapter) {
+  SITE_ADAPTERS.push({ hosts: [], fallback: false, ...adapter });
+}
 
-    // fallback scanning of whole page
-    if (!eligibility.length && bodyText) {
-      splitToLines(bodyText).forEach(line => {
-        if (isEligibilityLine(line)) eligibility.push(shorten(line));
-        if (isDocumentLine(line)) documents.push(shorten(line));
-      });
-      doc.querySelectorAll('a[href]').forEach(a => {
-        if (looksLikeApplyLink(a)) apply_links.add(makeAbsoluteUrl(a.href, sourceUrl));
-      });
-    }
+function siteAdaptersFor(targetUrl) {
+  let host = '';
+  try { host = new URL(targetUrl).hostname.toLowerCase(); } catch (e) { return []; }
+  return SITE_ADAPTERS.filter(a => a.hosts.some(h => host === h || host.endsWith('.' + h)));
+}
 
-    const result = {
-      title: title || null,
-      source_url: sourceUrl || null,
-      eligibility: uniqueStrings(eligibility).slice(0, 20),
-      documents: uniqueStrings(documents).slice(0, 20),
-      apply_links: Array.from(apply_links).slice(0, 10),
-      raw_text_snippet: redactPII((bodyText || '').slice(0, 500)),
-      method: (article ? 'readability+heuristic' : 'heuristic'),
-      confidence: roundTo(computeConfidence(eligibility, documents, top), 2)
-    };
+// null means "not for me / nothing found": the next adapter or the plain fetch takes over
+async function runSiteAdapter(adapter, targetUrl) {
+  try {
+    const out = await adapter.extract(targetUrl, { workerFetch, lang: null });
+    if (!out || out.error) return out || null;
+    return { ...out, method: `adapter:${adapter.id}+${out.method}` };
+  } catch (e) {
+    return { error: 'adapter_failed', message: `${adapter.id}: ${String(e)}` };
+  }
+}
+
+// headings -> key patterns for turning portal JSON into a page the extractor can read
+const JSON_SECTIONS = [
+  ['Benefits', /benefit/i],
+  ['Eligibility', /eligib/i],
+  ['Documents Required', /document/i],
+  ['How to Apply', /applicationprocess|howtoapply|process/i],
+  ['Important Dates', /date|deadline/i]
+];
 
-    const valid = validateOutputSchema(result);
-    if (!valid.valid) {
-      return { error: 'invalid_output_schema', details: valid.errors, raw_text: result.raw_text_snippet };
+// strings under matching keys, one per line; rich-text nodes ({ children: [{ text }] }) become one line each
+function collectJsonText(node, keyRe, inside = false, out = []) {
+  if (node == null) return out;
+  if (typeof node === 'string') {
+    if (inside) node.split(/\r?\n/).map(l => l.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').replace(/[*_`#>]+/g, '').trim()).filter(l => l.split(/\s+/).length >= 2).forEach(l => out.push(l));
+    return out;
+  }
+  if (Array.isArray(node)) { node.forEach(n => collectJsonText(n, keyRe, inside, out)); return out; }
+  if (typeof node === 'object') {
+    if (inside && Array.isArray(node.children) && node.children.length && node.children.every(c => c && typeof c.text === 'string')) {
+      const line = node.children.map(c => c.text).join('').trim();
+      if (line) out.push(line);
+      return out;
     }
-    return result;
-  } catch (e) {
-    return { error: 'exception', message: String(e) };
+    Object.keys(node).forEach(k => collectJsonText(node[k], keyRe, inside || keyRe.test(k), out));
   }
+  return out;
 }
 
+function jsonSectionsToHTML(json, title = null, sections = JSON_SECTIONS) {
+  const parts = sections.map(([heading, re]) => {
+    const lines = uniqueStrings(collectJsonText(json, re));
+    return lines.length ? `<h2>${escapeHTML(heading)}</h2><ul>${lines.map(l => `<li>${escapeHTML(l)}</li>`).join('\n')}</ul>` : '';
+  }).filter(Boolean);
+  if (!parts.length) return null;
+  return `<html><head><title>${escapeHTML(title || '')}</title></head><body><main>${title ? `<h1>${escapeHTML(title)}</h1>` : ''}${parts.join('\n')}</main></body></html>`;
+}
+
+// myScheme (www.myscheme.gov.in/schemes/<slug>) is a Next.js shell; the scheme text comes from
+// its public API, which wants an x-api-key header the worker adds from UPSTREAM_HEADERS
+const MYSCHEME_API = 'https://api.myscheme.gov.in/schemes/v5/public/schemes';
+registerSiteAdapter({
+  id: 'myscheme',
+  hosts: ['myscheme.gov.in'],
+  async extract(url, { workerFetch }) {
+    const slug = (new URL(url).pathname.match(/\/schemes\/([\w-]+)/) || [])[1];
+    if (!slug) return null;
+    const data = await workerFetch(`${MYSCHEME_API}?slug=${encodeURIComponent(slug)}&lang=en`);
+    if (data.error || !data.text) return null;
+    const json = JSON.parse(data.text);
+    const scheme = (json.data && (json.data.en || json.data)) || json;
+    const title = collectJsonText(scheme, /^schemeName$/)[0] || null;
+    const html = jsonSectionsToHTML(scheme, title);
+    return html ? extractFromHTML(html, url) : null;
+  }
+});
+
+// headless render through the worker (?render=1); first choice for portals known to ship
+// an empty Angular shell, fallback for any other shell
+registerSiteAdapter({
+  id: 'render',
+  hosts: ['scholarships.gov.in'],
+  fallback: true,
+  async extract(url, { workerFetch }) {
+    const data = await workerFetch(url, { render: '1' });
+    if (data.error || !data.html || isAppShell(data.html)) return null;
+    return extractFromHTML(data.html, data.final_url || url);
+  }
+});
+
 /* ===========================
    fetchViaWorkerAndExtract (with SPA detection)
    =========================== */
-async function fetchViaWorkerAndExtract(targetUrl) {
+// one worker round trip; errors follow the contract in worker/proxy.js: { error, message, final_url?, retry_after? }
+async function workerFetch(targetUrl, params = {}) {
+  const qs = new URLSearchParams({ url: targetUrl, ...params });
+  const r = await fetch(`${WORKER_URL}?${qs}`, { method: 'GET' });
+  if (!r.ok) {
+    let body = {};
+    try { body = await r.json(); } catch (e) { body = { message: 'unknown' }; }
+    if (body.error) return { error: body.error, message: body.message, final_url: body.final_url, retry_after: body.retry_after };
+    return { error: 'worker_fetch_failed', details: body };
+  }
+  const data = await r.json();
+  if (data.error) return { error: 'worker_error', details: data };
+  return data;
+}
+
+// SPA detection heuristic
+function isAppShell(html) {
+  const trimmed = html.replace(/\s+/g, ' ').trim();
+  const text = trimmed.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  return /<app-root[^>]*>(\s*)<\/app-root>/i.test(html)
+    || /<div id="root"[^>]*>(\s*)<\/div>/i.test(html)
+    || /<div id="__next"[^>]*>(\s*)<\/div>/i.test(html)
+    || /<router-outlet[^>]*>/i.test(html)
+    || (trimmed.length < 900 && text.length < 200 && /<script|<app-root|<router-outlet|window\.app/i.test(html));
+}
+
+// knownHash: content_hash of a result the caller already has; same content -> { unchanged: true, content_hash, final_url }
+async function fetchViaWorkerAndExtract(targetUrl, { knownHash = null } = {}) {
   try {
     if (!WORKER_URL || WORKER_URL.includes('yourworker')) {
       return { error: 'worker_missing', message: 'Set WORKER_URL to your deployed Cloudflare Worker.' };
     }
-    const u = `${WORKER_URL}?url=${encodeURIComponent(targetUrl)}`;
-    const r = await fetch(u, { method: 'GET' });
-    if (!r.ok) {
-      let body = {};
-      try { body = await r.json(); } catch (e) { body = { message: 'unknown' }; }
-      return { error: 'worker_fetch_failed', details: body };
+
+    // known portals first, so their empty shell is never fetched
+    const tried = [];
+    for (const adapter of siteAdaptersFor(targetUrl)) {
+      tried.push(adapter);
+      const out = await runSiteAdapter(adapter, targetUrl);
+      if (out && !out.error) return redactResult(out);
+    }
+
+    const data = await workerFetch(targetUrl);
+    if (data.error) return data;
+
+    // cheap update check: hash what came back before any parsing
+    if (knownHash && (data.html || data.pdf_base64)) {
+      const hash = await contentHash(data.pdf_base64 ? base64ToBytes(data.pdf_base64) : data.html);
+      if (hash === knownHash) return { unchanged: true, content_hash: hash, final_url: data.final_url || targetUrl };
     }
-    const data = await r.json();
-    if (data.error) return { error: 'worker_error', details: data };
-
-    // SPA detection heuristic
-    if (data.content_type && data.content_type.includes('text/html')) {
-      const html = data.html || '';
-      const trimmed = html.replace(/\s+/g, ' ').trim();
-      const isAppShell = /<app-root[^>]*>(\s*)<\/app-root>/i.test(html)
-        || /<div id="root"[^>]*>(\s*)<\/div>/i.test(html)
-        || /<router-outlet[^>]*>/i.test(html)
-        || (trimmed.length < 900 && /<script|<app-root|<router-outlet|window\.app/i.test(html));
-      if (isAppShell) {
-        return { error: 'spa_shell', message: 'Dynamic SPA detected — page loads content via JavaScript. Use the paste-HTML fallback or upload PDF.', final_url: data.final_url, html_snippet: html.slice(0, 400) };
+
+    if (data.content_type && data.content_type.includes('text/html') && isAppShell(data.html || '')) {
+      for (const adapter of SITE_ADAPTERS.filter(a => a.fallback && !tried.includes(a))) {
+        const out = await runSiteAdapter(adapter, data.final_url || targetUrl);
+        if (out && !out.error) return redactResult(out);
       }
+      return { error: 'spa_shell', message: 'Dynamic SPA detected — page loads content via JavaScript. Use the paste-HTML fallback or upload PDF.', final_url: data.final_url, html_snippet: (data.html || '').slice(0, 400) };
     }
 
     if (data.content_type && data.content_type.includes('application/pdf')) {
       if (typeof window.pdfjsLib === 'undefined') {
         return { error: 'pdf_requires_pdfjs', message: 'PDF returned. Include pdf.js to process or ask user to download and paste text.', final_url: data.final_url };
       }
-      // PDF path with pdf.js omitted for zero-budget default
+      // worker sends PDF bytes base64-encoded; missing when over its size limit
+      if (data.too_large || !data.pdf_base64) {
+        return { error: 'pdf_too_large', message: 'The PDF is too large to fetch through the worker. Download it and upload the file instead.', final_url: data.final_url };
+      }
+      const out = await extractFromPDF(base64ToBytes(data.pdf_base64), data.final_url || targetUrl);
+      return redactResult(out);
     }
 
     const htmlString = data.html || '';
     const out = await extractFromHTML(htmlString, data.final_url || targetUrl);
-    if (!out.error) {
-      out.eligibility = out.eligibility.map(redactPII);
-      out.documents = out.documents.map(redactPII);
-      out.raw_text_snippet = redactPII(out.raw_text_snippet);
-    }
-    return out;
+    return redactResult(out);
   } catch (err) {
     return { error: 'client_exception', message: String(err) };
   }
@@ -136,21 +204,25 @@ async function fetchViaWorkerAndExtract(targetUrl) {
 /* ===========================
    UI render + paste fallback
    =========================== */
+let currentView = null; // re-run on locale change
+
 function renderResult(result, targetUrl) {
   const container = document.querySelector('.output');
+  stopSpeech();
   container.innerHTML = '';
+  currentView = () => renderResult(result, targetUrl);
 
   if (!result) {
-    container.innerHTML = '<div class="muted">No result</div>';
+    container.innerHTML = `<div class="muted">${escapeHTML(t('result.none'))}</div>`;
     return;
   }
   if (result.error) {
     // If SPA, show a short card and caller will show paste fallback
     if (result.error === 'spa_shell') {
-      container.innerHTML = `<div class="result-card"><h2>Dynamic site detected</h2><div class="muted" style="margin-top:6px">${escapeHTML(result.message)}</div><div class="muted" style="margin-top:8px">Try: Copy page HTML or article text and paste below.</div></div>`;
+      container.innerHTML = `<div class="result-card"><h2>${escapeHTML(t('result.spaTitle'))}</h2><div class="muted" style="margin-top:6px">${escapeHTML(result.message)}</div><div class="muted" style="margin-top:8px">${escapeHTML(t('result.spaTry'))}</div></div>`;
       return;
     }
-    container.innerHTML = `<div class="result-card"><strong>Error:</strong> ${escapeHTML(result.error)}<div class="muted" style="margin-top:8px;">${escapeHTML(result.message || JSON.stringify(result.details || ''))}</div></div>`;
+    container.innerHTML = `<div class="result-card"><strong>${escapeHTML(t('result.error'))}</strong> ${escapeHTML(result.error)}<div class="muted" style="margin-top:8px;">${escapeHTML(result.message || JSON.stringify(result.details || ''))}</div></div>`;
     return;
   }
 
@@ -160,322 +232,1535 @@ function renderResult(result, targetUrl) {
   // Title + badge
   const h = document.createElement('h2');
   h.style.margin = '0 0 6px 0';
-  h.textContent = result.title || 'Untitled page';
+  h.textContent = result.title || t('result.untitled');
   const badge = document.createElement('span');
   badge.className = 'badge ' + (result.confidence >= 0.7 ? 'high' : (result.confidence >= 0.4 ? 'med' : 'low'));
-  badge.textContent = `Confidence: ${Math.round(result.confidence * 100)}%`;
+  badge.textContent = t('result.confidence', { n: Math.round(result.confidence * 100) });
   h.appendChild(badge);
+  // "why?" opens the confidence breakdown
+  const whyBtn = document.createElement('button');
+  whyBtn.type = 'button';
+  whyBtn.className = 'why-btn';
+  whyBtn.textContent = t('why.button');
+  whyBtn.setAttribute('aria-expanded', 'false');
+  h.appendChild(whyBtn);
   card.appendChild(h);
+  const why = renderWhy(result);
+  whyBtn.addEventListener('click', () => {
+    why.hidden = !why.hidden;
+    whyBtn.setAttribute('aria-expanded', String(!why.hidden));
+  });
+  card.appendChild(why);
+
+  // What you get: amounts, subsidies and in-kind benefits up front
+  const benefits = renderBenefits(result);
+  if (benefits) { benefits.dataset.section = 'benefits'; card.appendChild(benefits); }
 
   // Source
   const src = document.createElement('div');
   src.className = 'muted';
   src.style.marginTop = '6px';
-  src.innerHTML = `Source: <a href="${escapeHTML(result.source_url || targetUrl || '')}" target="_blank" rel="noopener noreferrer">${escapeHTML(result.source_url || targetUrl || '')}</a> — Method: ${escapeHTML(result.method)}`;
+  const srcUrl = result.source_url || targetUrl || '';
+  src.append(t('result.source') + ' ', /^https?:/i.test(srcUrl) ? externalLink(srcUrl, srcUrl) : srcUrl, ` — ${t('result.method')} ${result.method || ''}`);
+  if (result.lang && result.lang !== 'en') src.append(` — ${t('result.language')} ${(LANG_PACKS[result.lang] && LANG_PACKS[result.lang].name) || result.lang}`);
+  if (result.page_count) src.append(` — ${t('result.pages', { n: result.page_count })}`);
   card.appendChild(src);
+  const hidden = renderRedactions(result);
+  if (hidden) card.appendChild(hidden);
+
+  // Save / print / share this card
+  const actions = renderExports(result);
+  actions.insertBefore(renderPinButton(result, targetUrl), actions.firstChild);
+  card.appendChild(actions);
+
+  // Key dates (deadline first) + calendar export
+  const dates = renderDates(result);
+  if (dates) { dates.dataset.section = 'dates'; card.appendChild(dates); }
 
   // Eligibility
   const elig = document.createElement('div');
+  elig.dataset.section = 'eligibility';
   elig.style.marginTop = '12px';
-  elig.innerHTML = `<h3 style="margin:0 0 6px 0">Who can apply?</h3>`;
+  elig.innerHTML = `<h3 style="margin:0 0 6px 0">${escapeHTML(t('result.who'))}</h3>`;
   if (result.eligibility && result.eligibility.length) {
     const ul = document.createElement('ul'); ul.style.margin = '0 0 8px 18px';
-    result.eligibility.forEach(it => { const li = document.createElement('li'); li.textContent = it; ul.appendChild(li); });
+    result.eligibility.forEach((it, i) => { const li = plainListItem(it, result.simplified && result.simplified.eligibility[i]); appendPageRef(li, result.pages && result.pages.eligibility[i]); appendSourceLink(li, result, 'eligibility', i); ul.appendChild(li); });
     elig.appendChild(ul);
   } else {
-    elig.innerHTML += `<p class="muted" style="margin:0">No clear eligibility found. View raw text below.</p>`;
+    elig.innerHTML += `<p class="muted" style="margin:0">${escapeHTML(t('result.noElig'))}</p>`;
   }
   card.appendChild(elig);
 
+  // "Am I eligible?" self-check built from the typed criteria
+  if (result.criteria && result.criteria.length) card.appendChild(renderSelfCheck(result.criteria, elig));
+
   // Documents
   const docs = document.createElement('div');
+  docs.dataset.section = 'documents';
   docs.style.marginTop = '8px';
-  docs.innerHTML = `<h3 style="margin:0 0 6px 0">Required documents</h3>`;
+  docs.innerHTML = `<h3 style="margin:0 0 6px 0">${escapeHTML(t('result.docs'))}</h3>`;
   if (result.documents && result.documents.length) {
     const ul = document.createElement('ul'); ul.style.margin = '0 0 8px 18px';
-    result.documents.forEach(it => { const li = document.createElement('li'); li.textContent = it; ul.appendChild(li); });
-    docs.appendChild(ul);
+    result.documents.forEach((it, i) => { const li = plainListItem(it, result.simplified && result.simplified.documents[i]); appendPageRef(li, result.pages && result.pages.documents[i]); appendSourceLink(li, result, 'documents', i); ul.appendChild(li); });
+    if (result.document_checklist && result.document_checklist.length) {
+      // canonical checklist first; the page's own wording stays one click away
+      docs.appendChild(renderDocChecklist(result));
+      const asWritten = document.createElement('details');
+      asWritten.className = 'docs-as-written';
+      asWritten.innerHTML = `<summary>${escapeHTML(t('result.docsAsWritten'))}</summary>`;
+      asWritten.appendChild(ul);
+      docs.appendChild(asWritten);
+    } else {
+      docs.appendChild(ul);
+    }
   } else {
-    docs.innerHTML += `<p class="muted" style="margin:0">No specific documents detected.</p>`;
+    docs.innerHTML += `<p class="muted" style="margin:0">${escapeHTML(t('result.noDocs'))}</p>`;
   }
   card.appendChild(docs);
 
+  // How to apply: numbered checklist + mode / office / fee summary
+  const steps = renderSteps(result);
+  if (steps) { steps.dataset.section = 'steps'; card.appendChild(steps); }
+
+  // Original wording next to the plain version, so nothing is lost unseen
+  const compare = renderComparison(result);
+  if (compare) card.appendChild(compare);
+
+  // Plain-language meaning of jargon found on the page
+  const terms = findGlossaryTerms([].concat(result.eligibility || [], result.documents || [], result.raw_text_snippet || ''));
+  if (terms.length) {
+    const gloss = document.createElement('div');
+    gloss.className = 'glossary';
+    gloss.dataset.section = 'glossary';
+    gloss.innerHTML = `<h3 style="margin:0 0 6px 0">${escapeHTML(t('result.glossary'))}</h3>`;
+    const dl = document.createElement('dl');
+    terms.forEach(g => {
+      const dt = document.createElement('dt'); dt.textContent = g.term;
+      const dd = document.createElement('dd'); dd.textContent = glossaryText(g);
+      dl.appendChild(dt); dl.appendChild(dd);
+    });
+    gloss.appendChild(dl);
+    card.appendChild(gloss);
+  }
+
   // Apply links
   if (result.apply_links && result.apply_links.length) {
     const links = document.createElement('div');
     links.className = 'links';
+    links.dataset.section = 'links';
     links.style.marginTop = '8px';
-    links.innerHTML = `<h3 style="margin:0 0 6px 0">Where to apply</h3>`;
+    links.innerHTML = `<h3 style="margin:0 0 6px 0">${escapeHTML(t('result.where'))}</h3>`;
     result.apply_links.forEach(l => {
-      const a = document.createElement('a'); a.href = l; a.target = '_blank'; a.rel = 'noopener noreferrer';
-      a.textContent = l.length > 40 ? l.slice(0, 40) + '…' : l;
-      links.appendChild(a);
+      const a = externalLink(l, l.length > 40 ? l.slice(0, 40) + '…' : l);
+      if (a.href) links.appendChild(a);
     });
     card.appendChild(links);
   }
 
-  // Raw snippet
+  // Raw snippet + the passages items were taken from
+  card.appendChild(renderRawText(result));
+
+  // labelled regions for screen readers; icons, section jumps and read-aloud in the easy view
+  labelSections(card, result);
+
+  document.querySelector('.output').appendChild(card);
+}
+
+// "Hidden before showing: phone numbers 2, PAN 1" under the source line
+function renderRedactions(result) {
+  const counts = result.redactions || {};
+  const parts = REDACTION_KINDS.filter(k => counts[k] > 0).map(k => t('redact.' + k, { n: counts[k] }));
+  if (!parts.length) return null;
+  const div = document.createElement('div');
+  div.className = 'muted redactions';
+  div.textContent = t('redact.note', { list: parts.join(', ') });
+  div.title = t('redact.why');
+  return div;
+}
+
+function renderDocChecklist(result) {
+  const wrap = document.createElement('div');
+  const ul = document.createElement('ul');
+  ul.className = 'doc-checklist';
+  result.document_checklist.forEach(d => {
+    const li = document.createElement('li');
+    li.title = d.source;
+    const label = document.createElement('label');
+    const tick = document.createElement('input');
+    tick.type = 'checkbox';
+    tick.addEventListener('change', () => li.classList.toggle('done', tick.checked));
+    label.appendChild(tick);
+    if (easyMode()) {
+      const icon = document.createElement('span');
+      icon.className = 'doc-icon';
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = DOC_ICONS[d.id] || '📄';
+      label.appendChild(icon);
+    }
+    label.appendChild(document.createTextNode(' ' + docName(d)));
+    li.appendChild(label);
+    docQualifiers(d).forEach(q => {
+      const tag = document.createElement('span');
+      tag.className = 'doc-tag ' + q;
+      tag.textContent = t('doc.' + q);
+      li.appendChild(tag);
+    });
+    ul.appendChild(li);
+  });
+  wrap.appendChild(ul);
+
+  const actions = document.createElement('div');
+  actions.className = 'doc-actions';
+  [['result.printChecklist', () => printDocChecklist(result)], ['result.saveChecklist', () => downloadDocChecklist(result)]].forEach(([key, fn]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-small';
+    btn.textContent = t(key);
+    btn.addEventListener('click', fn);
+    actions.appendChild(btn);
+  });
+  wrap.appendChild(actions);
+  return wrap;
+}
+
+function docName(d) { const key = 'doc.' + d.id; const s = t(key); return s === key ? d.name : s; }
+function docQualifiers(d) { return [d.self_attested && 'selfAttested', d.original && 'original', !d.mandatory && 'optional'].filter(Boolean); }
+
+function docChecklistText(result) {
+  const rows = result.document_checklist.map(d => {
+    const q = docQualifiers(d).map(k => t('doc.' + k));
+    return `[ ] ${docName(d)}${q.length ? ' (' + q.join(', ') + ')' : ''}`;
+  });
+  return [result.title || t('result.untitled'), t('result.docs'), ''].concat(rows, ['', result.source_url || '']).join('\n').trim() + '\n';
+}
+
+function downloadDocChecklist(result) {
+  downloadText(docChecklistText(result), 'text/plain;charset=utf-8', fileSlug(result) + '-documents.txt');
+}
+
+// printable page with just the checklist; "Save as PDF" in the print dialog covers the PDF case
+function printDocChecklist(result) {
+  const w = window.open('', '_blank');
+  if (!w) { alert(t('alert.popup')); return; }
+  const items = result.document_checklist.map(d => {
+    const q = docQualifiers(d).map(k => t('doc.' + k));
+    return `<li>☐ ${escapeHTML(docName(d))}${q.length ? ` <small>(${escapeHTML(q.join(', '))})</small>` : ''}</li>`;
+  }).join('');
+  w.document.write(`<!DOCTYPE html><html lang="${escapeHTML(getLocale())}"><head><meta charset="UTF-8"><title>${escapeHTML(result.title || t('result.untitled'))}</title>` +
+    `<style>body{font:16px/1.6 system-ui,sans-serif;margin:24px}ul{list-style:none;padding:0}li{padding:6px 0;border-bottom:1px solid #ddd}small{color:#555}</style></head>` +
+    `<body><h1 style="font-size:20px">${escapeHTML(result.title || t('result.untitled'))}</h1><h2 style="font-size:16px">${escapeHTML(t('result.docs'))}</h2><ul>${items}</ul>` +
+    `<p style="font-size:12px;color:#555">${escapeHTML(result.source_url || '')}</p></body></html>`);
+  w.document.close();
+  w.focus();
+  w.print();
+}
+
+function renderBenefits(result) {
+  if (!result.benefits || !result.benefits.length) return null;
+  const box = document.createElement('div');
+  box.className = 'benefits';
+  box.innerHTML = `<h3 style="margin:0 0 6px 0">${escapeHTML(t('result.benefits'))}</h3>`;
+  const ul = document.createElement('ul');
+  const seen = new Set();
+  result.benefits.forEach((b, i) => {
+    const li = plainListItem(b.text, simplifyText(b.text, result.lang, seen));
+    appendSourceLink(li, result, 'benefits', i);
+    const head = benefitHeadline(b);
+    if (head) {
+      const strong = document.createElement('strong');
+      strong.className = 'benefit-head ' + b.kind;
+      strong.textContent = head;
+      li.insertBefore(strong, li.firstChild);
+    }
+    ul.appendChild(li);
+  });
+  box.appendChild(ul);
+  return box;
+}
+
+// "Up to ₹6,000 / year · 3 instalments", "50% subsidy", "Loan"
+function benefitHeadline(b) {
+  const parts = [];
+  if (b.amount != null) {
+    const amt = '₹' + b.amount.toLocaleString('en-IN');
+    parts.push((b.up_to ? t('benefit.upTo', { amount: amt }) : amt) + (b.frequency ? ' ' + t('freq.' + b.frequency) : ''));
+  }
+  if (b.percent != null) parts.push(t('benefit.percent', { n: b.percent }));
+  if (b.item) parts.push(t('item.' + b.item));
+  if (b.instalments) parts.push(t('benefit.instalments', { n: b.instalments }));
+  return parts.join(' · ');
+}
+
+function renderDates(result) {
+  if (!result.dates || !result.dates.length) return null;
+  const today = todayISO();
+  const order = ['closing', 'opening', 'renewal', 'result', null];
+  const list = result.dates.slice().sort((a, b) => order.indexOf(a.label) - order.indexOf(b.label) || a.date.localeCompare(b.date));
+
+  const box = document.createElement('div');
+  box.className = 'key-dates';
+  box.style.marginTop = '12px';
+  box.innerHTML = `<h3 style="margin:0 0 6px 0">${escapeHTML(t('result.dates'))}</h3>`;
+  const ul = document.createElement('ul'); ul.style.margin = '0 0 8px 18px';
+  list.forEach(d => {
+    const li = document.createElement('li');
+    li.title = d.text;
+    const past = d.date < today;
+    if (past) li.className = 'past';
+    const days = Math.round((Date.parse(d.date) - Date.parse(today)) / 864e5);
+    const note = past ? t('result.datePassed') : (d.label === 'closing' ? t('result.daysLeft', { n: days }) : '');
+    const label = document.createElement('strong');
+    label.textContent = t('date.' + (d.label || 'other'));
+    li.append(label, ' ' + formatDate(d.date));
+    if (note) {
+      const span = document.createElement('span');
+      span.className = 'date-note';
+      span.textContent = note;
+      li.append(' ', span);
+    }
+    appendSourceLink(li, result, 'dates', result.dates.indexOf(d));
+    ul.appendChild(li);
+  });
+  box.appendChild(ul);
+
+  const closing = list.find(d => d.label === 'closing' && d.date >= today);
+  if (closing) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-small';
+    btn.textContent = t('result.ics');
+    btn.addEventListener('click', () => downloadICS(result, closing));
+    box.appendChild(btn);
+  }
+  return box;
+}
+
+function formatDate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  try { return new Date(y, m - 1, d).toLocaleDateString(getLocale() + '-IN', { day: 'numeric', month: 'long', year: 'numeric' }); } catch (e) { return iso; }
+}
+
+function downloadICS(result, d) {
+  downloadText(icsText(result, d), 'text/calendar', fileSlug(result) + '-last-date.ics');
+}
+
+// all-day calendar event for the last date, with a reminder three days before
+function icsText(result, d) {
+  const esc = v => String(v || '').replace(/\\/g, '\\\\').replace(/[,;]/g, m => '\\' + m).replace(/\r?\n/g, '\\n');
+  const day = d.date.replace(/-/g, '');
+  const next = new Date(Date.parse(d.date) + 864e5).toISOString().slice(0, 10).replace(/-/g, '');
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const title = result.title || t('result.untitled');
+  const lines = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//GovScheme De-jargonizer//EN', 'CALSCALE:GREGORIAN',
+    'BEGIN:VEVENT',
+    `UID:${day}-${Math.random().toString(36).slice(2)}@govscheme`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${day}`,
+    `DTEND;VALUE=DATE:${next}`,
+    `SUMMARY:${esc(t('date.closing') + ': ' + title)}`,
+    `DESCRIPTION:${esc(d.text)}`,
+    (url => url && `URL:${url}`)(icsURL(result.source_url)),
+    'BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${esc(title)}`, 'TRIGGER:-P3D', 'END:VALARM',
+    'END:VEVENT', 'END:VCALENDAR'
+  ].filter(Boolean);
+  return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// source_url may come from a decoded share link: reparse it so CR/LF and spaces can't start a new property
+function icsURL(src) {
+  try {
+    const u = new URL(String(src || ''));
+    return /^https?:$/.test(u.protocol) ? u.href : null;
+  } catch (e) { return null; }
+}
+
+// RFC 5545 §3.1: lines longer than 75 octets continue on the next line after a space,
+// split between UTF-8 characters (Devanagari is 3 octets a letter)
+function foldICSLine(line) {
+  const enc = new TextEncoder();
+  const parts = [];
+  let cur = '', size = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (size + n > (parts.length ? 74 : 75)) { parts.push(cur); cur = ''; size = 0; }
+    cur += ch;
+    size += n;
+  }
+  parts.push(cur);
+  return parts.join('\r\n ');
+}
+
+function renderSteps(result) {
+  const proc = result.procedure || {};
+  if (!(result.steps && result.steps.length) && !proc.mode && !proc.submit_to && !proc.fee) return null;
+
+  const box = document.createElement('div');
+  box.className = 'steps';
+  box.style.marginTop = '8px';
+  box.innerHTML = `<h3 style="margin:0 0 6px 0">${escapeHTML(t('result.steps'))}</h3>`;
+
+  const facts = [];
+  if (proc.mode) facts.push([t('result.mode'), t('mode.' + proc.mode)]);
+  if (proc.submit_to) facts.push([t('result.submitTo'), proc.submit_to]);
+  if (proc.authority && proc.authority !== proc.submit_to) facts.push([t('result.authority'), proc.authority]);
+  if (proc.fee) facts.push([t('result.fee'), proc.fee.amount === 0 ? t('result.free') : (proc.fee.amount != null ? '₹' + proc.fee.amount.toLocaleString('en-IN') : proc.fee.text)]);
+  if (facts.length) {
+    const p = document.createElement('p');
+    p.className = 'muted steps-facts';
+    facts.forEach(([k, v], i) => {
+      const strong = document.createElement('strong');
+      strong.textContent = k;
+      p.append(i ? ' · ' : '', strong, ' ' + v);
+    });
+    box.appendChild(p);
+  }
+
+  if (result.steps && result.steps.length) {
+    const ol = document.createElement('ol');
+    ol.className = 'step-list';
+    const seen = new Set();
+    result.steps.forEach((st, i) => {
+      const li = plainListItem(st.text, simplifyText(st.text, result.lang, seen));
+      appendSourceLink(li, result, 'steps', i);
+      const tick = document.createElement('input');
+      tick.type = 'checkbox';
+      tick.setAttribute('aria-label', t('result.stepDone', { n: st.order }));
+      tick.addEventListener('change', () => li.classList.toggle('done', tick.checked));
+      li.insertBefore(tick, li.firstChild);
+      if (st.mode) {
+        const tag = document.createElement('span');
+        tag.className = 'step-mode ' + st.mode;
+        tag.textContent = t('mode.' + st.mode);
+        li.appendChild(tag);
+      }
+      ol.appendChild(li);
+    });
+    box.appendChild(ol);
+  }
+  return box;
+}
+
+// list item showing the plain-language line (acronyms get tooltips); the original stays in data-source
+function plainListItem(original, simplified) {
+  const li = document.createElement('li');
+  li.dataset.source = original;
+  appendWithAbbr(li, simplified || original);
+  if (simplified && simplified !== original) li.title = original;
+  return li;
+}
+
+function appendWithAbbr(el, text) {
+  let last = 0;
+  text.replace(ACRONYM_RE, (m, acr, offset) => {
+    if (offset > last) el.appendChild(document.createTextNode(text.slice(last, offset)));
+    const abbr = document.createElement('abbr');
+    abbr.title = ACRONYMS[acr];
+    abbr.textContent = m;
+    el.appendChild(abbr);
+    last = offset + m.length;
+    return m;
+  });
+  if (last < text.length) el.appendChild(document.createTextNode(text.slice(last)));
+}
+
+// side-by-side table of lines the de-jargonizer changed
+function renderComparison(result) {
+  if (!result.simplified) return null;
+  const rows = [];
+  ['eligibility', 'documents'].forEach(field => {
+    (result[field] || []).forEach((orig, i) => {
+      const plain = result.simplified[field][i];
+      if (plain && plain !== orig) rows.push([orig, plain]);
+    });
+  });
+  if (!rows.length) return null;
+
+  const box = document.createElement('details');
+  box.className = 'compare';
+  box.innerHTML = `<summary>${escapeHTML(t('result.compare'))}</summary>`;
+  const grid = document.createElement('div');
+  grid.className = 'compare-grid';
+  [t('result.original'), t('result.simplified')].forEach(label => {
+    const head = document.createElement('div');
+    head.className = 'compare-head';
+    head.textContent = label;
+    grid.appendChild(head);
+  });
+  rows.forEach(([orig, plain]) => {
+    const a = document.createElement('div'); a.className = 'compare-original'; a.textContent = orig;
+    const b = document.createElement('div'); b.className = 'compare-plain'; appendWithAbbr(b, plain);
+    grid.appendChild(a); grid.appendChild(b);
+  });
+  box.appendChild(grid);
+  return box;
+}
+
+// small "p. N" marker after a list item extracted from a PDF
+function appendPageRef(li, page) {
+  if (page == null) return;
+  const ref = document.createElement('span');
+  ref.className = 'page-ref';
+  ref.textContent = t('result.page', { n: page });
+  li.appendChild(ref);
+}
+
+/* ===========================
+   Easy view: large type, pictures, read-aloud
+   sections carry data-section; labelSections() makes them labelled regions and,
+   in the easy view, adds icons, a row of section jumps and a listen button each
+   =========================== */
+const EASY_STORAGE_KEY = 'govscheme.easy';
+const SECTION_ICONS = { benefits: '💰', dates: '📅', eligibility: '🙋', documents: '📄', steps: '📝', glossary: '📖', links: '🔗' };
+const SECTION_TITLES = { benefits: 'result.benefits', dates: 'result.dates', eligibility: 'result.who', documents: 'result.docs', steps: 'result.steps', glossary: 'result.glossary', links: 'result.where' };
+const DOC_ICONS = {
+  aadhaar: '🪪', income_certificate: '💵', caste_certificate: '📜', domicile_certificate: '🏠', bank_passbook: '🏦',
+  passport_photo: '📷', ration_card: '🍚', land_records: '🌾', birth_certificate: '👶', voter_id: '🗳️', pan_card: '💳',
+  passport: '🛂', driving_licence: '🚗', marksheet: '🎓', bonafide_certificate: '🏫', fee_receipt: '🧾',
+  disability_certificate: '♿', bpl_certificate: '🏚️', job_card: '👷', marriage_certificate: '💍', affidavit: '✍️',
+  electricity_bill: '💡', identity_proof: '🪪', address_proof: '📮'
+};
+const SPEECH_LANGS = { en: 'en-IN', hi: 'hi-IN', mr: 'mr-IN', bn: 'bn-IN', ta: 'ta-IN', te: 'te-IN' };
+
+function easyMode() {
+  try { return localStorage.getItem(EASY_STORAGE_KEY) === '1'; } catch (e) { return false; }
+}
+
+function setEasyMode(on) {
+  try { localStorage.setItem(EASY_STORAGE_KEY, on ? '1' : '0'); } catch (e) { /* private mode */ }
+  document.body.classList.toggle('easy', on);
+}
+
+function canSpeak() {
+  return typeof window.speechSynthesis !== 'undefined' && typeof window.SpeechSynthesisUtterance !== 'undefined';
+}
+
+function labelSections(card, result) {
+  const easy = easyMode();
+  const sections = Array.from(card.querySelectorAll('[data-section]'));
+  const nav = document.createElement('nav');
+  nav.className = 'easy-nav';
+  nav.setAttribute('aria-label', t('easy.nav'));
+  nav.title = t('easy.keysHint');
+
+  sections.forEach((sec, i) => {
+    const key = sec.dataset.section;
+    const h = sec.querySelector('h3');
+    if (!h) return;
+    h.id = `section-${key}-${i}`;
+    sec.setAttribute('role', 'region');
+    sec.setAttribute('aria-labelledby', h.id);
+    sec.tabIndex = easy ? 0 : -1;
+    if (!easy) return;
+    const icon = document.createElement('span');
+    icon.className = 'section-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = SECTION_ICONS[key] || '•';
+    h.insertBefore(icon, h.firstChild);
+    const jump = document.createElement('button');
+    jump.type = 'button';
+    jump.className = 'btn btn-small';
+    jump.innerHTML = `<span aria-hidden="true">${SECTION_ICONS[key] || '•'}</span> `;
+    jump.append(t(SECTION_TITLES[key]));
+    jump.addEventListener('click', () => { sec.focus(); sec.scrollIntoView({ behavior: 'smooth', block: 'start' }); });
+    nav.appendChild(jump);
+    const parts = sectionSpeech(result, key);
+    if (canSpeak() && parts.length) h.after(speakButton(t(SECTION_TITLES[key]), () => parts));
+  });
+
+  // ↑ / ↓ / Home / End move between sections once one has focus; Esc stops reading
+  card.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && speech) { stopSpeech(); return; }
+    const at = sections.indexOf(e.target);
+    if (at < 0) return;
+    const to = { ArrowDown: at + 1, ArrowUp: at - 1, Home: 0, End: sections.length - 1 }[e.key];
+    if (to == null || !sections[to]) return;
+    e.preventDefault();
+    sections[to].focus();
+  });
+
+  if (!easy || !nav.childNodes.length) return;
+  if (canSpeak()) {
+    const all = speakButton(t('easy.readAll'), () => sections.flatMap(sec => {
+      const key = sec.dataset.section;
+      const parts = sectionSpeech(result, key);
+      return parts.length ? [{ text: t(SECTION_TITLES[key]), lang: getLocale() }, ...parts] : [];
+    }), t('easy.readAll'));
+    nav.insertBefore(all, nav.firstChild);
+    const missing = missingVoice(result.lang || getLocale());
+    if (missing) nav.insertAdjacentHTML('beforeend', `<span class="muted easy-voice">${escapeHTML(t('easy.noVoice', { lang: missing }))}</span>`);
+  }
+  const title = card.querySelector('h2');
+  title.parentNode.insertBefore(nav, title.nextSibling);
+}
+
+// what each section says aloud: { text, lang } in the order shown; headings and our own labels
+// are in the chosen locale, lines taken from the page in the page's language
+function sectionSpeech(result, key) {
+  const seen = new Set();
+  return sectionSpeechParts(result, key).filter(p => p.text && !seen.has(p.text) && seen.add(p.text));
+}
+
+function sectionSpeechParts(result, key) {
+  const ui = getLocale();
+  const page = result.lang || ui;
+  const simple = field => (result[field] || []).map((x, i) => ({ text: (result.simplified && result.simplified[field] && result.simplified[field][i]) || x, lang: page }));
+  switch (key) {
+    case 'benefits': return (result.benefits || []).map(b => {
+      const head = benefitHeadline(b);
+      return head ? { text: head, lang: ui } : { text: b.text, lang: page };
+    });
+    case 'dates': return (result.dates || []).map(d => ({ text: `${t('date.' + (d.label || 'other'))}: ${formatDate(d.date)}`, lang: ui }));
+    case 'eligibility': return simple('eligibility');
+    case 'documents': return result.document_checklist && result.document_checklist.length
+      ? result.document_checklist.map(d => ({ text: docName(d), lang: ui }))
+      : simple('documents');
+    case 'steps': return (result.steps || []).map((st, i) => ({ text: `${i + 1}. ${st.text}`, lang: page }));
+    case 'glossary': return findGlossaryTerms([].concat(result.eligibility || [], result.documents || [], result.raw_text_snippet || ''))
+      .map(g => ({ text: `${g.term}: ${glossaryText(g)}`, lang: ui }));
+    default: return []; // links: URLs do not read well
+  }
+}
+
+let speech = null; // { id, btn } while something is being read
+let speechSeq = 0;
+
+function speakButton(title, getParts, label = null) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'speak-btn';
+  btn.dataset.label = label || '';
+  btn.dataset.title = title;
+  setSpeakState(btn, 'idle');
+  btn.addEventListener('click', e => { e.stopPropagation(); toggleSpeech(btn, getParts()); });
+  return btn;
+}
+
+function setSpeakState(btn, state) {
+  const icon = { idle: '🔊', playing: '⏸', paused: '▶' }[state];
+  const word = t({ idle: 'easy.listen', playing: 'easy.pause', paused: 'easy.resume' }[state]);
+  btn.textContent = `${icon} ${btn.dataset.label || word}`;
+  btn.dataset.state = state;
+  btn.setAttribute('aria-pressed', String(state !== 'idle'));
+  btn.setAttribute('aria-label', `${word}: ${btn.dataset.title}`);
+}
+
+// same button: pause / resume; another button: stop and read that instead
+function toggleSpeech(btn, parts) {
+  const synth = window.speechSynthesis;
+  if (speech && speech.btn === btn) {
+    if (btn.dataset.state === 'paused') { synth.resume(); setSpeakState(btn, 'playing'); } else { synth.pause(); setSpeakState(btn, 'paused'); }
+    return;
+  }
+  stopSpeech();
+  if (!parts.length) return;
+  const id = ++speechSeq;
+  speech = { id, btn };
+  parts.forEach((p, i) => {
+    const u = new SpeechSynthesisUtterance(p.text);
+    u.lang = SPEECH_LANGS[p.lang] || p.lang;
+    const voice = voiceFor(u.lang);
+    if (voice) u.voice = voice;
+    if (i === parts.length - 1) u.onend = u.onerror = () => { if (speech && speech.id === id) { speech = null; setSpeakState(btn, 'idle'); } };
+    synth.speak(u);
+  });
+  setSpeakState(btn, 'playing');
+}
+
+function stopSpeech() {
+  if (!canSpeak()) return;
+  const prev = speech;
+  speech = null;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.resume(); // a cancelled queue can stay paused in some browsers
+  if (prev) setSpeakState(prev.btn, 'idle');
+}
+
+// exact tag first (hi-IN), then any voice for the language (hi, hi-XX)
+function voiceFor(lang) {
+  const voices = window.speechSynthesis.getVoices() || [];
+  const norm = v => (v.lang || '').replace('_', '-').toLowerCase();
+  const base = lang.split('-')[0].toLowerCase();
+  return voices.find(v => norm(v) === lang.toLowerCase()) || voices.find(v => norm(v).split('-')[0] === base) || null;
+}
+
+// language name when this device has voices but none for it (the browser then reads with its default voice)
+function missingVoice(code) {
+  const voices = window.speechSynthesis.getVoices() || [];
+  if (!voices.length || voiceFor(SPEECH_LANGS[code] || code)) return null;
+  return (LANG_PACKS[code] && LANG_PACKS[code].name) || code;
+}
+
+/* ===========================
+   Provenance: "why?" view and click-to-source
+   result.provenance.<field>[i] -> { block, heading, score, rule, match }; blocks hold the passages
+   =========================== */
+// confidence as the sum of its factors, shown under the title
+function renderWhy(result) {
+  const box = document.createElement('div');
+  box.className = 'why';
+  box.hidden = true;
+  box.innerHTML = `<h3 style="margin:0 0 6px 0">${escapeHTML(t('why.title'))}</h3>`;
+  if (!result.confidence_factors || !result.confidence_factors.length) {
+    box.innerHTML += `<p class="muted" style="margin:0">${escapeHTML(t('why.none'))}</p>`;
+    return box;
+  }
+  const table = document.createElement('table');
+  table.className = 'why-factors';
+  const row = (label, value, cls = '') => {
+    const tr = document.createElement('tr');
+    if (cls) tr.className = cls;
+    [label, value].forEach(v => { const td = document.createElement('td'); td.textContent = String(v); tr.appendChild(td); });
+    table.appendChild(tr);
+  };
+  result.confidence_factors.forEach(f => {
+    const pts = Math.round(f.contribution * 100);
+    const value = typeof f.value === 'number' && f.factor === 'block_scores' ? Math.round(f.value * 100) + '%' : f.value;
+    row(t('factor.' + f.factor, { value }), (pts < 0 ? '−' : '+') + Math.abs(pts));
+  });
+  row(t('why.total'), Math.round(result.confidence * 100) + '%', 'total');
+  box.appendChild(table);
+  if (result.provenance) box.insertAdjacentHTML('beforeend', `<p class="muted" style="margin:6px 0 0 0">${escapeHTML(t('why.hint'))}</p>`);
+  return box;
+}
+
+// one line: where an item came from and which rule picked it
+function provenanceText(result, p) {
+  const where = p.block == null ? t('why.wholePage')
+    : (p.heading ? t('why.from', { heading: p.heading }) : t('why.noHeading'));
+  // each pass scores a passage for its own field, so the percentage says which one
+  const score = p.score != null ? ' · ' + t(p.score_for ? 'score.' + p.score_for : 'why.score', { n: Math.round(p.score * 100) }) : '';
+  return `${where}${score} · ${t('rule.' + p.rule, { match: p.match || '' })}`;
+}
+
+// small "§" after an item; opens the raw text view on the passage it came from
+function appendSourceLink(li, result, field, i) {
+  const p = result.provenance && result.provenance[field] && result.provenance[field][i];
+  if (!p) return;
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'source-link';
+  btn.textContent = '§';
+  btn.title = provenanceText(result, p);
+  btn.setAttribute('aria-label', t('why.source') + ': ' + btn.title);
+  btn.addEventListener('click', e => { e.preventDefault(); showSource(btn.closest('.result-card'), result, field, i); });
+  li.appendChild(btn);
+}
+
+// raw text view: snippet plus every passage an item points at
+function renderRawText(result) {
   const rawBox = document.createElement('details');
+  rawBox.className = 'raw-text';
   rawBox.style.marginTop = '10px';
-  rawBox.innerHTML = `<summary style="cursor:pointer">View raw text snippet</summary><pre style="white-space:pre-wrap;margin-top:8px;background:#f8fafc;padding:10px;border-radius:6px;">${escapeHTML(result.raw_text_snippet || '')}</pre>`;
-  card.appendChild(rawBox);
+  rawBox.innerHTML = `<summary style="cursor:pointer">${escapeHTML(t('result.raw'))}</summary><pre class="raw-snippet" style="white-space:pre-wrap;margin-top:8px;background:#f8fafc;padding:10px;border-radius:6px;">${escapeHTML(result.raw_text_snippet || '')}</pre>`;
+  const blocks = (result.provenance && result.provenance.blocks) || [];
+  if (blocks.length) {
+    rawBox.insertAdjacentHTML('beforeend', `<h4 class="muted" style="margin:10px 0 4px 0">${escapeHTML(t('why.passages'))}</h4>`);
+    blocks.forEach((b, i) => {
+      const div = document.createElement('div');
+      div.className = 'source-block';
+      div.dataset.block = String(i);
+      const head = document.createElement('div');
+      head.className = 'source-head';
+      const score = document.createElement('span');
+      score.className = 'muted';
+      score.textContent = t('score.eligibility', { n: Math.round(b.score * 100) });
+      head.append((b.heading || t('why.noHeading')) + ' ', score);
+      const pre = document.createElement('pre');
+      pre.textContent = b.text;
+      div.append(head, pre);
+      rawBox.appendChild(div);
+    });
+  }
+  return rawBox;
+}
 
-  document.querySelector('.output').appendChild(card);
+// open the raw text view, mark the item's wording inside its passage and scroll to it
+function showSource(card, result, field, i) {
+  if (!card) return;
+  const p = result.provenance[field][i];
+  const raw = card.querySelector('.raw-text');
+  if (!raw) return;
+  raw.open = true;
+  raw.querySelectorAll('.source-block').forEach(div => {
+    div.classList.remove('active');
+    div.querySelector('pre').textContent = result.provenance.blocks[Number(div.dataset.block)].text;
+  });
+  raw.querySelectorAll('.source-why').forEach(el => el.remove());
+  const target = p.block != null ? raw.querySelector(`.source-block[data-block="${p.block}"]`) : null;
+  const pre = target ? target.querySelector('pre') : raw.querySelector('.raw-snippet');
+  if (target) target.classList.add('active');
+
+  const item = result[field][i];
+  const text = typeof item === 'string' ? item : item.text;
+  const found = markPassage(pre, text);
+  const note = document.createElement('div');
+  note.className = 'muted source-why';
+  note.textContent = provenanceText(result, p) + (found ? '' : ' — ' + t('why.notFound'));
+  pre.parentNode.insertBefore(note, pre);
+  (found || pre).scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// wraps the first match (spacing-insensitive) in <mark>; returns the mark or null
+function markPassage(pre, text) {
+  const words = String(text || '').replace(/…$/, '').trim().split(/\s+/).filter(Boolean).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!words.length) return null;
+  const full = pre.textContent;
+  const m = new RegExp(words.join('\\s+'), 'i').exec(full);
+  if (!m) return null;
+  const mark = document.createElement('mark');
+  mark.textContent = m[0];
+  pre.textContent = '';
+  pre.append(full.slice(0, m.index), mark, full.slice(m.index + m[0].length));
+  return mark;
+}
+
+/* ===========================
+   Exports: JSON file, one-page print, plain text / WhatsApp, share link
+   the share link carries the extracted result in the #fragment, so the
+   recipient's browser never sends it anywhere and nothing is re-fetched
+   =========================== */
+const SHARE_PREFIX = '#r=';
+
+function renderExports(result) {
+  const bar = document.createElement('div');
+  bar.className = 'result-actions';
+  const add = (label, fn) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-small';
+    btn.textContent = label;
+    btn.addEventListener('click', () => fn(btn));
+    bar.appendChild(btn);
+  };
+  add(t('export.json'), () => downloadResultJSON(result));
+  add(t('export.print'), () => window.print());
+  add(t('export.copyText'), btn => copyText(resultToText(result), btn));
+  const wa = document.createElement('a');
+  wa.className = 'btn btn-small';
+  wa.href = 'https://wa.me/?text=' + encodeURIComponent(resultToText(result));
+  wa.target = '_blank';
+  wa.rel = 'noopener noreferrer';
+  wa.textContent = t('export.whatsapp');
+  bar.appendChild(wa);
+  add(t('export.link'), async btn => copyText(await shareLink(result), btn));
+  return bar;
+}
+
+// "post-matric-scholarship" from the title, for download names
+function fileSlug(result) {
+  return (result.title || 'scheme').replace(/[^\w\-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'scheme';
+}
+
+function downloadText(text, type, name) {
+  const blob = new Blob([text], { type });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// only results that pass the schema check leave the page as JSON
+function downloadResultJSON(result) {
+  const check = validateOutputSchema(result);
+  if (!check.valid) { alert(t('alert.invalidResult', { errors: check.errors.slice(0, 3).join('; ') })); return; }
+  downloadText(JSON.stringify(result, null, 2) + '\n', 'application/json', fileSlug(result) + '.json');
+}
+
+// short message-app summary: *bold* headings, plain-language lines, last date, source
+function resultToText(result) {
+  const out = [`*${result.title || t('result.untitled')}*`];
+  const section = (heading, lines) => {
+    if (!lines.length) return;
+    out.push('', `*${heading}*`);
+    lines.forEach(l => out.push(l));
+  };
+  section(t('result.benefits'), uniqueStrings((result.benefits || []).map(b => '• ' + (benefitHeadline(b) || b.text))));
+  const elig = (result.simplified && result.simplified.eligibility) || result.eligibility || [];
+  section(t('result.who'), elig.map(l => '• ' + l));
+  const docs = (result.document_checklist || []).length
+    ? result.document_checklist.map(d => '☐ ' + docName(d))
+    : (result.documents || []).map(l => '• ' + l);
+  section(t('result.docs'), docs);
+  const today = todayISO();
+  const closing = (result.dates || []).filter(d => d.label === 'closing' && d.date >= today).sort((a, b) => a.date.localeCompare(b.date))[0];
+  if (closing) out.push('', `*${t('date.closing')}:* ${formatDate(closing.date)}`);
+  section(t('result.steps'), (result.steps || []).map(st => `${st.order}. ${st.text}`));
+  const link = /^https?:/i.test(result.source_url || '') ? result.source_url : (result.apply_links || [])[0];
+  if (link) out.push('', `${t('result.source')} ${link}`);
+  return out.join('\n');
+}
+
+async function copyText(text, btn) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (e) {
+    // no clipboard permission (or plain http): let the user copy by hand
+    window.prompt(t('export.copyPrompt'), text);
+    return;
+  }
+  const label = btn.textContent;
+  btn.textContent = t('export.copied');
+  setTimeout(() => { btn.textContent = label; }, 2000);
+}
+
+// "1" + base64url(deflate-raw(JSON)) where CompressionStream exists, else "0" + base64url(JSON)
+async function encodeShare(result) {
+  const payload = { ...result, raw_text_snippet: '', provenance: undefined }; // snippet and source passages are page text, not part of the card
+  let bytes = new TextEncoder().encode(JSON.stringify(payload));
+  let tag = '0';
+  if (typeof CompressionStream !== 'undefined') {
+    bytes = new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer());
+    tag = '1';
+  }
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return tag + btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function decodeShare(code) {
+  let bytes = base64ToBytes(code.slice(1).replace(/-/g, '+').replace(/_/g, '/'));
+  if (code[0] === '1') {
+    if (typeof DecompressionStream === 'undefined') throw new Error('compressed link needs a newer browser');
+    bytes = new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer());
+  } else if (code[0] !== '0') throw new Error('unknown link format');
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+async function shareLink(result) {
+  return location.href.split('#')[0] + SHARE_PREFIX + await encodeShare(result);
+}
+
+// page opened from a share link: render the card it carries, after the same schema check as exports
+async function loadSharedResult() {
+  if (!location.hash.startsWith(SHARE_PREFIX)) return false;
+  let result;
+  try {
+    result = await decodeShare(location.hash.slice(SHARE_PREFIX.length));
+  } catch (e) {
+    renderResult({ error: 'bad_share_link', message: t('export.badLink') + ' (' + String(e.message || e) + ')' });
+    return true;
+  }
+  const check = result && typeof result === 'object' ? validateOutputSchema(result) : { valid: false, errors: ['not an object'] };
+  if (!check.valid) {
+    renderResult({ error: 'bad_share_link', message: t('export.badLink') + ' (' + check.errors.slice(0, 3).join('; ') + ')' });
+    return true;
+  }
+  showSharedResult(result);
+  return true;
+}
+
+function showSharedResult(result) {
+  renderResult(result, result.source_url);
+  currentView = () => showSharedResult(result);
+  const note = document.createElement('div');
+  note.className = 'muted shared-note';
+  note.textContent = t('export.sharedNote');
+  const container = document.querySelector('.output');
+  container.insertBefore(note, container.firstChild);
+}
+
+/* ===========================
+   History + saved schemes (store.js) and offline use (sw.js)
+   =========================== */
+async function renderHistory() {
+  const list = document.getElementById('historyList');
+  if (!list) return;
+  let entries = [];
+  try { entries = await listHistory(); } catch (e) { entries = []; }
+  list.innerHTML = '';
+  entries.forEach(entry => {
+    const li = document.createElement('li');
+    if (entry.changes) li.className = 'updated';
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'history-open';
+    open.textContent = entry.title || entry.source_url || t('result.untitled');
+    open.title = entry.source_url || '';
+    open.addEventListener('click', () => showSavedEntry(entry));
+    const when = document.createElement('span');
+    when.className = 'muted history-date';
+    when.textContent = entry.changes ? t('changes.badge') : formatDate(entry.fetched_at.slice(0, 10));
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'history-delete';
+    del.textContent = '×';
+    del.setAttribute('aria-label', t('history.delete'));
+    del.addEventListener('click', async () => { await deleteEntry(entry.id); renderHistory(); });
+    li.append(open, when, del);
+    list.appendChild(li);
+  });
+  document.getElementById('historyEmpty').hidden = entries.length > 0;
+  document.getElementById('historyClear').hidden = entries.length === 0;
+}
+
+// saved card, marked with its date; `offline` when it stands in for a fetch that failed,
+// `status` is the outcome line of the last update check
+function showSavedEntry(entry, { offline = false, status = null } = {}) {
+  renderResult(entry.result, entry.source_url);
+  currentView = () => showSavedEntry(entry, { offline, status });
+  const container = document.querySelector('.output');
+  const note = document.createElement('div');
+  note.className = 'muted saved-note';
+  const text = document.createElement('span');
+  text.textContent = t(offline ? 'history.offlineCopy' : 'history.savedCopy', { date: formatDate(entry.fetched_at.slice(0, 10)) })
+    + (status ? ' ' + status : '');
+  note.appendChild(text);
+  const url = entry.requested_url || entry.source_url;
+  if (url && /^https?:/i.test(url)) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-small';
+    btn.textContent = t('changes.check');
+    btn.addEventListener('click', () => checkForUpdates(entry, btn, text));
+    note.appendChild(btn);
+  }
+  container.insertBefore(note, container.firstChild);
+  if (entry.changes) {
+    const card = container.querySelector('.result-card');
+    const changes = renderChanges(entry.changes);
+    if (card && changes) card.insertBefore(changes, card.children[1] || null);
+  }
+}
+
+/* ===========================
+   Change detection for saved schemes
+   same content hash -> nothing to do; otherwise re-extract and diff field by field
+   =========================== */
+async function checkForUpdates(entry, btn, statusEl) {
+  const url = entry.requested_url || entry.source_url;
+  btn.disabled = true;
+  statusEl.textContent = t('changes.checking');
+  const res = await fetchViaWorkerAndExtract(url, { knownHash: entry.result.content_hash });
+  if (res && res.error) {
+    btn.disabled = false;
+    statusEl.textContent = t('changes.failed', { error: res.message || res.error });
+    return;
+  }
+  if (res.unchanged || (res.content_hash && res.content_hash === entry.result.content_hash)) {
+    const updated = (await markChecked(entry.id).catch(() => null)) || entry;
+    showSavedEntry(updated, { status: t('changes.none', { date: formatDate(todayISO()) }) });
+    renderHistory();
+    return;
+  }
+  const diff = diffResults(entry.result, res);
+  let saved = null;
+  try {
+    if (historyId(res) !== entry.id) await deleteEntry(entry.id); // page moved: keep one entry, under the new URL
+    saved = await saveToHistory(res, { requestedUrl: url, changes: diff.changed ? diff : null });
+    if (entry.pinned && !saved.pinned) saved = await setPinned(saved.id, true);
+  } catch (e) { /* history unavailable: show the fresh result anyway */ }
+  const fresh = saved || { ...entry, result: res, fetched_at: new Date().toISOString(), changes: diff.changed ? diff : null };
+  showSavedEntry(fresh, { status: t(diff.changed ? 'changes.found' : 'changes.sameSummary') });
+  renderHistory();
+}
+
+const CHANGE_FIELDS = [
+  ['title', 'changes.titleField'], ['benefits', 'result.benefits'], ['dates', 'result.dates'], ['criteria', 'changes.rules'],
+  ['eligibility', 'result.who'], ['documents', 'result.docs'], ['steps', 'result.steps'], ['apply_links', 'result.where']
+];
+
+// one readable line for a diff item of the given field
+function changeItemText(field, x) {
+  if (typeof x === 'string' || x == null) return x || '';
+  if (field === 'criteria') return describeCriterion(x);
+  if (field === 'documents') return docName(x);
+  if (field === 'benefits') return benefitHeadline(x) || x.text;
+  if (field === 'dates') return `${t('date.' + (x.label || 'other'))} ${formatDate(x.date)}`;
+  return x.text || JSON.stringify(x);
+}
+
+function renderChanges(diff) {
+  if (!diff || !diff.changed) return null;
+  const box = document.createElement('div');
+  box.className = 'changes';
+  box.innerHTML = `<h3 style="margin:0 0 6px 0">${escapeHTML(t('changes.title'))}</h3>`;
+  CHANGE_FIELDS.forEach(([field, label]) => {
+    const d = diff.fields[field];
+    if (!d) return;
+    const h = document.createElement('h4');
+    h.textContent = t(label);
+    const ul = document.createElement('ul');
+    const add = (kind, text) => {
+      const li = document.createElement('li');
+      li.className = kind;
+      li.innerHTML = `<span class="change-tag">${escapeHTML(t('changes.' + kind))}</span> `;
+      li.appendChild(document.createTextNode(text));
+      ul.appendChild(li);
+    };
+    d.changed.forEach(c => add('changed', `${changeItemText(field, c.before)} → ${changeItemText(field, c.after)}`));
+    d.added.forEach(x => add('added', changeItemText(field, x)));
+    d.removed.forEach(x => add('removed', changeItemText(field, x)));
+    box.append(h, ul);
+  });
+  return box;
+}
+
+// "Save" toggle on the result card: the only way a result reaches the device's history.
+// Saved entries are pinned so they are never pruned; unsaving deletes the entry
+function renderPinButton(result, targetUrl) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn btn-small pin-btn';
+  const id = historyId(result);
+  const paint = pinned => {
+    btn.textContent = (pinned ? '★ ' : '☆ ') + t(pinned ? 'history.saved' : 'history.save');
+    btn.setAttribute('aria-pressed', String(pinned));
+  };
+  paint(false);
+  getEntry(id).then(e => paint(!!(e && e.pinned))).catch(() => btn.remove());
+  btn.addEventListener('click', async () => {
+    const entry = await getEntry(id);
+    if (entry && entry.pinned) await deleteEntry(id);
+    else {
+      await saveToHistory(result, { requestedUrl: /^https?:/i.test(targetUrl || '') ? targetUrl : null });
+      await setPinned(id, true);
+    }
+    paint(!(entry && entry.pinned));
+    renderHistory();
+  });
+  return btn;
+}
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker not registered:', err));
+}
+
+/* ===========================
+   "Am I eligible?" self-check
+   answers are only read from the form and never stored or sent anywhere
+   =========================== */
+// translated label for an option value; SC/ST/OBC/EWS stay as they are
+function optionLabel(v) { return I18N_STRINGS.en['opt.' + v] ? t('opt.' + v) : v; }
+
+function selfCheckQuestion(type, criteria) {
+  const opts = list => list.map(v => [v, optionLabel(v)]);
+  switch (type) {
+    case 'age': return { label: t('check.q.age'), input: 'number' };
+    case 'income': {
+      const unit = incomeAnswerUnit(criteria);
+      return { label: t(unit === 'INR/month' ? 'check.q.incomeMonth' : 'check.q.incomeYear'), input: 'number' };
+    }
+    case 'gender': return { label: t('check.q.gender'), options: opts(['female', 'male', 'transgender']) };
+    case 'category': return { label: t('check.q.category'), options: opts(['general', 'SC', 'ST', 'OBC', 'EWS', 'minority']) };
+    case 'domicile': return { label: t('check.q.domicile'), options: INDIAN_STATES.map(st => [st, st]).concat([['outside', t('opt.outside')]]) };
+    case 'occupation': return { label: t('check.q.occupation'), options: opts(OCCUPATION_PATTERNS.map(([o]) => o)).concat([['other', t('opt.other')]]) };
+    case 'land_holding': return { label: t('check.q.land'), input: 'number' };
+    case 'education': return { label: t('check.q.education'), options: [['none', t('opt.none')]].concat(opts(EDUCATION_LEVELS.map(([l]) => l))) };
+    default: return null;
+  }
+}
+
+// one income question for the whole form: monthly when any limit is monthly, else yearly
+function incomeAnswerUnit(criteria) {
+  return criteria.some(c => c.type === 'income' && c.unit === 'INR/month') ? 'INR/month' : 'INR/year';
+}
+
+function describeCriterion(c) {
+  const label = v => [].concat(v).map(optionLabel).join(' / ');
+  const op = t('op.' + c.operator);
+  const amount = v => c.unit && c.unit.startsWith('INR')
+    ? '₹' + Number(v).toLocaleString('en-IN') + ' ' + t(c.unit === 'INR/month' ? 'unit.perMonth' : 'unit.perYear')
+    : `${v} ${c.unit ? t('unit.' + c.unit) : ''}`.trim();
+  switch (c.type) {
+    case 'age': return c.operator === 'between' ? t('crit.ageBetween', { min: c.value[0], max: c.value[1] }) : t('crit.age', { op, value: c.value });
+    case 'income': return t('crit.income', { op, amount: amount(c.value) });
+    case 'land_holding': return t('crit.land', { op, amount: amount(c.value) });
+    case 'domicile': return c.value === 'India' ? t('crit.india') : t('crit.state', { state: c.value });
+    case 'education': return t('crit.education', { op, level: label(c.value) }).replace(/\s+/g, ' ');
+    default: return t('crit.' + c.type, { value: label(c.value) });
+  }
+}
+
+// 'eligible' | 'not_eligible' | 'unclear'
+// answers.income is in answers.income_unit (default INR/year) and is converted to each limit's unit
+function evaluateCriterion(c, answers) {
+  const a = answers[c.type];
+  if (a == null || a === '') return 'unclear';
+  const cmp = (x, op, v) => {
+    if (op === 'between') return x >= v[0] && x <= v[1];
+    if (op === '<') return x < v;
+    if (op === '<=') return x <= v;
+    if (op === '>') return x > v;
+    if (op === '>=') return x >= v;
+    if (op === 'in') return v.includes(x);
+    return x === v;
+  };
+  let ok;
+  if (c.type === 'age') ok = cmp(Number(a), c.operator, c.value);
+  else if (c.type === 'income') {
+    const from = answers.income_unit || 'INR/year', to = c.unit || 'INR/year';
+    const income = from === to ? Number(a) : (to === 'INR/year' ? Number(a) * 12 : Number(a) / 12);
+    ok = cmp(income, c.operator, c.value);
+  }
+  else if (c.type === 'land_holding') {
+    const value = c.unit === 'acres' ? c.value * 0.4047 : c.value;
+    ok = cmp(Number(a), c.operator, value);
+  } else if (c.type === 'education') {
+    const rank = l => EDUCATION_LEVELS.findIndex(([k]) => k === l);
+    ok = c.operator === 'in' ? c.value.includes(a) : cmp(rank(a), c.operator, rank(c.value));
+  } else if (c.type === 'domicile') ok = c.value === 'India' ? a !== 'outside' : a === c.value;
+  else if (c.operator === 'in' || c.operator === '==') ok = [].concat(c.value).includes(a);
+  else return 'unclear';
+  return ok ? 'eligible' : 'not_eligible';
+}
+
+function renderSelfCheck(criteria, eligSection) {
+  const box = document.createElement('details');
+  box.className = 'self-check';
+  box.innerHTML = `<summary>${escapeHTML(t('check.summary'))} <span class="muted">${escapeHTML(t('check.private'))}</span></summary>`;
+
+  const form = document.createElement('form');
+  const types = CRITERIA_TYPES.filter(type => criteria.some(c => c.type === type));
+  types.forEach(type => {
+    const q = selfCheckQuestion(type, criteria);
+    if (!q) return;
+    const row = document.createElement('label');
+    row.className = 'self-check-row';
+    row.textContent = q.label;
+    let field;
+    if (q.options) {
+      field = document.createElement('select');
+      field.appendChild(new Option(t('check.choose'), ''));
+      q.options.forEach(([v, l]) => field.appendChild(new Option(l, v)));
+    } else {
+      field = document.createElement('input');
+      field.type = 'number';
+      field.min = '0';
+      field.step = 'any';
+    }
+    field.name = type;
+    row.appendChild(field);
+    form.appendChild(row);
+  });
+
+  const run = document.createElement('button');
+  run.type = 'submit';
+  run.className = 'btn';
+  run.textContent = t('check.button');
+  form.appendChild(run);
+
+  const results = document.createElement('div');
+  results.className = 'self-check-results';
+  results.setAttribute('aria-live', 'polite');
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const answers = {};
+    types.forEach(type => { answers[type] = form.elements[type] ? form.elements[type].value : ''; });
+    answers.income_unit = incomeAnswerUnit(criteria);
+    const verdicts = criteria.map(c => ({ c, status: evaluateCriterion(c, answers) }));
+    renderSelfCheckResults(results, verdicts, eligSection);
+  });
+
+  box.appendChild(form);
+  box.appendChild(results);
+  return box;
+}
+
+function renderSelfCheckResults(container, verdicts, eligSection) {
+  container.innerHTML = '';
+
+  const overall = document.createElement('p');
+  overall.className = 'self-check-overall';
+  if (verdicts.some(v => v.status === 'not_eligible')) overall.textContent = t('check.overall.no');
+  else if (verdicts.every(v => v.status === 'eligible')) overall.textContent = t('check.overall.yes');
+  else overall.textContent = t('check.overall.unclear');
+  container.appendChild(overall);
+
+  const ul = document.createElement('ul');
+  verdicts.forEach(({ c, status }) => {
+    const li = document.createElement('li');
+    const pill = document.createElement('span');
+    pill.className = 'verdict ' + status;
+    pill.textContent = t('check.' + status);
+    li.appendChild(pill);
+    li.appendChild(document.createTextNode(' ' + describeCriterion(c)));
+    const src = document.createElement('mark');
+    src.className = 'self-check-source';
+    src.textContent = c.source;
+    li.appendChild(src);
+    ul.appendChild(li);
+  });
+  container.appendChild(ul);
+
+  // highlight the supporting lines in the "Who can apply?" list
+  if (eligSection) {
+    const sources = new Set(verdicts.map(v => v.c.source));
+    eligSection.querySelectorAll('li').forEach(li => {
+      li.classList.toggle('supporting-line', sources.has(li.dataset.source));
+    });
+  }
 }
 
 /* Paste fallback UI (shown when SPA detected) */
 function showPasteFallback(originalUrl) {
   const container = document.querySelector('.output');
+  const pasted = document.getElementById('pasteArea') ? document.getElementById('pasteArea').value : '';
+  currentView = () => showPasteFallback(originalUrl);
   container.innerHTML = `
     <div class="result-card">
-      <h2>Paste page HTML / text</h2>
-      <div class="muted">This site requires JavaScript to render. Copy the page's HTML (View → Save Page As → Webpage, HTML only) or copy the article text and paste here.</div>
+      <h2>${escapeHTML(t('paste.title'))}</h2>
+      <div class="muted">${escapeHTML(t('paste.help'))}</div>
       <textarea id="pasteArea" style="width:100%;height:180px;margin-top:12px;padding:10px;border-radius:8px;border:1px solid var(--border)"></textarea>
       <div style="margin-top:10px">
-        <button id="pasteRun" class="btn">Run Extractor on pasted text</button>
-        <button id="pasteCancel" class="btn" style="background:#eee;color:#111;margin-left:8px">Cancel</button>
+        <button id="pasteRun" class="btn">${escapeHTML(t('paste.run'))}</button>
+        <button id="pasteCancel" class="btn" style="background:#eee;color:#111;margin-left:8px">${escapeHTML(t('paste.cancel'))}</button>
       </div>
     </div>
   `;
+  // keep what was already pasted when re-rendering for a new locale
+  document.getElementById('pasteArea').value = pasted;
   document.getElementById('pasteRun').addEventListener('click', async () => {
     const html = document.getElementById('pasteArea').value.trim();
-    if (!html) return alert('Paste HTML or text first.');
-    const res = await extractFromHTML(html, originalUrl || null);
+    if (!html) return alert(t('alert.pasteFirst'));
+    // allow-list pass: only text and structure reach the extractor, whatever was pasted
+    const res = redactResult(await extractFromHTML(sanitizeHtml(html, { policy: 'strict' }), originalUrl || null));
     renderResult(res, originalUrl);
   });
   document.getElementById('pasteCancel').addEventListener('click', () => {
-    document.querySelector('.output').innerHTML = '<div class="muted">Summary will appear here…</div>';
+    currentView = null;
+    document.querySelector('.output').innerHTML = `<div class="muted">${escapeHTML(t('output.placeholder'))}</div>`;
   });
 }
 
 /* ===========================
-   small helpers (same as your code)
+   Batch / comparison mode
+   several URLs or files, extracted a few at a time, then one table side by side
    =========================== */
-/* Candidate collection, scoring, detection helpers (copied) */
-/* ---------- Improved collector + smarter scoring (drop-in replacement) ---------- */
+const BATCH_CONCURRENCY = 3; // keeps a batch well inside the worker's per-client rate limit
+const BATCH_MAX = 10;
 
-const CLASS_HINTS = [
-  'eligib', 'eligibility', 'who-can', 'who_can', 'whois', 'applicants', 'benefit', 'beneficiaries',
-  'document', 'documents', 'requirement', 'requirements', 'proof', 'howto', 'how-to', 'apply', 'application',
-  'criteria', 'criteria-list', 'steps', 'procedure', 'instructions', 'notice', 'announcement', 'scheme', 'policy'
-];
-
-function collectCandidateBlocks(doc, bodyText = '') {
-  const blocks = [];
-  const seen = new Set();
+// local PDF or saved HTML page; the file never leaves the browser
+async function extractFile(file) {
+  if (/\.pdf$/i.test(file.name) || file.type === 'application/pdf') {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    return redactResult(await extractFromPDF(bytes, null, file.name));
+  }
+  return redactResult(await extractFromHTML(await file.text(), file.name));
+}
 
-  // helper to push block if node not seen and content length > 0
-  function pushBlock(node, heading = '') {
-    if (!node) return;
-    if (seen.has(node)) return;
-    seen.add(node);
-    const text = (node.innerText || '').trim();
-    if (!text) return;
-    // limit block length to reasonable amount
-    const content = text.length > 10000 ? text.slice(0, 10000) : text;
-    blocks.push({ heading: (heading || '').trim(), content, node });
-  }
-
-  // 1) headings + following siblings (existing logic)
-  const headings = Array.from(doc.querySelectorAll('h1,h2,h3,h4'));
-  headings.forEach(h => {
-    const headingText = (h.innerText || '').trim();
-    let n = h.nextElementSibling;
-    let buf = '';
-    let cap = 0;
-    while (n && !/^H[1-4]$/i.test(n.tagName) && cap < 30) {
-      buf += '\n' + (n.innerText || '');
-      n = n.nextElementSibling;
-      cap++;
+// runs fn over items with at most `limit` in flight; results keep the input order
+async function runPool(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
     }
-    // use node = h (so link extraction still works)
-    if (buf.trim()) pushBlock(h, headingText);
-  });
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+  return results;
+}
 
-  // 2) lists and tables (existing)
-  Array.from(doc.querySelectorAll('ul,ol,table')).forEach(el => {
-    if (el && el.innerText && el.innerText.trim()) pushBlock(el, findNearestHeading(el) || '');
-  });
+// items: [{ label, url } | { label, file }]
+async function runBatch(items) {
+  const container = document.querySelector('.output');
+  container.innerHTML = '';
+  currentView = null; // progress rows are live; re-rendering waits for the table
 
-  // 3) semantic containers
-  Array.from(doc.querySelectorAll('section,article,main,aside,[role="region"],[role="main"]')).forEach(el => {
-    if (el && el.innerText && el.innerText.trim()) pushBlock(el, findNearestHeading(el) || '');
+  const card = document.createElement('div');
+  card.className = 'result-card batch-card';
+  card.innerHTML = `<h2 style="margin:0 0 6px 0">${escapeHTML(t('batch.title', { n: items.length }))}</h2>`;
+  const progress = document.createElement('ol');
+  progress.className = 'batch-progress';
+  const rows = items.map(item => {
+    const li = document.createElement('li');
+    li.innerHTML = `<span class="batch-name"></span> <span class="batch-status"></span>`;
+    li.querySelector('.batch-name').textContent = item.label;
+    progress.appendChild(li);
+    return li;
   });
+  const setStatus = (i, state, note) => {
+    rows[i].className = state;
+    rows[i].querySelector('.batch-status').textContent = t('batch.' + state) + (note ? ' — ' + note : '');
+  };
+  items.forEach((item, i) => setStatus(i, 'queued'));
+  card.appendChild(progress);
+  container.appendChild(card);
 
-  // 4) elements with class/ID/aria hints
-  // search for elements whose className or id or aria-label contains hint keywords
-  const all = Array.from(doc.querySelectorAll('div,section,article'));
-  for (let el of all) {
-    if (!el || seen.has(el)) continue;
-    const meta = ((el.className || '') + ' ' + (el.id || '') + ' ' + (el.getAttribute('aria-label') || '') + ' ' + (el.getAttribute('role') || '')).toLowerCase();
-    if (!meta) continue;
-    for (let hint of CLASS_HINTS) {
-      if (meta.includes(hint)) {
-        // ignore tiny nodes
-        if ((el.innerText || '').trim().length < 30) break;
-        pushBlock(el, findNearestHeading(el) || '');
-        break;
-      }
-    }
-  }
-
-  // 5) text-density fallback for other divs (catch "div soup" content)
-  // We'll pick divs with decent text length and relatively few child elements
-  for (let el of Array.from(doc.querySelectorAll('div'))) {
-    if (!el || seen.has(el)) continue;
-    const text = (el.innerText || '').trim();
-    if (!text || text.length < 120) continue; // minimum size
-    const childCount = (el.querySelectorAll('*') || []).length;
-    const density = computeTextDensity(text, childCount); // words per child factor
-    // heuristic: if density is high (>= 8) OR text very large (>800) include it
-    if (density >= 8 || text.length > 800) {
-      pushBlock(el, findNearestHeading(el) || '');
-    }
-  }
-
-  // 6) fallback: Readability/body paragraphs (only if no blocks found)
-  if (!blocks.length && bodyText) {
-    const paras = bodyText.split(/\n{1,3}/).map(s => s.trim()).filter(Boolean);
-    for (let i = 0; i < Math.min(8, paras.length); i++) {
-      blocks.push({ heading: '', content: paras[i], node: null });
+  const results = await runPool(items, BATCH_CONCURRENCY, async (item, i) => {
+    setStatus(i, 'running');
+    let res;
+    try {
+      res = item.file ? await extractFile(item.file) : await fetchViaWorkerAndExtract(item.url);
+    } catch (err) {
+      res = { error: 'client_exception', message: String(err) };
     }
-  }
+    if (res && res.error) setStatus(i, 'failed', res.message || res.error);
+    else setStatus(i, 'done');
+    return res;
+  });
 
-  return blocks;
+  renderBatchComparison(items, results);
 }
 
-// compute text density: roughly words per child element (plus smoothing)
-function computeTextDensity(text, childCount) {
-  const words = (text.split(/\s+/).length) || 1;
-  return words / Math.max(1, (childCount || 0) + 1);
+// catalogue id -> indexes of the schemes asking for it, for ids asked by two or more
+function sharedDocuments(results) {
+  const byId = new Map();
+  results.forEach((r, i) => {
+    if (!r || r.error) return;
+    new Set((r.document_checklist || []).map(d => d.id)).forEach(id => {
+      if (!byId.has(id)) byId.set(id, []);
+      byId.get(id).push(i);
+    });
+  });
+  return new Map([...byId].filter(([, idx]) => idx.length > 1).sort((a, b) => b[1].length - a[1].length));
 }
 
-/* ---------- Smarter scoring: give boosts when classes/roles/hints present ---------- */
-function scoreBlock(heading = '', content = '', node = null) {
-  let score = 0;
-  const h = (heading || '').toLowerCase();
-  const c = (content || '').toLowerCase();
-
-  // heading weight (same)
-  if (matchKeywords(h, ELIG_KEYWORDS)) score += 0.36;
+function renderBatchComparison(items, results) {
+  const container = document.querySelector('.output');
+  container.innerHTML = '';
+  currentView = () => renderBatchComparison(items, results);
 
-  // structural weight: lists, bullets, table rows
-  if (/^\s*(•|-|\u2022|\d+\.)/.test(content) || content.split('\n').length > 3) score += 0.28;
+  const card = document.createElement('div');
+  card.className = 'result-card batch-card';
+  card.innerHTML = `<h2 style="margin:0 0 6px 0">${escapeHTML(t('batch.title', { n: items.length }))}</h2>`;
 
-  // keyword density as before
-  const kd = keywordDensity(c, ELIG_KEYWORDS);
-  score += Math.min(0.26, kd * 3);
+  const shared = sharedDocuments(results);
+  if (shared.size) {
+    const box = document.createElement('div');
+    box.className = 'batch-shared';
+    box.innerHTML = `<h3 style="margin:0 0 6px 0">${escapeHTML(t('batch.shared'))}</h3>`;
+    const ul = document.createElement('ul');
+    shared.forEach((idx, id) => {
+      const doc = results[idx[0]].document_checklist.find(d => d.id === id);
+      const li = document.createElement('li');
+      li.innerHTML = `<strong>${escapeHTML(docName(doc))}</strong> <span class="muted">${escapeHTML(t('batch.sharedBy', { n: idx.length, total: items.length }))}</span>`;
+      ul.appendChild(li);
+    });
+    box.appendChild(ul);
+    card.appendChild(box);
+  }
 
-  // class/id/aria hint boost
-  try {
-    if (node && node.getAttribute) {
-      const meta = ((node.className || '') + ' ' + (node.id || '') + ' ' + (node.getAttribute('aria-label') || '')).toLowerCase();
-      if (meta) {
-        for (let hint of CLASS_HINTS) {
-          if (meta.includes(hint)) {
-            score += 0.25; // strong boost for explicit class hint
-            break;
-          }
-        }
+  const today = todayISO();
+  const list = lines => {
+    const ul = document.createElement('ul');
+    lines.forEach(([text, cls]) => {
+      const li = document.createElement('li');
+      if (cls) li.className = cls;
+      li.textContent = text;
+      ul.appendChild(li);
+    });
+    return ul;
+  };
+  const cells = {
+    confidence: r => {
+      const span = document.createElement('span');
+      span.className = 'badge ' + (r.confidence >= 0.7 ? 'high' : (r.confidence >= 0.4 ? 'med' : 'low'));
+      span.style.marginLeft = '0';
+      span.textContent = Math.round(r.confidence * 100) + '%';
+      return span;
+    },
+    benefits: r => (r.benefits || []).length ? list(uniqueStrings(r.benefits.map(b => benefitHeadline(b) || b.text)).map(h => [h])) : null,
+    eligibility: r => {
+      if (r.criteria && r.criteria.length) return list(r.criteria.map(c => [describeCriterion(c)]));
+      const plain = (r.simplified && r.simplified.eligibility) || r.eligibility || [];
+      return plain.length ? list(plain.map(l => [l])) : null;
+    },
+    documents: r => (r.document_checklist || []).length
+      ? list(r.document_checklist.map(d => [docName(d), shared.has(d.id) ? 'shared' : '']))
+      : ((r.documents || []).length ? list(r.documents.map(l => [l])) : null),
+    deadline: r => {
+      const closing = (r.dates || []).filter(d => d.label === 'closing').sort((a, b) => b.date.localeCompare(a.date))[0];
+      if (!closing) return null;
+      const span = document.createElement('span');
+      span.textContent = formatDate(closing.date);
+      if (closing.date < today) { span.className = 'past'; span.title = t('result.datePassed'); }
+      return span;
+    },
+    apply: r => {
+      const mode = r.procedure && r.procedure.mode;
+      const first = (r.apply_links || [])[0];
+      if (!mode && !first) return null;
+      const div = document.createElement('div');
+      if (mode) div.textContent = t('mode.' + mode);
+      if (first) {
+        const a = externalLink(first, t('batch.applyLink'));
+        if (mode && a.href) div.appendChild(document.createTextNode(' · '));
+        if (a.href) div.appendChild(a);
       }
-      // role hint (region/main) small boost
-      const role = node.getAttribute('role') || '';
-      if (role && /region|main|content|article/.test(role.toLowerCase())) score += 0.12;
+      return div;
     }
-  } catch (e) {
-    // ignore node access errors
-  }
-
-  // text-density boost: denser blocks more likely to be meaningful
-  const words = Math.max(1, content.split(/\s+/).length);
-  if (words > 200) score += 0.08;
-  if (words > 600) score += 0.06;
-
-  return Math.max(0, Math.min(1, score));
-}
-
-function findNearestHeading(el) {
-  let cur = el;
-  for (let i = 0; i < 6 && cur; i++) {
-    cur = cur.previousElementSibling;
-    if (!cur) break;
-    if (/^H[1-4]$/i.test(cur.tagName)) return cur.innerText.trim();
-  }
-  let parent = el.parentElement;
-  while (parent && parent !== document.body && parent !== document.documentElement) {
-    const h = parent.querySelector('h1,h2,h3');
-    if (h) return h.innerText.trim();
-    parent = parent.parentElement;
-  }
-  return '';
-}
-
-function scoreBlock(heading = '', content = '') {
-  let score = 0;
-  const h = (heading || '').toLowerCase();
-  const c = (content || '').toLowerCase();
-  if (matchKeywords(h, ELIG_KEYWORDS)) score += 0.40;
-  if (/^\s*(•|-|\u2022|\d+\.)/.test(content) || content.split('\n').length > 3) score += 0.30;
-  const kd = keywordDensity(c, ELIG_KEYWORDS);
-  score += Math.min(0.3, kd * 3);
-  return Math.max(0, Math.min(1, score));
-}
-function matchKeywords(text, keywords) { if (!text) return false; text = text.toLowerCase(); return keywords.some(k => text.includes(k.toLowerCase())); }
-function keywordDensity(text, keywords) { if (!text) return 0; const words = Math.max(1, text.split(/\s+/).length); let count = 0; const lc = text.toLowerCase(); keywords.forEach(k => { const patt = new RegExp('\\b' + escapeRegex(k) + '\\b', 'i'); if (patt.test(lc)) count++; }); return count / Math.max(1, words / 50); }
-function isEligibilityLine(line) { if (!line) return false; const s = line.toLowerCase(); if (ELIG_KEYWORDS.some(k => s.includes(k))) return true; if (/\b(only|must be|should be|eligible if|applicable to|applicants from)\b/.test(s)) return true; return false; }
-function isDocumentLine(line) { if (!line) return false; const s = line.toLowerCase(); return DOC_KEYWORDS.some(k => s.includes(k)); }
-function looksLikeApplyLink(aEl) { const txt = (aEl.innerText || aEl.getAttribute('title') || '').toLowerCase(); const href = (aEl.href || '').toLowerCase(); return /apply|registration|register|application/.test(txt) || /apply|registration|register|application/.test(href); }
-
-function splitToLines(text) { return text.split(/\r?\n|[.;]\s+/).map(s => s.trim()).filter(Boolean); }
-function shorten(s, len = 200) { s = s.trim(); if (s.length <= len) return s; return s.slice(0, len).trim() + '…'; }
-function uniqueStrings(arr) { return Array.from(new Set(arr.map(s => s.trim()))).filter(Boolean); }
-function makeAbsoluteUrl(href, base) { try { return new URL(href, base || window.location.href).toString(); } catch (e) { return href; } }
-function determineMethod(article, top) { if (!article) return 'heuristic'; if (top && top.length) return 'readability+heuristic'; return 'readability'; }
-function roundTo(n, d = 2) { return Math.round(n * Math.pow(10, d)) / Math.pow(10, d); }
-function escapeRegex(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
-
-function computeConfidence(eligList, docList, topBlocks) {
-  const base = Math.min(0.6, 0.15 * Math.min(6, eligList.length) + 0.1 * Math.min(4, docList.length));
-  const avgTop = topBlocks.length ? (topBlocks.reduce((a, b) => a + (b.score || 0), 0) / topBlocks.length) : 0;
-  const conf = Math.min(0.98, base + 0.4 * avgTop);
-  if (eligList.length === 0 && docList.length === 0) return 0.12 + avgTop * 0.1;
-  return conf;
-}
-
-/* Schema validation, redact, sanitize, escape helpers (copied) */
-function validateOutputSchema(obj) {
-  const errors = [];
-  if (!('title' in obj)) errors.push('missing title');
-  if (!('source_url' in obj)) errors.push('missing source_url');
-  if (!('eligibility' in obj)) errors.push('missing eligibility');
-  if (!Array.isArray(obj.eligibility)) errors.push('eligibility must be array');
-  if (!('documents' in obj)) errors.push('missing documents');
-  if (!Array.isArray(obj.documents)) errors.push('documents must be array');
-  if (!('apply_links' in obj)) errors.push('missing apply_links');
-  if (!Array.isArray(obj.apply_links)) errors.push('apply_links must be array');
-  if (!('raw_text_snippet' in obj)) errors.push('missing raw_text_snippet');
-  if (!('method' in obj)) errors.push('missing method');
-  if (!('confidence' in obj)) errors.push('missing confidence');
-  if (typeof obj.confidence !== 'number') errors.push('confidence must be number');
-  return { valid: errors.length === 0, errors };
-}
-
-function redactPII(text) {
-  if (!text) return text;
-  text = text.replace(/\b(\+91[-\s]?)?\d{10}\b/g, '[REDACTED_PHONE]');
-  text = text.replace(/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/ig, '[REDACTED_EMAIL]');
-  text = text.replace(/\b\d{4}\s*\d{4}\s*\d{4}\b/g, '[REDACTED_ID]');
-  return text;
-}
-
-function sanitizeHtmlString(html) {
-  if (!html) return '';
-  html = html.replace(/<!--[\s\S]*?-->/g, '');
-  html = html.replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, '');
-  html = html.replace(/<style[\s\S]*?>[\s\S]*?<\/style>/gi, '');
-  html = html.replace(/\son\w+\s*=\s*"(?:[^"\\]|\\.)*"/gi, '');
-  html = html.replace(/\son\w+\s*=\s*'(?:[^'\\]|\\.)*'/gi, '');
-  return html;
+  };
+  const rowLabels = { confidence: 'batch.confidence', benefits: 'result.benefits', eligibility: 'result.who', documents: 'result.docs', deadline: 'date.closing', apply: 'result.steps' };
+
+  const wrap = document.createElement('div');
+  wrap.className = 'batch-table-wrap';
+  const table = document.createElement('table');
+  table.className = 'batch-table';
+  const head = document.createElement('tr');
+  head.appendChild(document.createElement('th'));
+  results.forEach((r, i) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = (r && !r.error && r.title) || items[i].label;
+    if (r && r.source_url && /^https?:/i.test(r.source_url)) th.title = r.source_url;
+    head.appendChild(th);
+  });
+  table.createTHead().appendChild(head);
+  const body = table.createTBody();
+  Object.keys(cells).forEach(key => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = t(rowLabels[key]);
+    tr.appendChild(th);
+    results.forEach(r => {
+      const td = document.createElement('td');
+      if (!r || r.error) {
+        if (key === 'confidence') { td.className = 'batch-error'; td.textContent = t('result.error') + ' ' + ((r && (r.message || r.error)) || t('result.none')); }
+      } else {
+        const content = cells[key](r);
+        if (content) td.appendChild(content); else { td.className = 'muted'; td.textContent = '—'; }
+      }
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  wrap.appendChild(table);
+  card.appendChild(wrap);
+
+  // any column opens as the full single-scheme card
+  const pick = document.createElement('div');
+  pick.className = 'batch-open';
+  results.forEach((r, i) => {
+    if (!r || r.error) return;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-small';
+    btn.textContent = t('batch.open', { name: r.title || items[i].label });
+    btn.addEventListener('click', () => openBatchItem(items, results, i));
+    pick.appendChild(btn);
+  });
+  if (pick.children.length) card.appendChild(pick);
+
+  container.appendChild(card);
+}
+
+function openBatchItem(items, results, i) {
+  renderResult(results[i], items[i].url || items[i].label);
+  currentView = () => openBatchItem(items, results, i);
+  const back = document.createElement('button');
+  back.type = 'button';
+  back.className = 'btn btn-small batch-back';
+  back.textContent = t('batch.back');
+  back.addEventListener('click', () => renderBatchComparison(items, results));
+  const container = document.querySelector('.output');
+  container.insertBefore(back, container.firstChild);
+}
+
+// new-tab link; results can come from share links and pasted pages, so only http(s) URLs get an href
+function externalLink(url, text) {
+  const a = document.createElement('a');
+  if (/^https?:/i.test(url || '') && isSafeUrl(url)) { a.href = url; a.target = '_blank'; a.rel = 'noopener noreferrer'; }
+  a.textContent = text;
+  return a;
 }
 
 function escapeHTML(s) {
@@ -490,14 +1775,102 @@ document.addEventListener('DOMContentLoaded', () => {
   const out = document.querySelector('.output');
   const btn = document.getElementById('simplifyBtn');
 
+  // locale picker: translate the static page and re-render whatever is shown
+  const picker = document.getElementById('localePicker');
+  if (picker) {
+    LOCALES.forEach(([code, name]) => picker.appendChild(new Option(name, code)));
+    picker.value = getLocale();
+    picker.addEventListener('change', () => {
+      setLocale(picker.value);
+      applyStaticTranslations();
+      renderHistory();
+      if (currentView) currentView();
+    });
+  }
+  applyStaticTranslations();
+
+  // easy view: remembered on this device, re-renders whatever is shown
+  const easy = document.getElementById('easyMode');
+  document.body.classList.toggle('easy', easyMode());
+  if (easy) {
+    easy.checked = easyMode();
+    easy.addEventListener('change', () => {
+      setEasyMode(easy.checked);
+      if (currentView) currentView();
+    });
+  }
+
+  // history sidebar + offline shell
+  renderHistory();
+  registerServiceWorker();
+  const clearBtn = document.getElementById('historyClear');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', async () => {
+      if (!confirm(t('history.confirmClear'))) return;
+      try { await clearHistory(); } catch (e) { /* nothing stored */ }
+      renderHistory();
+    });
+  }
+
+  // opened from a share link: show the card it carries instead of the placeholder
+  loadSharedResult();
+
+  // local PDF upload (no worker involved; the file never leaves the browser)
+  const upload = document.getElementById('pdfUpload');
+  if (upload) {
+    upload.addEventListener('change', async () => {
+      const file = upload.files && upload.files[0];
+      if (!file) return;
+      out.innerHTML = `<div class="muted">${escapeHTML(t('status.readingPdf'))}</div>`;
+      upload.disabled = true;
+      try {
+        const res = await extractFile(file);
+        renderResult(res, file.name);
+      } catch (err) {
+        out.innerHTML = '<div class="result-card"><strong>' + escapeHTML(t('result.error')) + '</strong> ' + escapeHTML(String(err)) + '</div>';
+      } finally {
+        upload.disabled = false;
+        upload.value = '';
+      }
+    });
+  }
+
+  // batch / comparison mode: URLs one per line plus any picked files
+  const batchForm = document.getElementById('batchForm');
+  if (batchForm) {
+    batchForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const urls = uniqueStrings(document.getElementById('batchUrls').value.split('\n').map(u => u.trim()).filter(u => /^https?:\/\//i.test(u)));
+      const files = Array.from(document.getElementById('batchFiles').files || []);
+      const items = urls.map(url => ({ label: url, url })).concat(files.map(file => ({ label: file.name, file })));
+      if (items.length < 2) return alert(t('alert.batchTwo'));
+      if (items.length > BATCH_MAX) return alert(t('alert.batchMax', { n: BATCH_MAX }));
+      const compareBtn = document.getElementById('compareBtn');
+      compareBtn.disabled = true;
+      try {
+        await runBatch(items);
+      } finally {
+        compareBtn.disabled = false;
+      }
+    });
+  }
+
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     const url = input.value.trim();
-    if (!url) return alert('Paste a URL first.');
-    out.innerHTML = '<div class="muted">Fetching and extracting…</div>';
+    if (!url) return alert(t('alert.pasteUrl'));
+    out.innerHTML = `<div class="muted">${escapeHTML(t('status.fetching'))}</div>`;
     btn.disabled = true;
     try {
       const res = await fetchViaWorkerAndExtract(url);
+      // no connection (or the page is unreachable now): fall back to the copy saved on this device
+      if (res && res.error && res.error !== 'spa_shell') {
+        const saved = await findByUrl(url).catch(() => null);
+        if (saved) {
+          showSavedEntry(saved, { offline: true });
+          return;
+        }
+      }
       // SPA fallback
       if (res && res.error === 'spa_shell') {
         renderResult(res, url);
@@ -507,13 +1880,23 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       renderResult(res, url);
       if (res && res.error === 'pdf_requires_pdfjs') {
-        out.insertAdjacentHTML('beforeend', '<div class="muted" style="margin-top:8px;">PDF detected — include pdf.js in the page to extract PDFs, or ask user to upload the PDF file.</div>');
+        out.insertAdjacentHTML('beforeend', `<div class="muted" style="margin-top:8px;">${escapeHTML(t('note.pdfjs'))}</div>`);
+      }
+      if (res && res.error === 'pdf_too_large') {
+        out.insertAdjacentHTML('beforeend', `<div class="muted" style="margin-top:8px;">${escapeHTML(t('note.pdfTooLarge'))}</div>`);
       }
       if (res && res.error && res.details) console.error('Details:', res.details);
     } catch (err) {
-      out.innerHTML = '<div class="result-card"><strong>Error:</strong> ' + escapeHTML(String(err)) + '</div>';
+      out.innerHTML = '<div class="result-card"><strong>' + escapeHTML(t('result.error')) + '</strong> ' + escapeHTML(String(err)) + '</div>';
     } finally {
       btn.disabled = false;
     }
   });
 });
+
+// for the node --test suite (test/page.js); nothing on the page imports main.js
+export {
+  siteAdaptersFor, isAppShell, jsonSectionsToHTML, fetchViaWorkerAndExtract,
+  selfCheckQuestion, incomeAnswerUnit, evaluateCriterion, icsText, encodeShare, decodeShare,
+  sharedDocuments, renderBatchComparison, renderResult, setEasyMode, sectionSpeech
+};
@@ -0,0 +1,128 @@
+/* store.js - on-device copies of the schemes the user saved (IndexedDB)
+   - entry: { id, title, source_url, requested_url, lang, fetched_at, checked_at, pinned, result, changes }
+     changes: diffResults() output from the last update check that found one, else null
+   - results go through redactResult before they are written, whatever the caller did
+   - unpinned entries beyond HISTORY_MAX are dropped, oldest first
+   - nothing here touches the network; clearHistory() wipes every entry
+*/
+import { redactResult, redactPII } from './lib/extractor.js';
+
+const DB_NAME = 'govscheme';
+const DB_VERSION = 1;
+const STORE = 'schemes';
+const HISTORY_MAX = 50;
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB unavailable')); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const os = req.result.createObjectStore(STORE, { keyPath: 'id' });
+      os.createIndex('fetched_at', 'fetched_at');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; }); // private mode etc.: try again next call
+  return dbPromise;
+}
+
+// one transaction; fn gets the object store and may return a request whose result is resolved
+async function withStore(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// pages key by their final URL; local files and pasted text by title
+function historyId(result) {
+  return result.source_url || 'title:' + (result.title || '');
+}
+
+function getEntry(id) {
+  return withStore('readonly', os => os.get(id));
+}
+
+// pinned first, then newest first
+async function listHistory() {
+  const all = await withStore('readonly', os => os.getAll());
+  return all.sort((a, b) => (b.pinned - a.pinned) || b.fetched_at.localeCompare(a.fetched_at));
+}
+
+async function findByUrl(url) {
+  return (await listHistory()).find(e => e.source_url === url || e.requested_url === url) || null;
+}
+
+async function saveToHistory(result, { requestedUrl = null, fetchedAt = null, changes = null } = {}) {
+  if (!result || result.error) return null;
+  const clean = redactResult(structuredClone(result));
+  const id = historyId(clean);
+  const prev = await getEntry(id);
+  const entry = {
+    id,
+    title: clean.title || null,
+    source_url: clean.source_url || null,
+    requested_url: requestedUrl || (prev && prev.requested_url) || null,
+    lang: clean.lang || null,
+    fetched_at: fetchedAt || new Date().toISOString(),
+    checked_at: null,
+    pinned: !!(prev && prev.pinned),
+    result: clean,
+    changes: changes ? redactChanges(structuredClone(changes)) : null
+  };
+  await withStore('readwrite', os => os.put(entry));
+  await pruneHistory();
+  return entry;
+}
+
+async function setPinned(id, pinned) {
+  const entry = await getEntry(id);
+  if (!entry) return null;
+  entry.pinned = !!pinned;
+  await withStore('readwrite', os => os.put(entry));
+  return entry;
+}
+
+// update check found the same content: only the check time moves
+async function markChecked(id, when = new Date().toISOString()) {
+  const entry = await getEntry(id);
+  if (!entry) return null;
+  entry.checked_at = when;
+  await withStore('readwrite', os => os.put(entry));
+  return entry;
+}
+
+function deleteEntry(id) {
+  return withStore('readwrite', os => os.delete(id));
+}
+
+function clearHistory() {
+  return withStore('readwrite', os => os.clear());
+}
+
+// diff items are copies of result lines / objects, so they get the same treatment
+function redactChanges(changes) {
+  const clean = x => (typeof x === 'string' ? redactPII(x)
+    : x && typeof x === 'object' ? Object.fromEntries(Object.entries(x).map(([k, v]) => [k, (k === 'text' || k === 'source') ? redactPII(v) : v])) : x);
+  Object.values(changes.fields).forEach(d => {
+    d.added = d.added.map(clean);
+    d.removed = d.removed.map(clean);
+    d.changed = d.changed.map(c => ({ key: c.key, before: clean(c.before), after: clean(c.after) }));
+  });
+  return changes;
+}
+
+async function pruneHistory() {
+  const stale = (await listHistory()).filter(e => !e.pinned).slice(HISTORY_MAX);
+  if (stale.length) await withStore('readwrite', os => { stale.forEach(e => os.delete(e.id)); });
+}
+
+export { HISTORY_MAX, historyId, getEntry, listHistory, findByUrl, saveToHistory, setPinned, markChecked, deleteEntry, clearHistory };
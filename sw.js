@@ -0,0 +1,70 @@
+/* sw.js - offline support, so the page opens and saved schemes re-open on a flaky connection
+   - page and scripts (this site's HTML and JS): network first, so a deploy takes effect on the next load;
+     the cached copy answers when the network fails or is slower than NETWORK_WAIT_MS
+   - other own files (styles, icon, manifest): cache first, refreshed in the background
+   - CDN scripts and fonts: cached the first time they load
+   - worker / proxy responses are never cached here; saved results live in IndexedDB
+     (store.js), where "clear all" reaches them
+*/
+// names the cache; bump only when SHELL changes, since page and scripts are fetched fresh anyway
+const VERSION = 'govscheme-v3';
+const SHELL = ['./', 'index.html', 'styles.css', 'main.js', 'i18n.js', 'store.js', 'lib/extractor.js', 'lib/redact.js', 'lib/sanitize.js', 'manifest.webmanifest', 'icon.svg'];
+const CDN_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const NETWORK_WAIT_MS = 4000;
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(VERSION).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== VERSION).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  const local = url.origin === self.location.origin;
+  if (local && (url.pathname.endsWith('/proxy') || url.searchParams.has('url'))) return; // mock-server proxy
+  if (!local && !CDN_HOSTS.includes(url.hostname)) return; // the worker and anything else: network only
+  const code = local && (req.mode === 'navigate' || /(\/|\.html|\.js)$/.test(url.pathname));
+  event.respondWith(code ? networkFirst(event, req) : staleWhileRevalidate(event, req));
+});
+
+// share links put the result in the #fragment and may carry a query; the page is the same file
+function cachedCopy(cache, req) {
+  return cache.match(req, { ignoreSearch: req.mode === 'navigate' })
+    .then(hit => hit || (req.mode === 'navigate' ? cache.match('index.html') : undefined));
+}
+
+function fetchAndStore(cache, req) {
+  return fetch(req).then(res => {
+    if (res.ok || res.type === 'opaque') cache.put(req, res.clone());
+    return res;
+  }).catch(() => null);
+}
+
+async function networkFirst(event, req) {
+  const cache = await caches.open(VERSION);
+  const fresh = fetchAndStore(cache, req);
+  event.waitUntil(fresh); // a slow response still lands in the cache for next time
+  const slow = new Promise(resolve => setTimeout(() => resolve(null), NETWORK_WAIT_MS));
+  const res = await Promise.race([fresh, slow]);
+  if (res && res.ok) return res;
+  return (await cachedCopy(cache, req)) || (await fresh) || Response.error();
+}
+
+async function staleWhileRevalidate(event, req) {
+  const cache = await caches.open(VERSION);
+  const cached = await cache.match(req);
+  const refresh = fetchAndStore(cache, req);
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  return (await refresh) || Response.error();
+}
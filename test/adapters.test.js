@@ -0,0 +1,65 @@
+/* adapters.test.js - node --test: SPA shell detection and site adapters, with the worker stubbed */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import page from './page.js';
+
+const { siteAdaptersFor, isAppShell, jsonSectionsToHTML, fetchViaWorkerAndExtract } = page;
+const fixture = name => readFileSync(new URL(`../worker/fixtures/${name}`, import.meta.url), 'utf8');
+
+// worker stub: ?url=…[&render=1] -> a 200 body in the worker's contract, or its 4xx shape
+function stubWorker(routes) {
+  const asked = [];
+  globalThis.fetch = async req => {
+    const q = new URL(String(req)).searchParams;
+    const key = q.get('url') + (q.get('render') ? ' render' : '');
+    asked.push(key);
+    const body = routes[key] || { error: 'upstream_error', message: 'no fixture' };
+    return new Response(JSON.stringify(body), { status: body.error ? 502 : 200, headers: { 'content-type': 'application/json' } });
+  };
+  return asked;
+}
+const htmlBody = (url, html) => ({ ok: true, final_url: url, content_type: 'text/html; charset=utf-8', html });
+
+test('isAppShell: empty framework roots are shells, real pages are not', () => {
+  assert.equal(isAppShell(fixture('spa-shell.html')), true);
+  assert.equal(isAppShell(fixture('post-matric.html')), false);
+});
+
+test('siteAdaptersFor: by host suffix', () => {
+  assert.deepEqual(siteAdaptersFor('https://www.myscheme.gov.in/schemes/pm-kisan').map(a => a.id), ['myscheme']);
+  assert.deepEqual(siteAdaptersFor('https://notmyscheme.gov.in/').map(a => a.id), []);
+});
+
+test('jsonSectionsToHTML: portal JSON to headed lists, nothing when no section matches', () => {
+  const html = jsonSectionsToHTML({ eligibility: ['Must be a farmer family', 'x'], benefits: { text: 'Rs 6,000 per year' } }, 'PM-KISAN');
+  assert.match(html, /<h2>Benefits<\/h2><ul><li>Rs 6,000 per year<\/li><\/ul>/);
+  assert.match(html, /<h2>Eligibility<\/h2><ul><li>Must be a farmer family<\/li><\/ul>/);
+  assert.equal(jsonSectionsToHTML({ other: 'Nothing here at all' }), null);
+});
+
+test('myscheme adapter: reads the public API instead of the shell', async () => {
+  const api = 'https://api.myscheme.gov.in/schemes/v5/public/schemes?slug=pm-kisan&lang=en';
+  const asked = stubWorker({ [api]: { ok: true, final_url: api, content_type: 'application/json', text: fixture('myscheme-pm-kisan.json') } });
+  const r = await fetchViaWorkerAndExtract('https://www.myscheme.gov.in/schemes/pm-kisan');
+  assert.equal(r.error, undefined);
+  assert.deepEqual(asked, [api]);
+  assert.equal(r.title, 'Pradhan Mantri Kisan Samman Nidhi');
+  assert.match(r.method, /^adapter:myscheme\+/);
+  assert.ok(r.benefits.some(b => b.amount === 6000 && b.instalments === 3));
+});
+
+test('render adapter: a shell is rendered by the worker; without a render the paste fallback is offered', async () => {
+  const url = 'https://portal.example.gov.in/apply';
+  const asked = stubWorker({
+    [url]: htmlBody(url, fixture('spa-shell.html')),
+    [url + ' render']: { ...htmlBody(url, fixture('portal-apply-rendered.html')), rendered: true }
+  });
+  const r = await fetchViaWorkerAndExtract(url);
+  assert.deepEqual(asked, [url, url + ' render']);
+  assert.match(r.method, /^adapter:render\+/);
+  assert.ok(r.criteria.some(c => c.type === 'income' && c.value === 800000));
+
+  stubWorker({ [url]: htmlBody(url, fixture('spa-shell.html')) });
+  assert.equal((await fetchViaWorkerAndExtract(url)).error, 'spa_shell');
+});
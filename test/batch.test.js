@@ -0,0 +1,39 @@
+/* batch.test.js - node --test: documents shared across schemes and the side-by-side table */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import page from './page.js';
+
+const { sharedDocuments, renderBatchComparison } = page;
+
+const doc = id => ({ id, label: id, mandatory: true, self_attested: false, original: false, source: id });
+const scheme = (title, ids, extra = {}) => ({
+  title, source_url: `https://example.gov.in/${title}`, confidence: 0.8, eligibility: [], documents: [],
+  criteria: [], document_checklist: ids.map(doc), benefits: [], dates: [], steps: [], apply_links: [], ...extra
+});
+
+test('shared documents: ids asked by two or more schemes, most shared first, failures skipped', () => {
+  const shared = sharedDocuments([
+    scheme('a', ['aadhaar', 'income_certificate', 'aadhaar']),
+    { error: 'fetch_failed', message: 'timeout' },
+    scheme('b', ['aadhaar', 'caste_certificate']),
+    scheme('c', ['aadhaar', 'income_certificate', 'caste_certificate', 'bank_passbook'])
+  ]);
+  assert.deepEqual([...shared.keys()], ['aadhaar', 'income_certificate', 'caste_certificate']);
+  assert.deepEqual(shared.get('aadhaar'), [0, 2, 3]);
+  assert.equal(shared.has('bank_passbook'), false);
+});
+
+test('comparison table: one column per scheme, shared documents marked, errors shown in place', () => {
+  const items = [{ label: 'a' }, { label: 'broken.example' }, { label: 'b' }];
+  renderBatchComparison(items, [
+    scheme('a', ['aadhaar', 'ration_card'], { dates: [{ date: '2000-01-31', label: 'closing', text: '' }] }),
+    { error: 'fetch_failed', message: 'timeout' },
+    scheme('b', ['aadhaar'])
+  ]);
+  const table = document.querySelector('.output .batch-table');
+  assert.deepEqual([...table.tHead.rows[0].cells].map(c => c.textContent), ['', 'a', 'broken.example', 'b']);
+  assert.match(table.querySelector('.batch-error').textContent, /timeout/);
+  assert.equal(table.querySelectorAll('li.shared').length, 2);
+  assert.ok(table.querySelector('.past'), 'a closing date in the past is marked');
+  assert.ok(document.querySelector('.output .batch-shared'));
+});
@@ -0,0 +1,34 @@
+/* benefits.test.js - node --test: what the beneficiary gets, and amounts that are not benefits */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { configure, extract } from '../lib/extractor.js';
+
+configure({ DOMParser: new JSDOM('').window.DOMParser });
+
+const benefits = async html => (await extract(html)).benefits.map(({ text, ...b }) => b);
+
+test('cash with frequency and instalments, percentage subsidy with a cap, in-kind items', async () => {
+  assert.deepEqual(await benefits(`<h2>Benefits</h2><ul>
+    <li>Financial assistance of ₹6,000 per year in three equal instalments.</li>
+    <li>50% subsidy on the cost of a sewing machine, up to Rs. 5,000.</li>
+    <li>Free skill training for 3 months.</li>
+    <li>Annual family income should not exceed Rs 2 lakh.</li></ul>`), [
+    { kind: 'cash', amount: 6000, up_to: false, frequency: 'yearly', percent: null, instalments: 3, item: null },
+    { kind: 'subsidy', amount: 5000, up_to: true, frequency: null, percent: 50, instalments: null, item: 'equipment' },
+    { kind: 'in_kind', amount: null, up_to: false, frequency: null, percent: null, instalments: null, item: 'training' }
+  ]);
+});
+
+test('reimbursed fees and allowances are benefits; a fee or income limit is not', async () => {
+  const found = await benefits(`<h2>Benefits</h2><ul>
+    <li>Reimbursement of tuition fees up to ₹50,000 per year.</li>
+    <li>Maintenance allowance of Rs. 1,200 per month.</li>
+    <li>Application fee of Rs. 100 is payable.</li></ul>`);
+  assert.deepEqual(found.map(b => [b.amount, b.frequency]), [[50000, 'yearly'], [1200, 'monthly']]);
+});
+
+test('outside a benefits block a line needs a benefit keyword', async () => {
+  const found = await benefits('<section><h2>About</h2><p>The scheme was launched in 2019 with a budget of Rs. 75,000 crore. Eligible farmers will receive Rs. 2,000 every four months.</p></section>');
+  assert.deepEqual(found.map(b => b.amount), [2000]);
+});
@@ -0,0 +1,63 @@
+/* changes.test.js - node --test: content hash of the visible text, field-level diff of two results */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contentHash, diffResults } from '../lib/extractor.js';
+
+test('hash: markup, scripts and whitespace do not change it, visible text does', async () => {
+  const h = await contentHash('<h2>Eligibility</h2><p>Income below Rs. 2.5 lakh</p>');
+  assert.match(h, /^sha256:[0-9a-f]{64}$/);
+  assert.equal(await contentHash('<h2 class="x">Eligibility</h2>\n  <script>track()</script><p onclick="y()">Income   below Rs. 2.5 lakh</p>'), h);
+  assert.notEqual(await contentHash('<h2>Eligibility</h2><p>Income below Rs. 3 lakh</p>'), h);
+});
+
+test('hash: PDF bytes are hashed as they are', async () => {
+  const a = await contentHash(new Uint8Array([37, 80, 68, 70, 1]));
+  assert.equal(await contentHash(new Uint8Array([37, 80, 68, 70, 1]).buffer), a);
+  assert.notEqual(await contentHash(new Uint8Array([37, 80, 68, 70, 2])), a);
+});
+
+const base = {
+  title: 'Post Matric Scholarship',
+  eligibility: ['Annual family income should not exceed Rs. 2.5 lakh'],
+  criteria: [
+    { type: 'age', operator: '>=', value: 18, unit: 'years' },
+    { type: 'age', operator: '<=', value: 35, unit: 'years' },
+    { type: 'category', operator: 'in', value: ['SC'], unit: null }
+  ],
+  documents: [],
+  document_checklist: [{ id: 'aadhaar', mandatory: true, self_attested: false, original: false }],
+  benefits: [{ kind: 'cash', item: null, frequency: 'monthly', amount: 1200, up_to: false, percent: null, instalments: null, text: '' }],
+  dates: [{ date: '2026-10-31', label: 'closing', text: '' }],
+  steps: [{ text: 'Register on the portal' }],
+  apply_links: ['https://example.gov.in/apply']
+};
+
+test('diff: same content, other case and spacing, is no change', () => {
+  const d = diffResults(base, { ...base, title: 'post matric  scholarship', eligibility: ['Annual family income should NOT exceed Rs. 2.5 lakh'] });
+  assert.deepEqual(d, { changed: false, fields: {} });
+});
+
+test('diff: a moved bound, a new document and a later deadline are listed per field', () => {
+  const after = {
+    ...base,
+    criteria: [base.criteria[0], { ...base.criteria[1], value: 40 }, base.criteria[2]],
+    document_checklist: [...base.document_checklist, { id: 'income_certificate', mandatory: true, self_attested: false, original: false }],
+    dates: [{ date: '2026-11-30', label: 'closing', text: '' }],
+    steps: []
+  };
+  const d = diffResults(base, after);
+  assert.equal(d.changed, true);
+  assert.deepEqual(Object.keys(d.fields).sort(), ['criteria', 'dates', 'documents', 'steps']);
+  assert.deepEqual(d.fields.criteria.changed.map(c => [c.key, c.before.value, c.after.value]), [['age:max', 35, 40]]);
+  assert.deepEqual(d.fields.documents.added.map(x => x.id), ['income_certificate']);
+  assert.deepEqual(d.fields.dates.changed.map(c => [c.before.date, c.after.date]), [['2026-10-31', '2026-11-30']]);
+  assert.deepEqual(d.fields.steps.removed, ['Register on the portal']);
+});
+
+test('diff: two benefits of a kind pair up in order, the extra one is added', () => {
+  const yearly = { ...base.benefits[0], frequency: 'yearly', amount: 50000 };
+  const d = diffResults({ ...base, benefits: [base.benefits[0]] }, { ...base, benefits: [{ ...base.benefits[0], amount: 1500 }, { ...base.benefits[0], amount: 900 }, yearly] });
+  assert.deepEqual(d.fields.benefits.changed.map(c => [c.before.amount, c.after.amount]), [[1200, 1500]]);
+  assert.deepEqual(d.fields.benefits.added.map(b => b.amount), [900, 50000]);
+  assert.deepEqual(d.fields.benefits.removed, []);
+});
@@ -0,0 +1,36 @@
+/* dates.test.js - node --test: key dates, their labels and what is not a date */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractDates } from '../lib/extractor.js';
+
+const dates = (line, today = '2026-01-01') => extractDates([line], today).map(d => [d.date, d.label]);
+
+test('numeric, month-name and financial-year dates', () => {
+  assert.deepEqual(dates('Last date: 31/08/2026'), [['2026-08-31', 'closing']]);
+  assert.deepEqual(dates('Last date: 31.08.2026'), [['2026-08-31', 'closing']]);
+  assert.deepEqual(dates('Last date 31-08-26'), [['2026-08-31', 'closing']]);
+  assert.deepEqual(dates('Applications open from 1st July 2026'), [['2026-07-01', 'opening']]);
+  assert.deepEqual(dates('Results will be declared on March 5, 2027'), [['2027-03-05', 'result']]);
+  assert.deepEqual(dates('Income for financial year 2025-26'), [['2026-03-31', null]]);
+});
+
+test('a range: the second date closes what the first opens', () => {
+  assert.deepEqual(dates('Portal opens from 01/07/2026 to 31/10/2026'), [['2026-07-01', 'opening'], ['2026-10-31', 'closing']]);
+});
+
+test('by / before only label a date next to an application word', () => {
+  assert.deepEqual(dates('Apply by 15/09/2026'), [['2026-09-15', 'closing']]);
+  assert.deepEqual(dates('Applicants born before 01/01/2008'), [['2008-01-01', null]]);
+});
+
+test('section and version numbers are not dates', () => {
+  assert.deepEqual(dates('See clause 3.1.12 of the guidelines'), []);
+  assert.deepEqual(dates('As per Rule 4.2.19, the last date is notified'), []);
+  assert.deepEqual(dates('Form 12/3-25 must be filled'), []);
+  assert.deepEqual(dates('Section 1.4.2.2019 applies'), []);
+});
+
+test('past dates are flagged against today', () => {
+  assert.equal(extractDates(['Last date: 31/08/2025'], '2026-01-01')[0].past, true);
+  assert.equal(extractDates(['Last date: 31/08/2026'], '2026-01-01')[0].past, false);
+});
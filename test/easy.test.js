@@ -0,0 +1,61 @@
+/* easy.test.js - node --test: labelled sections, the easy view's jumps and keys, what is read aloud */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { Readability } from '@mozilla/readability';
+import { configure, extract } from '../lib/extractor.js';
+import page from './page.js';
+
+const { renderResult, setEasyMode, sectionSpeech } = page;
+configure({ DOMParser, Readability });
+
+const scheme = async () => extract(String(await readFile(new URL('../worker/fixtures/post-matric.html', import.meta.url))),
+  { sourceUrl: 'https://scholarships.example.gov.in/post-matric' });
+const sections = () => Array.from(document.querySelectorAll('.output [data-section]'));
+
+test('sections are labelled regions in either view; jumps and icons only in the easy view', async () => {
+  const r = await scheme();
+  setEasyMode(false);
+  renderResult(r, r.source_url);
+  assert.ok(sections().length >= 4);
+  for (const sec of sections()) {
+    assert.equal(sec.getAttribute('role'), 'region');
+    assert.equal(document.getElementById(sec.getAttribute('aria-labelledby')), sec.querySelector('h3'));
+  }
+  assert.equal(document.querySelector('.output .easy-nav'), null);
+
+  setEasyMode(true);
+  renderResult(r, r.source_url);
+  assert.ok(document.body.classList.contains('easy'));
+  const jumps = document.querySelectorAll('.output .easy-nav button');
+  assert.equal(jumps.length, sections().length);
+  assert.ok(sections().every(sec => sec.tabIndex === 0 && sec.querySelector('h3 .section-icon')));
+  setEasyMode(false);
+});
+
+test('arrow keys, Home and End move between sections', async () => {
+  setEasyMode(true);
+  renderResult(await scheme(), null);
+  const all = sections();
+  const key = k => document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', { key: k, bubbles: true }));
+  all[0].focus();
+  key('ArrowDown');
+  assert.equal(document.activeElement, all[1]);
+  key('End');
+  assert.equal(document.activeElement, all[all.length - 1]);
+  key('ArrowDown');
+  assert.equal(document.activeElement, all[all.length - 1]);
+  key('Home');
+  assert.equal(document.activeElement, all[0]);
+  setEasyMode(false);
+});
+
+test('read aloud: labels in the chosen locale, page lines in the page language, no repeats', async () => {
+  const r = { ...(await scheme()), lang: 'hi' };
+  const dates = sectionSpeech(r, 'dates');
+  assert.ok(dates.length && dates.every(p => p.lang === 'en'));
+  assert.ok(sectionSpeech(r, 'steps').every((p, i) => p.lang === 'hi' && p.text.startsWith(`${i + 1}. `)));
+  const twice = sectionSpeech({ ...r, eligibility: ['Age 18', 'Age 18'], simplified: { eligibility: [], documents: [] } }, 'eligibility');
+  assert.deepEqual(twice, [{ text: 'Age 18', lang: 'hi' }]);
+  assert.deepEqual(sectionSpeech(r, 'links'), []);
+});
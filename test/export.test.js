@@ -0,0 +1,53 @@
+/* export.test.js - node --test: share links round-trip the card, calendar export keeps the source URL on one line */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import page from './page.js';
+
+const { encodeShare, decodeShare, icsText } = page;
+
+const card = {
+  title: 'पोस्ट मैट्रिक छात्रवृत्ति',
+  source_url: 'https://scholarships.gov.in/post-matric',
+  eligibility: ['Annual family income should not exceed Rs. 2,50,000'],
+  documents: ['Income certificate', 'Aadhaar card'],
+  raw_text_snippet: 'page text that should not travel in the link',
+  provenance: { eligibility: [{ selector: 'p', text: 'Annual family income…' }] }
+};
+
+test('share: a link decodes back to the card without page text or provenance', async () => {
+  const code = await encodeShare(card);
+  assert.match(code, /^[01][A-Za-z0-9_-]+$/);
+  const back = await decodeShare(code);
+  assert.equal(back.title, card.title);
+  assert.deepEqual(back.eligibility, card.eligibility);
+  assert.deepEqual(back.documents, card.documents);
+  assert.equal(back.raw_text_snippet, '');
+  assert.equal('provenance' in back, false);
+});
+
+test('share: unknown link formats are rejected', async () => {
+  await assert.rejects(decodeShare('9abc'), /unknown link format/);
+});
+
+const closing = { date: '2026-11-30', label: 'closing', text: 'Last date: 30/11/2026' };
+const unfold = ics => ics.replace(/\r\n /g, '');
+
+test('ics: lines end in CRLF and fold at 75 octets', () => {
+  const ics = icsText({ ...card, title: 'छात्रवृत्ति '.repeat(20) }, closing);
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  for (const line of ics.split('\r\n')) assert.ok(new TextEncoder().encode(line).length <= 75, line);
+  assert.match(unfold(ics), /\r\nDTSTART;VALUE=DATE:20261130\r\n/);
+});
+
+test('ics: a source URL with CR/LF cannot inject calendar properties', () => {
+  const ics = unfold(icsText({ ...card, source_url: 'https://example.gov.in/a\r\nATTACH:https://evil.test/x\nb' }, closing));
+  const props = ics.split('\r\n');
+  assert.equal(props.some(l => l.startsWith('ATTACH')), false);
+  assert.equal(props.filter(l => l.startsWith('URL:')).length, 1);
+});
+
+test('ics: only http(s) sources get a URL line', () => {
+  assert.match(unfold(icsText(card, closing)), /\r\nURL:https:\/\/scholarships\.gov\.in\/post-matric\r\n/);
+  assert.doesNotMatch(icsText({ ...card, source_url: 'javascript:alert(1)' }, closing), /URL:/);
+  assert.doesNotMatch(icsText({ ...card, source_url: 'upload: guidelines.pdf' }, closing), /URL:/);
+});
@@ -0,0 +1,108 @@
+/* extractor.test.js - node --test: the extractor on worker/fixtures and one-line inputs */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+import { Readability } from '@mozilla/readability';
+import { configure, extract, extractPDF, parseCriteria, normalizeDocuments, validateOutputSchema, redactResult } from '../lib/extractor.js';
+
+configure({ DOMParser: new JSDOM('').window.DOMParser, Readability });
+
+const fixture = name => readFile(new URL(`../worker/fixtures/${name}`, import.meta.url));
+const howToApply = (...items) => `<h2>How to Apply</h2><ol>${items.map(i => `<li>${i}</li>`).join('')}</ol>`;
+
+test('post-matric.html: eligibility, criteria, documents, benefits, dates, steps', async () => {
+  const r = await extract(String(await fixture('post-matric.html')), { sourceUrl: 'https://scholarships.example.gov.in/post-matric' });
+  assert.equal(r.error, undefined);
+  assert.ok(validateOutputSchema(r).valid);
+  assert.equal(r.title, 'Post Matric Scholarship for SC Students');
+  assert.ok(r.eligibility.includes('Annual family income should not exceed Rs. 2.5 lakh'));
+  assert.ok(!r.eligibility.includes('Eligibility'));
+  assert.ok(!r.eligibility.includes(r.title));
+  assert.deepEqual(r.criteria.find(c => c.type === 'income').value, 250000);
+  assert.deepEqual(r.criteria.find(c => c.type === 'domicile').value, 'Maharashtra');
+  assert.deepEqual(r.criteria.find(c => c.type === 'category').value, ['SC']);
+  assert.deepEqual(r.document_checklist.map(d => d.id).sort(), ['aadhaar', 'bank_passbook', 'caste_certificate', 'disability_certificate', 'income_certificate', 'passport_photo']);
+  assert.equal(r.document_checklist.find(d => d.id === 'aadhaar').self_attested, true);
+  assert.equal(r.document_checklist.find(d => d.id === 'disability_certificate').mandatory, false);
+  assert.deepEqual(r.benefits.map(b => [b.amount, b.frequency]), [[1200, 'monthly'], [50000, 'yearly']]);
+  assert.deepEqual(r.dates.map(d => [d.date, d.label]), [['2026-07-01', 'opening'], ['2026-10-31', 'closing'], ['2026-11-15', 'renewal']]);
+  assert.deepEqual(r.steps.map(s => s.mode), ['online', 'online', 'online', 'offline']);
+  assert.equal(r.procedure.mode, 'both');
+  assert.equal(r.procedure.submit_to, 'Principal');
+  assert.deepEqual(r.procedure.fee, { amount: 0, text: 'No application fee is charged' });
+  assert.deepEqual(r.apply_links, ['https://scholarships.example.gov.in/register']);
+});
+
+test('portal-apply-rendered.html: criteria and documents from a rendered portal page', async () => {
+  const r = await extract(String(await fixture('portal-apply-rendered.html')));
+  assert.ok(validateOutputSchema(r).valid);
+  assert.deepEqual(r.criteria.find(c => c.type === 'income').value, 800000);
+  assert.deepEqual(r.criteria.find(c => c.type === 'education').value, 'class_12');
+  assert.ok(r.document_checklist.some(d => d.id === 'marksheet'));
+});
+
+test('spa-shell.html: an empty shell yields no eligibility', async () => {
+  const r = await extract(String(await fixture('spa-shell.html')));
+  assert.deepEqual(r.eligibility, []);
+});
+
+test('guidelines.pdf: eligibility and documents from the text layer', async t => {
+  let pdfjsLib;
+  try { const m = await import('pdfjs-dist/legacy/build/pdf.js'); pdfjsLib = m.default || m; } catch (e) { return t.skip('pdfjs-dist not installed'); }
+  configure({ pdfjsLib });
+  const r = await extractPDF(new Uint8Array(await fixture('guidelines.pdf')), { title: 'guidelines' });
+  assert.equal(r.error, undefined);
+  assert.equal(r.title, 'Post Matric Scholarship - Guidelines');
+  assert.ok(r.eligibility.includes('Annual family income should not exceed Rs. 2.5 lakh.'));
+  assert.deepEqual(r.document_checklist.map(d => d.id), ['income_certificate', 'aadhaar']);
+  assert.deepEqual(r.pages.eligibility, [1, 1]);
+});
+
+test('fee: "Rs." does not end the fee line', async () => {
+  const r = await extract(howToApply('Fill the form.', 'Pay application fee of Rs. 100 at the counter.'));
+  assert.deepEqual(r.procedure.fee, { amount: 100, text: 'Pay application fee of Rs. 100 at the counter' });
+});
+
+test('fee: reimbursed fees are not a charge, and a stated no fee wins over an amount', async () => {
+  const benefitOnly = await extract('<h2>Benefits</h2><p>Reimbursement of fees up to ₹50,000 per year.</p>' + howToApply('Register online.', 'Fill the form.'));
+  assert.equal(benefitOnly.procedure.fee, null);
+  const r = await extract(howToApply('Fill the form.', 'Pay processing charges of Rs. 50.') + '<p>No fee for SC/ST applicants.</p>');
+  assert.equal(r.procedure.fee.amount, 0);
+});
+
+test('redaction: every procedure field that holds page text', async () => {
+  const r = await extract(howToApply('Submit the form to the Principal.'), { redact: false });
+  r.procedure.submit_to = 'Principal, principal@college.ac.in';
+  r.procedure.authority = 'Nodal Officer, 9876543210';
+  r.procedure.fee = { amount: 100, text: 'Pay Rs. 100, queries to fees@college.ac.in' };
+  const out = redactResult(r);
+  assert.equal(out.procedure.submit_to, 'Principal, [REDACTED_EMAIL]');
+  assert.equal(out.procedure.authority, 'Nodal Officer, [REDACTED_PHONE]');
+  assert.equal(out.procedure.fee.text, 'Pay Rs. 100, queries to [REDACTED_EMAIL]');
+});
+
+test('steps: handing in to an office or person is offline, submitting to the portal is not', async () => {
+  const r = await extract(howToApply('Submit the printed application to the institute Principal.', 'Submit the form on the portal.'));
+  assert.deepEqual(r.steps.map(s => s.mode), ['offline', 'online']);
+});
+
+test('criteria: age bounds with and without the word age', () => {
+  const age = s => parseCriteria(s).find(c => c.type === 'age');
+  assert.deepEqual([age('Open to men and women above 60 years').operator, age('Open to men and women above 60 years').value], ['>', 60]);
+  assert.deepEqual(age('Applicants aged 18 to 40 years').value, [18, 40]);
+  assert.equal(age('Farmers with over 5 years of experience'), undefined);
+  assert.equal(age('Residing in the state for over 10 years'), undefined);
+});
+
+test('criteria: case-sensitive category abbreviations, income and land holding', () => {
+  assert.deepEqual(parseCriteria('Applicant must belong to SC/ST category').find(c => c.type === 'category').value, ['SC', 'ST']);
+  assert.equal(parseCriteria('Students must submit it in the sc office').some(c => c.type === 'category'), false);
+  assert.deepEqual(parseCriteria('Annual income below ₹2,50,000').map(c => [c.type, c.operator, c.value]), [['income', '<', 250000]]);
+  assert.deepEqual(parseCriteria('Land holding up to 2 hectares').map(c => [c.type, c.operator, c.value]), [['land_holding', '<=', 2]]);
+});
+
+test('documents: canonical ids, optional and self-attested flags', () => {
+  const list = normalizeDocuments(['Self-attested copy of Aadhaar card', 'Ration card, if applicable', 'PAN card']);
+  assert.deepEqual(list.map(d => [d.id, d.mandatory, d.self_attested]), [['aadhaar', true, true], ['ration_card', false, false], ['pan_card', true, false]]);
+});
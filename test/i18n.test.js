@@ -0,0 +1,34 @@
+/* i18n.test.js - node --test: every locale carries every UI string, and the page only names known keys */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './page.js';
+
+const placeholders = s => (s.match(/\{\w+\}/g) || []).sort().join();
+
+test('every locale has the English keys, with the same {placeholders}', () => {
+  const en = I18N_STRINGS.en;
+  LOCALES.forEach(([code]) => {
+    const table = I18N_STRINGS[code];
+    assert.deepEqual(Object.keys(en).filter(k => !(k in table)), [], `${code} is missing keys`);
+    Object.keys(en).forEach(k => assert.equal(placeholders(table[k]), placeholders(en[k]), `${code} ${k}`));
+  });
+});
+
+test('data-i18n attributes in index.html name existing keys', () => {
+  const keys = Array.from(document.querySelectorAll('[data-i18n], [data-i18n-html], [data-i18n-placeholder]'))
+    .map(el => el.getAttribute('data-i18n') || el.getAttribute('data-i18n-html') || el.getAttribute('data-i18n-placeholder'));
+  assert.ok(keys.length > 0);
+  assert.deepEqual(keys.filter(k => !(k in I18N_STRINGS.en)), []);
+});
+
+test('t(): chosen locale, English fallback, {vars} filled in', () => {
+  setLocale('hi');
+  assert.equal(t('result.confidence', { n: 80 }), I18N_STRINGS.hi['result.confidence'].replace('{n}', '80'));
+  assert.equal(t('no.such.key'), 'no.such.key');
+  setLocale('en');
+  assert.equal(t('result.confidence', { n: 80 }), 'Confidence: 80%');
+});
+
+test('inlineMarkup lets <em> / <strong> through and escapes everything else', () => {
+  assert.equal(inlineMarkup('<strong>Tip</strong> <img src=x onerror=alert(1)>'), '<strong>Tip</strong> &lt;img src=x onerror=alert(1)&gt;');
+});
@@ -0,0 +1,34 @@
+/* language.test.js - node --test: language detection and Indic-language extraction */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { configure, extract, detectLanguage, registerLangPack, LANG_PACKS } from '../lib/extractor.js';
+
+configure({ DOMParser: new JSDOM('').window.DOMParser });
+
+test('detectLanguage: script first, then marker words, then the declared lang', () => {
+  assert.equal(detectLanguage('Scheme for farmers'), 'en');
+  assert.equal(detectLanguage('किसानों के लिए योजना है और आवेदन करें'), 'hi');
+  assert.equal(detectLanguage('शेतकऱ्यांसाठी योजना आहे आणि अर्ज करावा'), 'mr');
+  assert.equal(detectLanguage('योजना', 'mr-IN'), 'mr');
+  assert.equal(detectLanguage('যোগ্যতা আবেদনকারী'), 'bn');
+  // a few Hindi words on an English page do not switch it
+  assert.equal(detectLanguage('Pradhan Mantri Kisan Samman Nidhi (प्रधानमंत्री किसान सम्मान निधि) gives income support of Rs 6,000 a year to all landholding farmer families, paid in three equal instalments'), 'en');
+});
+
+test('Hindi page: danda ends a sentence, Hindi eligibility and document keywords apply', async () => {
+  const r = await extract(`<html lang="hi"><body><h2>पात्रता</h2><ul>
+    <li>आवेदक महाराष्ट्र का निवासी होना चाहिए। परिवार की वार्षिक आय 2.5 लाख रुपये से कम होनी चाहिए।</li>
+    <li>केवल अनुसूचित जाति के छात्र पात्र हैं।</li></ul>
+    <h2>आवश्यक दस्तावेज़</h2><ul><li>आधार कार्ड</li><li>आय प्रमाण पत्र</li></ul></body></html>`);
+  assert.equal(r.lang, 'hi');
+  assert.deepEqual(r.eligibility, ['आवेदक महाराष्ट्र का निवासी होना चाहिए', 'परिवार की वार्षिक आय 2.5 लाख रुपये से कम होनी चाहिए', 'केवल अनुसूचित जाति के छात्र पात्र हैं']);
+  assert.deepEqual(r.document_checklist.map(d => d.id), ['aadhaar', 'income_certificate']);
+});
+
+test('registerLangPack: a new pack is used for its declared language', () => {
+  registerLangPack('or', { name: 'Odia', script: 'Orya', elig: ['ଯୋଗ୍ୟତା'] });
+  assert.deepEqual(LANG_PACKS.or.docs, []);
+  assert.deepEqual(LANG_PACKS.or.elig, ['ଯୋଗ୍ୟତା']);
+  delete LANG_PACKS.or;
+});
@@ -0,0 +1,15 @@
+/* page.js - loads main.js for node --test: index.html in jsdom, i18n.js as the page's globals */
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { JSDOM } from 'jsdom';
+
+const root = new URL('../', import.meta.url);
+const dom = new JSDOM(readFileSync(new URL('index.html', root), 'utf8'), { url: 'https://govscheme.example/' });
+for (const name of ['window', 'document', 'location', 'localStorage', 'Node', 'HTMLElement', 'DOMParser', 'Option']) globalThis[name] = dom.window[name];
+// tests stub fetch() for this URL and answer in the worker's response contract
+dom.window.GOVSCHEME_WORKER_URL = 'https://worker.test/';
+// a classic script: its top-level declarations (t, I18N_STRINGS, …) become globals, as in the browser
+vm.runInThisContext(readFileSync(new URL('i18n.js', root), 'utf8'), { filename: 'i18n.js' });
+
+const page = await import('../main.js');
+export default page;
@@ -0,0 +1,50 @@
+/* provenance.test.js - node --test: every extracted item points at its source passage, confidence adds up */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+import { Readability } from '@mozilla/readability';
+import { configure, extract, validateOutputSchema } from '../lib/extractor.js';
+
+configure({ DOMParser: new JSDOM('').window.DOMParser, Readability });
+
+const page = async () => extract(String(await readFile(new URL('../worker/fixtures/post-matric.html', import.meta.url))));
+const FIELDS = ['eligibility', 'documents', 'benefits', 'steps', 'dates'];
+const textOfItem = x => (typeof x === 'string' ? x : x.text);
+
+test('provenance: one entry per item, in order, pointing into the kept blocks', async () => {
+  const r = await page();
+  for (const f of FIELDS) {
+    assert.equal(r.provenance[f].length, r[f].length, f);
+    r.provenance[f].forEach((p, i) => {
+      if (p.block == null) return;
+      const block = r.provenance.blocks[p.block];
+      assert.ok(block, `${f}[${i}] block index`);
+      assert.ok(block.text.includes(textOfItem(r[f][i]).replace(/\.$/, '').slice(0, 30)), `${f}[${i}] is in its block`);
+    });
+  }
+});
+
+test('provenance: rules say why an item was picked', async () => {
+  const r = await page();
+  const closing = r.dates.findIndex(d => d.label === 'closing');
+  assert.equal(r.provenance.dates[closing].rule, 'date_label');
+  assert.equal(r.provenance.steps[0].rule, 'steps_heading');
+  assert.equal(r.provenance.blocks[r.provenance.steps[0].block].heading, 'How to Apply');
+  assert.ok(r.provenance.eligibility.every(p => ['elig_keyword', 'elig_pattern', 'criteria'].includes(p.rule)));
+});
+
+test('confidence: the factors add up to the score', async () => {
+  const r = await page();
+  const sum = r.confidence_factors.reduce((s, f) => s + f.contribution, 0);
+  assert.ok(Math.abs(sum - r.confidence) < 0.011, `${sum} vs ${r.confidence}`);
+});
+
+test('schema: provenance that drifts from its field or points past the blocks is rejected', async () => {
+  const r = await page();
+  assert.ok(validateOutputSchema(r).valid);
+  const short = { ...r, provenance: { ...r.provenance, documents: r.provenance.documents.slice(1) } };
+  assert.ok(validateOutputSchema(short).errors.includes('provenance.documents must align with documents'));
+  const dangling = { ...r, provenance: { ...r.provenance, steps: r.provenance.steps.map(p => ({ ...p, block: 99 })) } };
+  assert.ok(validateOutputSchema(dangling).errors.includes('provenance.steps needs a known rule and a valid block index'));
+});
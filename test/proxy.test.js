@@ -0,0 +1,115 @@
+/* proxy.test.js - node --test: worker/proxy.js with an injected fetchImpl (no network) */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readConfig, handleProxyRequest, MemoryCache, RateLimiter, isAllowedHost, readCapped } from '../worker/proxy.js';
+
+const PAGE = 'https://scholarships.example.gov.in/post-matric';
+
+// upstream stub: url -> Response factory; records every url it was asked for
+function upstream(routes) {
+  const calls = [];
+  const fetchImpl = async url => {
+    calls.push(url);
+    const route = routes[url];
+    if (!route) return new Response('not found', { status: 404 });
+    return route();
+  };
+  return { calls, fetchImpl };
+}
+const html = (body, headers = {}) => () => new Response(body, { status: 200, headers: { 'content-type': 'text/html; charset=utf-8', ...headers } });
+const redirect = location => () => new Response(null, { status: 302, headers: { location } });
+
+function proxy(env = {}, deps = {}) {
+  const cfg = readConfig(env);
+  const cache = new MemoryCache(), limiter = new RateLimiter(cfg.RATE_LIMIT, cfg.RATE_WINDOW);
+  return async (target, extra = {}) => {
+    const res = await handleProxyRequest(new Request('https://proxy.example/?url=' + encodeURIComponent(target)), cfg, { cache, limiter, clientId: 'client', ...deps, ...extra });
+    return { status: res.status, body: await res.json() };
+  };
+}
+
+test('allow-list: only .gov.in / .nic.in hosts, no look-alikes', async () => {
+  assert.equal(isAllowedHost('pmkisan.gov.in'), true);
+  assert.equal(isAllowedHost('scholarships.nic.in.'), true);
+  assert.equal(isAllowedHost('gov.in.example.com'), false);
+  assert.equal(isAllowedHost('evilgov.in'), false);
+  const { calls, fetchImpl } = upstream({});
+  const get = proxy({}, { fetchImpl });
+  assert.deepEqual((await get('https://example.com/')).body.error, 'domain_not_allowed');
+  assert.equal((await get('https://example.com/')).status, 403);
+  assert.equal((await get('https://user:pw@pmkisan.gov.in/')).body.error, 'invalid_url');
+  assert.equal((await get('https://pmkisan.gov.in:8080/')).body.error, 'invalid_url');
+  assert.deepEqual(calls, []);
+});
+
+test('redirects: every hop is checked again against the allow-list', async () => {
+  const { calls, fetchImpl } = upstream({
+    'https://scholarships.example.gov.in/old-link': redirect('/post-matric'),
+    [PAGE]: html('<h1>Post Matric</h1>'),
+    'https://scholarships.example.gov.in/offsite': redirect('https://example.com/')
+  });
+  const get = proxy({}, { fetchImpl });
+  const ok = await get('https://scholarships.example.gov.in/old-link');
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.final_url, PAGE);
+  assert.deepEqual(ok.body.redirects, [PAGE]);
+  const off = await get('https://scholarships.example.gov.in/offsite');
+  assert.equal(off.status, 403);
+  assert.equal(off.body.error, 'domain_not_allowed');
+  assert.ok(!calls.includes('https://example.com/'));
+});
+
+test('cache: a repeat request is served from the cache without an upstream fetch', async () => {
+  const { calls, fetchImpl } = upstream({ [PAGE]: html('<h1>Post Matric</h1>') });
+  const get = proxy({}, { fetchImpl });
+  assert.equal((await get(PAGE)).body.cached, false);
+  const again = await get(PAGE);
+  assert.equal(again.body.cached, true);
+  assert.equal(again.body.html, '<h1>Post Matric</h1>');
+  assert.equal(calls.length, 1);
+});
+
+test('rate limit: over the budget answers 429 with retry_after; cached hits do not count', async () => {
+  const { fetchImpl } = upstream({ [PAGE]: html('<h1>Post Matric</h1>'), [PAGE + '?a=1']: html('<h1>1</h1>'), [PAGE + '?a=2']: html('<h1>2</h1>') });
+  const get = proxy({ RATE_LIMIT: '2' }, { fetchImpl });
+  await get(PAGE);
+  for (let i = 0; i < 5; i++) assert.equal((await get(PAGE)).status, 200);
+  assert.equal((await get(PAGE + '?a=1')).status, 200);
+  const limited = await get(PAGE + '?a=2');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error, 'rate_limited');
+  assert.ok(limited.body.retry_after > 0);
+});
+
+test('size cap: a body over MAX_HTML_BYTES comes back cut, not empty, even when content-length says so up front', async () => {
+  const { fetchImpl } = upstream({ [PAGE]: html('x'.repeat(100), { 'content-length': '100' }) });
+  const { body } = await proxy({ MAX_HTML_BYTES: '40' }, { fetchImpl })(PAGE);
+  assert.equal(body.html, 'x'.repeat(40));
+  assert.equal(body.size, 40);
+  assert.equal(body.truncated, true);
+});
+
+test('timeout: an upstream that trickles its body is cut off at TIMEOUT_MS', async () => {
+  const fetchImpl = async () => new Response(new ReadableStream({
+    start(ctrl) { ctrl.enqueue(new TextEncoder().encode('<html>')); } // never closes
+  }), { status: 200, headers: { 'content-type': 'text/html' } });
+  const { status, body } = await proxy({ TIMEOUT_MS: '50' }, { fetchImpl })(PAGE);
+  assert.equal(status, 504);
+  assert.equal(body.error, 'upstream_timeout');
+});
+
+test('render: rendered pages are capped in UTF-8 bytes', async () => {
+  const render = async url => ({ html: 'अ'.repeat(20), final_url: url }); // 3 bytes a letter
+  const cfg = readConfig({ MAX_HTML_BYTES: '30' });
+  const res = await handleProxyRequest(new Request('https://proxy.example/?render=1&url=' + encodeURIComponent(PAGE)), cfg,
+    { cache: new MemoryCache(), limiter: new RateLimiter(10, 60), render });
+  const body = await res.json();
+  assert.equal(body.html, 'अ'.repeat(10));
+  assert.equal(body.size, 30);
+  assert.equal(body.truncated, true);
+});
+
+test('readCapped: whole body under the cap', async () => {
+  const out = await readCapped(new Response('hello'), 10);
+  assert.deepEqual([new TextDecoder().decode(out.bytes), out.size, out.over], ['hello', 5, false]);
+});
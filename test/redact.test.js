@@ -0,0 +1,40 @@
+/* redact.test.js - node --test: redaction rules on one-line inputs */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactPII, redactionOptions } from '../lib/redact.js';
+
+test('phone: 10 digits from 6-9, prefixed or labelled numbers in parts', () => {
+  assert.equal(redactPII('Call 9876543210 now'), 'Call [REDACTED_PHONE] now');
+  assert.equal(redactPII('Call +91 98765-43210'), 'Call [REDACTED_PHONE]');
+  assert.equal(redactPII('Call 09876543210'), 'Call [REDACTED_PHONE]');
+  assert.equal(redactPII('Mobile: 98765 43210'), 'Mobile: [REDACTED_PHONE]');
+});
+
+test('phone: amounts and ranges are left alone', () => {
+  assert.equal(redactPII('Scholarship of Rs. 10000-15000 per year'), 'Scholarship of Rs. 10000-15000 per year');
+  assert.equal(redactPII('Income between 25000 50000'), 'Income between 25000 50000');
+  assert.equal(redactPII('Income up to Rs 9876543210'), 'Income up to Rs 9876543210');
+});
+
+test('IDs: Aadhaar in groups or with a label, PAN, IFSC and account numbers', () => {
+  assert.equal(redactPII('Aadhaar 2345 6789 0123'), 'Aadhaar [REDACTED_ID]');
+  assert.equal(redactPII('Aadhaar no: 234567890123'), 'Aadhaar no: [REDACTED_ID]');
+  assert.equal(redactPII('Years 2024 2025 2026'), 'Years 2024 2025 2026');
+  assert.equal(redactPII('PAN ABCPE1234F'), 'PAN [REDACTED_PAN]');
+  assert.equal(redactPII('IFSC SBIN0001234, A/c No. 12345678901'), 'IFSC [REDACTED_IFSC], A/c No. [REDACTED_ACCOUNT]');
+});
+
+test('address and name: labelled values only', () => {
+  assert.equal(redactPII('H.No 12, MG Road, Pune 411001'), '[REDACTED_ADDRESS]');
+  assert.equal(redactPII('Income below Rs 2, Pune 411001'), 'Income below Rs 2, Pune 411001');
+  assert.equal(redactPII("Applicant's name: Ravi Kumar"), "Applicant's name: [REDACTED_NAME]");
+  assert.equal(redactPII('Name of the scheme: Post Matric Scholarship'), 'Name of the scheme: Post Matric Scholarship');
+});
+
+test('kinds: only the chosen kinds run, counts of distinct values', () => {
+  const seen = {};
+  assert.equal(redactPII('a@b.in 9876543210 9876543210', { kinds: ['phone'], seen }), 'a@b.in [REDACTED_PHONE] [REDACTED_PHONE]');
+  assert.equal(seen.phone.size, 1);
+  assert.deepEqual(redactionOptions('pan,aadhaar'), { kinds: ['pan', 'aadhaar'] });
+  assert.throws(() => redactionOptions('ssn'), /unknown redaction kind/);
+});
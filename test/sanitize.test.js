@@ -0,0 +1,51 @@
+/* sanitize.test.js - node --test: strict policy for pasted HTML, page policy for fetched pages, safe link schemes */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { sanitizeHtml, sanitizeDocument, isSafeUrl } from '../lib/sanitize.js';
+
+const { DOMParser } = new JSDOM('').window;
+const strict = html => sanitizeHtml(html, { DOMParser, policy: 'strict' });
+
+test('strict: scripts, styles, frames and svg go with their contents', () => {
+  const out = strict(`<p>Eligibility</p><script>alert(1)</script><style>p{color:red}</style>
+    <iframe srcdoc="<script>alert(2)</script>">frame text</iframe><svg><script>alert(3)</script><text>svg</text></svg>`);
+  assert.match(out, /<p>Eligibility<\/p>/);
+  assert.doesNotMatch(out, /script|alert|style|color:red|iframe|srcdoc|frame text|svg/i);
+});
+
+test('strict: event handlers and unknown attributes are dropped, unknown tags unwrapped', () => {
+  const out = strict('<p onclick="alert(1)" style="color:red" class="intro">Apply <font onmouseover="x()">now</font></p><img src=x onerror="alert(1)">');
+  assert.match(out, /<p class="intro">Apply now<\/p>/);
+  assert.doesNotMatch(out, /onclick|onerror|onmouseover|style=|<img|<font/i);
+});
+
+test('strict: javascript: and data: links lose their href, safe links keep it', () => {
+  const out = strict(`<a href="javascript:alert(1)">a</a><a href=" JaVaScRiPt:alert(1)">b</a>
+    <a href="data:text/html,<script>alert(1)</script>">c</a><a href="https://scholarships.gov.in/apply">d</a>`);
+  assert.doesNotMatch(out, /javascript|data:/i);
+  assert.equal((out.match(/href=/g) || []).length, 1);
+  assert.match(out, /<a href="https:\/\/scholarships\.gov\.in\/apply">d<\/a>/);
+});
+
+test('page: active content goes, class and id stay for the block finder', () => {
+  const doc = new DOMParser().parseFromString('<div id="elig" class="content" onload="x()"><script>x()</script><p>Who can apply</p><a href="javascript:x()">x</a></div>', 'text/html');
+  const stats = {};
+  sanitizeDocument(doc, 'page', stats);
+  const div = doc.getElementById('elig');
+  assert.equal(div.className, 'content');
+  assert.equal(div.hasAttribute('onload'), false);
+  assert.equal(doc.querySelector('script'), null);
+  assert.equal(doc.querySelector('a').hasAttribute('href'), false);
+  assert.deepEqual(stats, { elements: 1, attributes: 2 });
+});
+
+test('isSafeUrl: scheme checks survive case, leading whitespace and control characters', () => {
+  for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', '  javascript:alert(1)', '\njavascript:alert(1)',
+    'java\tscript:alert(1)', '\u0000javascript:alert(1)', 'data:text/html,x', 'vbscript:x']) {
+    assert.equal(isSafeUrl(url), false, JSON.stringify(url));
+  }
+  for (const url of ['https://example.gov.in', 'HTTP://example.gov.in', 'mailto:help@example.gov.in', 'tel:1800111555', '/apply', 'apply.html?x=1', '']) {
+    assert.equal(isSafeUrl(url), true, JSON.stringify(url));
+  }
+});
@@ -0,0 +1,32 @@
+/* selfcheck.test.js - node --test: "Am I eligible?" questions and verdicts from criteria */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import page from './page.js';
+
+const { incomeAnswerUnit, evaluateCriterion } = page;
+const income = (operator, value, unit) => ({ type: 'income', operator, value, unit, source: '' });
+
+test('income: one monthly limit makes the question monthly', () => {
+  assert.equal(incomeAnswerUnit([income('<=', 250000, 'INR/year')]), 'INR/year');
+  assert.equal(incomeAnswerUnit([income('<=', 250000, 'INR/year'), income('<=', 10000, 'INR/month')]), 'INR/month');
+});
+
+test('income: a monthly answer is compared with yearly limits as twelve months', () => {
+  const answers = { income: '15000', income_unit: 'INR/month' };
+  assert.equal(evaluateCriterion(income('<=', 250000, 'INR/year'), answers), 'eligible');
+  assert.equal(evaluateCriterion(income('<=', 150000, 'INR/year'), answers), 'not_eligible');
+  assert.equal(evaluateCriterion(income('<=', 20000, 'INR/month'), answers), 'eligible');
+});
+
+test('income: a yearly answer is compared with monthly limits as a twelfth', () => {
+  const answers = { income: '120000' };
+  assert.equal(evaluateCriterion(income('<', 12000, 'INR/month'), answers), 'eligible');
+  assert.equal(evaluateCriterion(income('<', 9000, 'INR/month'), answers), 'not_eligible');
+});
+
+test('other criteria: age range, education level, domicile, unanswered', () => {
+  assert.equal(evaluateCriterion({ type: 'age', operator: 'between', value: [18, 40] }, { age: '41' }), 'not_eligible');
+  assert.equal(evaluateCriterion({ type: 'education', operator: '>=', value: 'class_10' }, { education: 'class_12' }), 'eligible');
+  assert.equal(evaluateCriterion({ type: 'domicile', operator: '==', value: 'Maharashtra' }, { domicile: 'Goa' }), 'not_eligible');
+  assert.equal(evaluateCriterion({ type: 'gender', operator: '==', value: 'female' }, {}), 'unclear');
+});
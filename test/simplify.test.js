@@ -0,0 +1,31 @@
+/* simplify.test.js - node --test: the de-jargonizer's phrase rules and acronym expansion */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simplifyText } from '../lib/extractor.js';
+
+test('phrase rules: bureaucratic wording becomes plain', () => {
+  assert.equal(simplifyText('Annual family income shall not exceed Rs. 2.5 lakh'), 'Annual family income is at most Rs. 2.5 lakh');
+  assert.equal(simplifyText('Applications must reach on or before 31 March'), 'Applications must reach by 31 March');
+  assert.equal(simplifyText('applicants hailing from rural areas'), 'People from rural areas');
+  assert.equal(simplifyText('Within 30 days or 31 March, whichever is earlier'), 'Within 30 days or 31 March, whichever comes first');
+});
+
+test('long sentences split at semicolons and "but only if"', () => {
+  const out = simplifyText('The applicant must be a permanent resident of the state for at least ten years; the family must hold a ration card issued by the state government, provided that the card is active');
+  assert.equal(out.split('. ').length, 3);
+  assert.match(out, /government\. Only if the card is active$/);
+});
+
+test('acronyms: expanded once per card, not inside brackets or next to their own expansion', () => {
+  const seen = new Set();
+  assert.equal(simplifyText('Money is paid by DBT', 'en', seen), 'Money is paid by DBT (Direct Benefit Transfer)');
+  assert.equal(simplifyText('DBT account required', 'en', seen), 'DBT account required');
+  assert.equal(simplifyText('Scheduled Caste (SC) students'), 'Scheduled Caste (SC) students');
+  assert.equal(simplifyText('Students (SC/ST) only'), 'Students (SC/ST) only');
+  assert.equal(simplifyText('BPL (Below Poverty Line) families'), 'BPL (Below Poverty Line) families');
+});
+
+test('other languages: no English rules, acronyms still expanded', () => {
+  assert.equal(simplifyText('आय shall not exceed', 'hi'), 'आय shall not exceed');
+  assert.equal(simplifyText('BPL परिवार', 'hi'), 'BPL (Below Poverty Line) परिवार');
+});
@@ -0,0 +1,95 @@
+/* mock-server.js - local stand-in for the Cloudflare Worker
+   node worker/mock-server.js             proxy live .gov.in/.nic.in pages
+   node worker/mock-server.js --offline   answer from worker/fixtures (no network)
+
+   - GET /?url=… or /proxy?url=… runs the same handler as the deployed worker
+   - render=1 only works offline, from a route's "rendered" fixture (no browser here)
+   - any other GET serves the front page from the repo root, with WORKER_URL
+     pointed at this server, so the whole flow works on http://localhost:8787/
+   - PORT and the wrangler.toml variables can be set in the environment
+*/
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readConfig, handleProxyRequest, MemoryCache, RateLimiter } from './proxy.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const SITE_ROOT = path.resolve(HERE, '..');
+const FIXTURES = path.join(HERE, 'fixtures');
+const PORT = Number(process.env.PORT || 8787);
+const OFFLINE = process.argv.includes('--offline');
+
+const MIME = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8', '.json': 'application/json', '.webmanifest': 'application/manifest+json', '.pdf': 'application/pdf', '.png': 'image/png', '.svg': 'image/svg+xml', '.ico': 'image/x-icon' };
+
+const cfg = readConfig(process.env);
+const cache = new MemoryCache();
+const limiter = new RateLimiter(cfg.RATE_LIMIT, cfg.RATE_WINDOW);
+
+// fetch() replacement answering from fixtures/routes.json; fixture hosts sit under
+// example.gov.in so the allow-list and redirect checks run exactly as they do live
+async function fixtureFetch(url) {
+  const routes = JSON.parse(await readFile(path.join(FIXTURES, 'routes.json'), 'utf8'));
+  const route = routes[url];
+  if (!route) return new Response('Not found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+  if (route.location) return new Response(null, { status: route.status || 302, headers: { Location: route.location } });
+  const body = await readFile(path.join(FIXTURES, route.file));
+  return new Response(body, { status: route.status || 200, headers: { 'Content-Type': route.content_type || 'text/html', 'Content-Length': String(body.length) } });
+}
+
+// stand-in for the headless browser: the pre-rendered DOM saved next to the shell
+async function fixtureRender(url) {
+  const routes = JSON.parse(await readFile(path.join(FIXTURES, 'routes.json'), 'utf8'));
+  const route = routes[url];
+  if (!route || !route.rendered) throw new Error('No rendered fixture for ' + url);
+  return { html: await readFile(path.join(FIXTURES, route.rendered), 'utf8'), final_url: url };
+}
+
+async function serveStatic(req, res, pathname) {
+  const rel = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+  const file = path.resolve(SITE_ROOT, rel);
+  if (!file.startsWith(SITE_ROOT + path.sep) || rel.split('/')[0] === 'worker') {
+    res.writeHead(404).end('Not found');
+    return;
+  }
+  try {
+    let body = await readFile(file);
+    if (rel === 'index.html') {
+      // point the page at this server instead of the deployed worker
+      body = body.toString('utf8').replace('<script type="module" src="main.js"></script>', `<script>window.GOVSCHEME_WORKER_URL = 'http://localhost:${PORT}/proxy';</script>\n        <script type="module" src="main.js"></script>`);
+    }
+    res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] || 'application/octet-stream', 'Cache-Control': 'no-store' });
+    res.end(body);
+  } catch (e) {
+    res.writeHead(404).end('Not found');
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    if (!url.searchParams.has('url') && url.pathname !== '/proxy' && req.method === 'GET') {
+      await serveStatic(req, res, url.pathname);
+      return;
+    }
+    const request = new Request(url, { method: req.method });
+    const response = await handleProxyRequest(request, cfg, {
+      cache,
+      limiter,
+      fetchImpl: OFFLINE ? fixtureFetch : fetch,
+      render: OFFLINE ? fixtureRender : null,
+      clientId: req.socket.remoteAddress || 'local'
+    });
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+    console.log(`${response.status} ${req.method} ${url.searchParams.get('url') || url.pathname}`);
+  } catch (e) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'mock_exception', message: String(e) }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`GovScheme proxy mock on http://localhost:${PORT}/ (${OFFLINE ? 'offline fixtures' : 'live upstream'})`);
+  if (OFFLINE) console.log('try: http://localhost:' + PORT + '/proxy?url=' + encodeURIComponent('https://scholarships.example.gov.in/post-matric'));
+});
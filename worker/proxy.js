@@ -0,0 +1,321 @@
+/* proxy.js - fetch proxy shared by the Cloudflare Worker and the local mock server
+   - GET ?url=<scheme page> fetches the page server-side (no CORS in the browser)
+   - only .gov.in / .nic.in hosts, checked again on every redirect hop
+   - size limits, short-TTL cache, per-client rate limit
+   - GET ?url=<page>&render=1 returns the page as rendered by a headless browser,
+     for SPA portals (needs a render() dependency: Browser Rendering on Workers)
+   - runs wherever fetch/Request/Response exist (Workers runtime, Node 18+)
+
+   Response contract (always JSON):
+
+   200 OK
+   {
+     ok: true,
+     final_url:    string    // URL after redirects
+     redirects:    string[]  // each hop, in order (empty when none)
+     status:       number    // upstream HTTP status
+     content_type: string    // upstream Content-Type, lower-cased
+     size:         number    // bytes read from upstream
+     fetched_at:   string    // ISO time of the upstream fetch
+     cached:       boolean   // served from the short-TTL cache
+     html?:        string    // text/html or other text/* bodies (rendered DOM with render=1)
+     text?:        string    // application/json bodies, unparsed
+     rendered?:    true      // html came from the headless browser
+     truncated?:   true      // html cut at MAX_HTML_BYTES
+     pdf_base64?:  string    // application/pdf bodies up to MAX_PDF_BYTES
+     too_large?:   true      // PDF over MAX_PDF_BYTES: no pdf_base64, upload it instead
+   }
+
+   4xx / 5xx
+   { error: code, message: string, final_url?: string, retry_after?: number }
+   codes: missing_url, invalid_url, domain_not_allowed, method_not_allowed, rate_limited (429),
+          too_many_redirects, upstream_error (502), upstream_timeout (504), unsupported_type (415),
+          render_unavailable (501), render_failed (502)
+*/
+
+export const DEFAULTS = {
+  ALLOWED_SUFFIXES: ['gov.in', 'nic.in'],
+  MAX_HTML_BYTES: 2 * 1024 * 1024,
+  MAX_PDF_BYTES: 8 * 1024 * 1024,
+  MAX_REDIRECTS: 5,
+  TIMEOUT_MS: 10000,
+  CACHE_TTL: 600,      // seconds: "short-lived cache"
+  RATE_LIMIT: 30,      // requests per client per window
+  RATE_WINDOW: 60,     // seconds
+  ALLOWED_ORIGIN: '*',
+  UPSTREAM_HEADERS: {} // { "api.example.gov.in": { "x-api-key": "…" } } for portals whose JSON APIs need a key
+};
+
+// objects that failed to parse, so a bad var is logged once per isolate instead of on every request
+const badConfig = new Set();
+
+function parseObject(k, raw) {
+  if (typeof raw !== 'string') return raw;
+  try {
+    const v = JSON.parse(raw);
+    if (v && typeof v === 'object' && !Array.isArray(v)) return v;
+    throw new Error('not a JSON object');
+  } catch (e) {
+    if (!badConfig.has(k)) { badConfig.add(k); console.error(`${k} is not valid JSON (${e.message}); using {}`); }
+    return {};
+  }
+}
+
+// env vars (wrangler.toml [vars] or process.env) override DEFAULTS; lists are comma-separated, objects JSON
+export function readConfig(env = {}) {
+  const cfg = { ...DEFAULTS };
+  Object.keys(DEFAULTS).forEach(k => {
+    if (env[k] == null || env[k] === '') return;
+    if (Array.isArray(DEFAULTS[k])) cfg[k] = String(env[k]).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    else if (typeof DEFAULTS[k] === 'number') cfg[k] = Number(env[k]);
+    else if (typeof DEFAULTS[k] === 'object') cfg[k] = parseObject(k, env[k]);
+    else cfg[k] = String(env[k]);
+  });
+  return cfg;
+}
+
+/* ===========================
+   Cache + rate limit (in-memory; per isolate on Workers, per process on Node)
+   =========================== */
+export class MemoryCache {
+  constructor(maxEntries = 100) { this.map = new Map(); this.maxEntries = maxEntries; }
+  async get(key, now = Date.now()) {
+    const hit = this.map.get(key);
+    if (!hit) return null;
+    if (hit.expires <= now) { this.map.delete(key); return null; }
+    return hit.value;
+  }
+  async put(key, value, ttl, now = Date.now()) {
+    if (this.map.size >= this.maxEntries) this.map.delete(this.map.keys().next().value);
+    this.map.set(key, { value, expires: now + ttl * 1000 });
+  }
+}
+
+// fixed window counter per client id
+export class RateLimiter {
+  constructor(limit, windowSec) { this.limit = limit; this.windowMs = windowSec * 1000; this.hits = new Map(); }
+  check(id, now = Date.now()) {
+    let w = this.hits.get(id);
+    if (!w || w.reset <= now) { w = { count: 0, reset: now + this.windowMs }; this.hits.set(id, w); }
+    w.count++;
+    if (this.hits.size > 5000) this.prune(now);
+    return w.count <= this.limit ? { ok: true } : { ok: false, retry_after: Math.ceil((w.reset - now) / 1000) };
+  }
+  prune(now) { this.hits.forEach((w, id) => { if (w.reset <= now) this.hits.delete(id); }); }
+}
+
+/* ===========================
+   URL checks
+   =========================== */
+export function isAllowedHost(hostname, suffixes = DEFAULTS.ALLOWED_SUFFIXES) {
+  const h = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return suffixes.some(sfx => h === sfx || h.endsWith('.' + sfx));
+}
+
+// { url } or { error, message }
+export function checkTarget(raw, cfg = DEFAULTS) {
+  let u;
+  try { u = new URL(raw); } catch (e) { return { error: 'invalid_url', message: 'Not a valid absolute URL.' }; }
+  if (!/^https?:$/.test(u.protocol)) return { error: 'invalid_url', message: 'Only http and https URLs are supported.' };
+  if (u.username || u.password) return { error: 'invalid_url', message: 'URLs with credentials are not allowed.' };
+  if (u.port && !['80', '443'].includes(u.port)) return { error: 'invalid_url', message: 'Non-standard ports are not allowed.' };
+  if (!isAllowedHost(u.hostname, cfg.ALLOWED_SUFFIXES)) {
+    return { error: 'domain_not_allowed', message: `Only government sites (${cfg.ALLOWED_SUFFIXES.map(s => '.' + s).join(', ')}) can be fetched.` };
+  }
+  u.hash = '';
+  return { url: u.toString() };
+}
+
+/* ===========================
+   Upstream fetch
+   =========================== */
+// follows redirects by hand so every hop is allow-listed
+// { res, final_url, redirects, signal, done } or { error, message, final_url }: the TIMEOUT_MS deadline covers
+// the body as well, so read it with readCapped(res, max, signal) and call done() afterwards
+export async function fetchUpstream(target, cfg, fetchImpl = fetch) {
+  const redirects = [];
+  let url = target;
+  for (let hop = 0; ; hop++) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), cfg.TIMEOUT_MS);
+    let res;
+    try {
+      res = await fetchImpl(url, {
+        method: 'GET',
+        redirect: 'manual',
+        signal: ctrl.signal,
+        headers: {
+          'User-Agent': 'GovScheme-Dejargonizer/1.0 (+public scheme summaries)',
+          'Accept': 'text/html,application/xhtml+xml,application/pdf;q=0.9,application/json;q=0.8,*/*;q=0.5',
+          ...(cfg.UPSTREAM_HEADERS[new URL(url).hostname] || {})
+        }
+      });
+    } catch (e) {
+      clearTimeout(timer);
+      if (e && e.name === 'AbortError') return { error: 'upstream_timeout', message: `No response within ${cfg.TIMEOUT_MS} ms.`, final_url: url };
+      return { error: 'upstream_error', message: String(e && e.message || e), final_url: url };
+    }
+
+    if (res.status >= 300 && res.status < 400 && res.headers.get('location')) {
+      clearTimeout(timer);
+      if (hop >= cfg.MAX_REDIRECTS) return { error: 'too_many_redirects', message: `More than ${cfg.MAX_REDIRECTS} redirects.`, final_url: url };
+      const next = checkTarget(new URL(res.headers.get('location'), url).toString(), cfg);
+      if (next.error) return { ...next, final_url: url };
+      redirects.push(next.url);
+      url = next.url;
+      continue;
+    }
+    return { res, final_url: url, redirects, signal: ctrl.signal, done: () => clearTimeout(timer) };
+  }
+}
+
+// reads at most max bytes; { bytes, size, over }; a body cut at max is still returned (over: true).
+// Rejects with an AbortError when signal aborts first, however slowly the upstream trickles bytes.
+export async function readCapped(res, max, signal = null) {
+  if (!res.body) return { bytes: new Uint8Array(0), size: 0, over: false };
+  const reader = res.body.getReader();
+  const timedOut = new Promise((resolve, reject) => {
+    if (!signal) return;
+    const fail = () => reject(new DOMException('Upstream body timed out', 'AbortError'));
+    if (signal.aborted) fail(); else signal.addEventListener('abort', fail, { once: true });
+  });
+  timedOut.catch(() => {}); // only ever raced below
+  const chunks = [];
+  let size = 0, over = false;
+  while (!over) {
+    let step;
+    try { step = await Promise.race([reader.read(), timedOut]); } catch (e) {
+      try { await reader.cancel(); } catch (err) { /* already closed */ }
+      throw e;
+    }
+    const { done, value } = step;
+    if (done) break;
+    if (size + value.byteLength > max) {
+      chunks.push(value.subarray(0, max - size));
+      size = max;
+      over = true;
+      break;
+    }
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  if (over) { try { await reader.cancel(); } catch (e) { /* already closed */ } }
+  const bytes = new Uint8Array(size);
+  let off = 0;
+  chunks.forEach(c => { bytes.set(c, off); off += c.byteLength; });
+  return { bytes, size, over };
+}
+
+export function bytesToBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+/* ===========================
+   Request handler
+   =========================== */
+// deps: { cache, limiter, fetchImpl, render, clientId, now }
+// render(url, cfg) resolves to { html, final_url } and is optional
+export async function handleProxyRequest(request, cfg, deps) {
+  const { cache, limiter, fetchImpl = fetch, render = null, clientId = 'anon', now = Date.now() } = deps;
+  const cors = {
+    'Access-Control-Allow-Origin': cfg.ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Max-Age': '86400'
+  };
+  const reply = (status, body, extra = {}) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...cors, ...extra }
+  });
+
+  if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: cors });
+  if (request.method !== 'GET') return reply(405, { error: 'method_not_allowed', message: 'Use GET ?url=…' });
+
+  const params = new URL(request.url).searchParams;
+  const raw = params.get('url');
+  const wantRender = params.get('render') === '1';
+  if (!raw) return reply(400, { error: 'missing_url', message: 'Pass the page to fetch as ?url=…' });
+  const target = checkTarget(raw, cfg);
+  if (target.error) return reply(target.error === 'domain_not_allowed' ? 403 : 400, target);
+
+  // cache hits cost upstream nothing, so they do not count against the client's budget
+  const cacheKey = (wantRender ? 'render:' : '') + target.url;
+  const cached = await cache.get(cacheKey, now);
+  if (cached) return reply(200, { ...cached, cached: true });
+
+  const rl = limiter.check(clientId, now);
+  if (!rl.ok) {
+    return reply(429, { error: 'rate_limited', message: 'Too many requests — try again shortly.', retry_after: rl.retry_after }, { 'Retry-After': String(rl.retry_after) });
+  }
+
+  if (wantRender) {
+    if (!render) return reply(501, { error: 'render_unavailable', message: 'This proxy has no headless browser configured.' });
+    let page;
+    try { page = await render(target.url, cfg); } catch (e) { return reply(502, { error: 'render_failed', message: String(e && e.message || e) }); }
+    const final = checkTarget(page.final_url || target.url, cfg);
+    if (final.error) return reply(403, { ...final, final_url: page.final_url });
+    // MAX_HTML_BYTES counts UTF-8 bytes, as on the fetch path
+    const encoded = new TextEncoder().encode(page.html);
+    const bytes = encoded.subarray(0, cfg.MAX_HTML_BYTES);
+    const html = new TextDecoder('utf-8').decode(bytes);
+    const body = { ok: true, final_url: final.url, redirects: [], status: 200, content_type: 'text/html; charset=utf-8', size: bytes.byteLength, fetched_at: new Date(now).toISOString(), cached: false, rendered: true, html };
+    if (bytes.byteLength < encoded.byteLength) body.truncated = true;
+    await cache.put(cacheKey, body, cfg.CACHE_TTL, now);
+    return reply(200, body);
+  }
+
+  const up = await fetchUpstream(target.url, cfg, fetchImpl);
+  if (up.error) {
+    const status = { domain_not_allowed: 403, invalid_url: 400, upstream_timeout: 504 }[up.error] || 502;
+    return reply(status, up);
+  }
+  try {
+    return await replyWithBody(up, cfg, cache, cacheKey, now, reply);
+  } catch (e) {
+    if (e && e.name === 'AbortError') return reply(504, { error: 'upstream_timeout', message: `No complete response within ${cfg.TIMEOUT_MS} ms.`, final_url: up.final_url });
+    return reply(502, { error: 'upstream_error', message: String(e && e.message || e), final_url: up.final_url });
+  } finally {
+    up.done();
+  }
+}
+
+// reads the upstream body under fetchUpstream's deadline and builds the 200 reply
+async function replyWithBody(up, cfg, cache, cacheKey, now, reply) {
+  const { res, final_url, redirects, signal } = up;
+  if (!res.ok) {
+    try { await res.body?.cancel(); } catch (e) { /* ignore */ }
+    return reply(502, { error: 'upstream_error', message: `Upstream answered HTTP ${res.status}.`, status: res.status, final_url });
+  }
+
+  const content_type = (res.headers.get('content-type') || 'application/octet-stream').toLowerCase();
+  const body = { ok: true, final_url, redirects, status: res.status, content_type, size: 0, fetched_at: new Date(now).toISOString(), cached: false };
+
+  if (content_type.includes('application/pdf')) {
+    const { bytes, size, over } = await readCapped(res, cfg.MAX_PDF_BYTES, signal);
+    body.size = size;
+    if (over) body.too_large = true;
+    else body.pdf_base64 = bytesToBase64(bytes);
+  } else if (/^text\/|xhtml|xml/.test(content_type)) {
+    const { bytes, size, over } = await readCapped(res, cfg.MAX_HTML_BYTES, signal);
+    body.size = size;
+    body.html = new TextDecoder(charsetOf(content_type)).decode(bytes);
+    if (over) body.truncated = true;
+  } else if (/json/.test(content_type)) {
+    const { bytes, size, over } = await readCapped(res, cfg.MAX_HTML_BYTES, signal);
+    if (over) return reply(502, { error: 'upstream_error', message: 'JSON response over the size limit.', final_url });
+    body.size = size;
+    body.text = new TextDecoder('utf-8').decode(bytes);
+  } else {
+    try { await res.body?.cancel(); } catch (e) { /* ignore */ }
+    return reply(415, { error: 'unsupported_type', message: `Cannot summarise ${content_type}.`, final_url });
+  }
+
+  await cache.put(cacheKey, body, cfg.CACHE_TTL, now);
+  return reply(200, body);
+}
+
+function charsetOf(contentType) {
+  const m = /charset=([\w-]+)/i.exec(contentType);
+  try { return m ? new TextDecoder(m[1]).encoding : 'utf-8'; } catch (e) { return 'utf-8'; }
+}
@@ -0,0 +1,57 @@
+/* worker.js - Cloudflare Worker entry (deploy with `npx wrangler deploy` from this folder)
+   - cache: Cache API of the serving colo, so entries survive isolate restarts; the Cache API
+     only works on a custom domain, so on *.workers.dev each isolate keeps a MemoryCache instead
+   - rate limit: per isolate and best effort; add a Cloudflare rate limiting rule for hard limits
+   - render=1: needs the Browser Rendering binding ([browser] in wrangler.toml); without it
+     the proxy answers render_unavailable and the page falls back to other adapters / paste
+*/
+import { readConfig, handleProxyRequest, RateLimiter, MemoryCache } from './proxy.js';
+
+let limiter = null;
+const memoryCache = new MemoryCache();
+
+// Cache API wrapper with the same get/put shape as MemoryCache
+const edgeCache = {
+  key: url => new Request('https://govscheme-proxy.cache/' + encodeURIComponent(url)),
+  async get(url) {
+    const hit = await caches.default.match(this.key(url));
+    return hit ? hit.json() : null;
+  },
+  async put(url, value, ttl) {
+    await caches.default.put(this.key(url), new Response(JSON.stringify(value), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${ttl}` }
+    }));
+  }
+};
+
+// caches.default accepts puts on *.workers.dev but never returns a hit there
+function cacheFor(request) {
+  const host = new URL(request.url).hostname;
+  return typeof caches === 'undefined' || host.endsWith('.workers.dev') ? memoryCache : edgeCache;
+}
+
+// headless Chrome via Browser Rendering; waits for the SPA to settle before reading the DOM
+async function renderWith(env, url, cfg) {
+  const { default: puppeteer } = await import('@cloudflare/puppeteer');
+  const browser = await puppeteer.launch(env.BROWSER);
+  try {
+    const page = await browser.newPage();
+    await page.goto(url, { waitUntil: 'networkidle0', timeout: cfg.TIMEOUT_MS * 2 });
+    return { html: await page.content(), final_url: page.url() };
+  } finally {
+    await browser.close();
+  }
+}
+
+export default {
+  async fetch(request, env) {
+    const cfg = readConfig(env);
+    if (!limiter) limiter = new RateLimiter(cfg.RATE_LIMIT, cfg.RATE_WINDOW);
+    return handleProxyRequest(request, cfg, {
+      cache: cacheFor(request),
+      limiter,
+      render: env.BROWSER ? (url, cfg) => renderWith(env, url, cfg) : null,
+      clientId: request.headers.get('CF-Connecting-IP') || 'anon'
+    });
+  }
+};